@@ -22,39 +22,209 @@ function formatDate(date) {
   return d.toLocaleString("ko-KR", { hour12: false });
 }
 
-async function apiJson(url, options = {}) {
+// State-changing requests carry the CSRF token from /api/csrf, which the
+// API also keeps in a cookie and compares against.
+const UNSAFE_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+let csrfToken = "";
+
+async function ensureCsrfToken() {
+  if (!csrfToken) {
+    const res = await fetch(apiUrl("/api/csrf"), { credentials: "include" });
+    csrfToken = res.ok ? (await res.json()).token || "" : "";
+  }
+  return csrfToken;
+}
+
+async function apiJson(url, options = {}, retried = false) {
+  const unsafe = UNSAFE_METHODS.includes((options.method || "GET").toUpperCase());
   const res = await fetch(apiUrl(url), {
-    headers: { "Content-Type": "application/json", ...(options.headers || {}) },
     credentials: "include",
     ...options,
+    headers: {
+      "Content-Type": "application/json",
+      ...(unsafe ? { "X-CSRF-Token": await ensureCsrfToken() } : {}),
+      ...(options.headers || {}),
+    },
   });
 
   const isJson = (res.headers.get("content-type") || "").includes("application/json");
   const payload = isJson ? await res.json() : null;
 
+  // The token cookie lasts a day; after that, fetch a new one and retry once.
+  if (res.status === 403 && payload?.error === "Invalid CSRF token" && !retried) {
+    csrfToken = "";
+    return apiJson(url, options, true);
+  }
+
   if (!res.ok) {
-    const msg = payload?.error || `요청 실패: ${res.status}`;
-    throw new Error(msg);
+    const msg =
+      res.status === 429
+        ? rateLimitMessage(payload?.retryAfter ?? res.headers.get("Retry-After"))
+        : payload?.error || `요청 실패: ${res.status}`;
+    const piiTypes = Array.isArray(payload?.piiTypes) ? payload.piiTypes : null;
+    const legacyPassword = res.status === 409 && payload?.error === "Legacy password";
+    const err = new Error(
+      piiTypes ? piiRejectedMessage(piiTypes) : legacyPassword ? LEGACY_PASSWORD_MESSAGE : msg,
+    );
+    err.status = res.status;
+    if (piiTypes) err.piiTypes = piiTypes;
+    if (legacyPassword) err.legacyPassword = true;
+    throw err;
   }
   return payload;
 }
 
+// Posts imported from the old board whose password hash the API can't check.
+const LEGACY_PASSWORD_MESSAGE =
+  "이전 게시판에서 옮겨온 글이라 지금은 비밀번호를 확인할 수 없습니다. 관리자에게 문의해 주세요.";
+
+function piiRejectedMessage(types) {
+  const labels = types.map((type) => PII_TYPE_LABELS[type] || type).join(", ");
+  return `개인정보(${labels})가 포함되어 있어 등록할 수 없습니다. 해당 내용을 지우고 다시 시도해 주세요.`;
+}
+
+function rateLimitMessage(retryAfter) {
+  const seconds = Number.parseInt(retryAfter, 10);
+  const wait =
+    !Number.isFinite(seconds) || seconds <= 0
+      ? "잠시"
+      : seconds < 60
+        ? `${seconds}초`
+        : `${Math.ceil(seconds / 60)}분`;
+  return `요청이 너무 많습니다. ${wait} 후 다시 시도해 주세요.`;
+}
+
+// Builds a catch handler: rate-limit, PII and legacy-password errors keep
+// their own message, anything else is reported with the caller's fallback text.
+function showError(fallback) {
+  return (err) =>
+    alert(err?.status === 429 || err?.piiTypes || err?.legacyPassword ? err.message : fallback);
+}
+
+const POST_STATUSES = ["received", "reviewing", "forwarded", "resolved"];
+const STATUS_LABELS = {
+  received: "접수",
+  reviewing: "검토중",
+  forwarded: "노사위원회 전달",
+  resolved: "처리완료",
+};
+
+const CONFIDENTIAL_TITLE = "비공개 글입니다";
+const PII_TYPE_LABELS = {
+  rrn: "주민등록번호",
+  phone: "전화번호",
+  email: "이메일",
+  employeeId: "사번",
+};
+const PII_MASKS = {
+  rrn: "[주민등록번호]",
+  phone: "[전화번호]",
+  email: "[이메일]",
+  employeeId: "[사번]",
+};
+const POST_SORT_LABELS = {
+  newest: "최신순",
+  oldest: "오래된순",
+  comments: "댓글 많은순",
+  updated: "최근 수정순",
+  active: "최근 활동순",
+  endorsements: "공감순",
+};
+
+const ADMIN_ROLES = ["viewer", "moderator", "owner"];
+const ROLE_LABELS = {
+  viewer: "열람",
+  moderator: "처리 담당",
+  owner: "관리 책임자",
+};
+
+const AUDIT_ACTION_LABELS = {
+  login: "로그인",
+  "login.failed": "로그인 실패",
+  logout: "로그아웃",
+  "admin_user.create": "계정 추가",
+  "admin_user.update": "계정 변경",
+  "admin_user.password_reset": "비밀번호 재설정",
+  "category.create": "분류 추가",
+  "category.update": "분류 변경",
+  "category.delete": "분류 삭제",
+  "post.update": "게시글 수정",
+  "post.status": "상태 변경",
+  "post.delete": "게시글 삭제",
+  "post.restore": "게시글 복원",
+  "post.purge": "영구 삭제",
+  "response.create": "공식 답변 등록",
+  "response.update": "공식 답변 수정",
+  "response.delete": "공식 답변 삭제",
+  "comment.update": "댓글 수정",
+  "comment.delete": "댓글 삭제",
+  export: "내보내기",
+  "webhook.create": "웹훅 추가",
+  "webhook.update": "웹훅 변경",
+  "webhook.delete": "웹훅 삭제",
+  "antispam.update": "스팸 방지 설정",
+  "session.revoke": "세션 종료",
+  "session.revoke_all": "모든 기기에서 로그아웃",
+};
+
+const WEBHOOK_EVENT_LABELS = {
+  "post.created": "새 게시글",
+  "post.updated": "게시글 변경",
+  "post.deleted": "게시글 삭제",
+  "comment.created": "새 댓글",
+  ping: "테스트",
+};
+const DELIVERY_STATUS_LABELS = { pending: "재시도 대기", delivered: "전송됨", failed: "실패" };
+
 const state = {
   posts: [],
   currentPost: null,
   comments: [],
   commentsError: "",
+  responses: [],
+  responsesError: "",
+  editingResponseId: null,
+  editingCommentId: null,
+  replyingToId: null,
   showCommentForm: false,
-  commentDraft: { author: "익명", content: "" },
+  commentDraft: { author: "익명", content: "", password: "" },
+  // Edit history of the open post for admins; null while it is hidden.
+  revisions: null, // { items, selectedId }
   page: 1,
   pageSize: 20,
   total: 0,
-  view: "list", // list | write | detail
+  statusFilter: "",
+  sort: "newest",
+  categories: [],
+  categoryCounts: {},
+  categoryFilter: "",
+  searchQuery: "",
+  dateFrom: "", // YYYY-MM-DD, inclusive
+  dateTo: "", // YYYY-MM-DD, inclusive
+  // list | write | submitted | receipt | detail | categories | admins | audit | trash
+  // | export | stats | webhooks | security
+  view: "list",
   editMode: false,
   adminLoggedIn: false,
+  adminUser: null,
+  adminUsers: [],
+  audit: { entries: [], page: 1, pageSize: 50, total: 0, action: "", from: "", to: "" },
+  trash: { posts: [], retentionDays: 30 },
+  stats: { data: null, pii: null, from: defaultStatsFrom(), to: "", unit: "week" },
+  // PII patterns from the server, for the warning in the write form.
+  piiPolicy: null, // { mode, patterns: [{ type, source }] }
+  // Receipt code of the post just submitted; it is only ever shown once.
+  submitted: null, // { id, receiptCode }
+  receiptLookup: { result: null, seenAt: null },
+  // newSecret is shown once after an endpoint is created.
+  webhooks: { endpoints: [], selectedId: null, deliveries: [], newSecret: "" },
+  security: { antispam: null, maxDifficulty: 24, sessions: null, passwordHashes: null },
   showAdminLogin: false,
   viewPassword: "",
   selectedIds: new Set(),
+  // True once "select all N matching posts" is chosen; bulk actions then send
+  // the current filter instead of selectedIds.
+  selectAllMatching: false,
 };
 
 function setState(next) {
@@ -62,14 +232,61 @@ function setState(next) {
   render();
 }
 
+// List filters live in the URL so a search can be bookmarked or shared.
+function listSearchParams() {
+  const params = new URLSearchParams();
+  if (state.searchQuery) params.set("q", state.searchQuery);
+  if (state.dateFrom) params.set("from", state.dateFrom);
+  if (state.dateTo) params.set("to", state.dateTo);
+  if (state.statusFilter) params.set("status", state.statusFilter);
+  if (state.categoryFilter) params.set("category", state.categoryFilter);
+  if (state.sort !== "newest") params.set("sort", state.sort);
+  if (state.page > 1) params.set("page", String(state.page));
+  return params;
+}
+
+function readListStateFromUrl() {
+  const params = new URLSearchParams(location.search);
+  const page = Number.parseInt(params.get("page") || "1", 10);
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || "");
+  Object.assign(state, {
+    searchQuery: params.get("q") || "",
+    dateFrom: isDate(params.get("from")) ? params.get("from") : "",
+    dateTo: isDate(params.get("to")) ? params.get("to") : "",
+    statusFilter: POST_STATUSES.includes(params.get("status")) ? params.get("status") : "",
+    categoryFilter: params.get("category") || "",
+    sort: POST_SORT_LABELS[params.get("sort")] ? params.get("sort") : "newest",
+    page: Number.isFinite(page) && page > 0 ? page : 1,
+  });
+}
+
+// Local midnight of a YYYY-MM-DD date, shifted by whole days, as an ISO instant.
+function localDayStart(date, offsetDays = 0) {
+  const d = new Date(`${date}T00:00:00`);
+  d.setDate(d.getDate() + offsetDays);
+  return d.toISOString();
+}
+
+const VIEW_PATHS = {
+  write: "/write",
+  submitted: "/write/done",
+  receipt: "/receipt",
+  categories: "/admin/categories",
+  admins: "/admin/users",
+  audit: "/admin/audit",
+  trash: "/admin/trash",
+  export: "/admin/export",
+  stats: "/admin/stats",
+  webhooks: "/admin/webhooks",
+  security: "/admin/security",
+};
+
 function navigate(view, post = null, replace = false) {
   const postId = typeof post === "string" ? post : post?.id || null;
+  const listQuery = listSearchParams().toString();
   const url =
-    view === "write"
-      ? "/write"
-      : view === "detail" && postId
-        ? `/post/${postId}`
-        : "/";
+    VIEW_PATHS[view] ||
+    (view === "detail" && postId ? `/post/${postId}` : listQuery ? `/?${listQuery}` : "/");
   const historyState = { view, postId, page: state.page };
   if (replace) history.replaceState(historyState, "", url);
   else history.pushState(historyState, "", url);
@@ -79,12 +296,12 @@ function navigate(view, post = null, replace = false) {
     currentPost: typeof post === "object" && post ? post : state.currentPost,
     editMode: false,
     showCommentForm: false,
-    commentDraft: { author: "익명", content: "" },
+    commentDraft: { author: "익명", content: "", password: "" },
   });
 }
 
 function goList(replace = true) {
-  refreshPosts().catch(() => alert("게시글을 불러오지 못했습니다."));
+  refreshPosts().catch(showError("게시글을 불러오지 못했습니다."));
   navigate("list", null, replace);
 }
 
@@ -92,24 +309,49 @@ function isAdmin() {
   return state.adminLoggedIn;
 }
 
+function hasRole(role) {
+  const current = state.adminUser?.role;
+  return isAdmin() && ADMIN_ROLES.indexOf(current) >= ADMIN_ROLES.indexOf(role);
+}
+
 async function refreshAdmin() {
   const data = await apiJson("/api/admin/me");
-  setState({ adminLoggedIn: Boolean(data.admin) });
+  setState({ adminLoggedIn: Boolean(data.admin), adminUser: data.user || null });
 }
 
 async function refreshPosts() {
-  const data = await apiJson(`/api/posts?page=${state.page}`);
+  const params = new URLSearchParams({ page: String(state.page) });
+  if (state.statusFilter) params.set("status", state.statusFilter);
+  if (state.categoryFilter) params.set("category", state.categoryFilter);
+  if (state.sort !== "newest") params.set("sort", state.sort);
+  if (state.searchQuery) params.set("q", state.searchQuery);
+  if (state.dateFrom) params.set("from", localDayStart(state.dateFrom));
+  if (state.dateTo) params.set("to", localDayStart(state.dateTo, 1));
+  const data = await apiJson(`/api/posts?${params.toString()}`);
   setState({
     posts: data.posts || [],
+    categoryCounts: data.categoryCounts || {},
     total: Number.isFinite(data.total) ? data.total : 0,
     pageSize: Number.isFinite(data.pageSize) ? data.pageSize : state.pageSize,
   });
 }
 
+async function refreshCategories() {
+  const data = await apiJson("/api/categories");
+  setState({ categories: data.categories || [] });
+}
+
+function categoryName(categoryId) {
+  if (!categoryId) return "";
+  return state.categories.find((c) => c.id === categoryId)?.name || "";
+}
+
 async function refreshComments(postId) {
   setState({ commentsError: "" });
   try {
-    const data = await apiJson(`/api/posts/${postId}/comments`);
+    const data = await apiJson(`/api/posts/${postId}/comments`, {
+      headers: viewTokenHeaders(postId),
+    });
     setState({ comments: data.comments || [], commentsError: "" });
   } catch (err) {
     setState({
@@ -119,15 +361,140 @@ async function refreshComments(postId) {
   }
 }
 
+async function refreshResponses(postId) {
+  try {
+    const data = await apiJson(`/api/posts/${postId}/responses`, {
+      headers: viewTokenHeaders(postId),
+    });
+    setState({ responses: data.responses || [], responsesError: "" });
+  } catch {
+    setState({ responses: [], responsesError: "공식 답변을 불러오지 못했습니다." });
+  }
+}
+
+// Sends the post's view token so confidential posts' comments and responses load.
+function viewTokenHeaders(postId) {
+  const post = state.currentPost;
+  return post?.id === postId && post.viewToken ? { "X-View-Token": post.viewToken } : {};
+}
+
+// Loads a post for reading. Confidential posts answer 403 to anyone but an
+// admin, so ask for the post password and read it through /view instead.
+async function fetchReadablePost(id) {
+  try {
+    const data = await apiJson(`/api/posts/${id}`);
+    return data.post;
+  } catch (err) {
+    if (err.status !== 403) throw err;
+  }
+  const password = prompt("비공개 글입니다. 비밀번호를 입력하세요.") || "";
+  if (!password) return null;
+  try {
+    const data = await apiJson(`/api/posts/${id}/view`, {
+      method: "POST",
+      body: JSON.stringify({ password }),
+    });
+    state.viewPassword = password;
+    return { ...data.post, viewToken: data.viewToken || "" };
+  } catch (err) {
+    if (/password/i.test(err.message)) {
+      alert("비밀번호가 올바르지 않습니다.");
+      return null;
+    }
+    throw err;
+  }
+}
+
 async function openPost(id) {
-  const data = await apiJson(`/api/posts/${id}`);
-  navigate("detail", data.post);
+  const post = await fetchReadablePost(id);
+  if (!post) return;
+  navigate("detail", post);
   setState({
     comments: [],
+    responses: [],
+    editingResponseId: null,
+    editingCommentId: null,
+    replyingToId: null,
+    revisions: null,
     showCommentForm: false,
-    commentDraft: { author: "익명", content: "" },
+    commentDraft: { author: "익명", content: "", password: "" },
+  });
+  await Promise.all([refreshComments(id), refreshResponses(id)]);
+}
+
+// Anonymous posts and comments carry a solved proof-of-work challenge (see
+// /api/challenges). The search runs in a Web Worker built from this source, so
+// the page stays responsive and Pages still only serves app.js.
+const POW_WORKER_SOURCE = `
+const zeroBits = (bytes) => {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte !== 0) return bits + Math.clz32(byte) - 24;
+    bits += 8;
+  }
+  return bits;
+};
+self.onmessage = async (event) => {
+  const { challenge, difficulty } = event.data;
+  const encoder = new TextEncoder();
+  for (let nonce = 0; ; nonce++) {
+    const input = encoder.encode(challenge + ":" + nonce);
+    const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", input));
+    if (zeroBits(digest) >= difficulty) {
+      self.postMessage(String(nonce));
+      return;
+    }
+  }
+};
+`;
+
+async function solveChallenge(action) {
+  const { challenge, difficulty } = await apiJson("/api/challenges", {
+    method: "POST",
+    body: JSON.stringify({ action }),
   });
-  await refreshComments(id);
+  const url = URL.createObjectURL(new Blob([POW_WORKER_SOURCE], { type: "text/javascript" }));
+  const worker = new Worker(url);
+  try {
+    const nonce = await new Promise((resolve, reject) => {
+      worker.onmessage = (event) => resolve(event.data);
+      worker.onerror = (event) => reject(new Error(event.message || "Challenge failed"));
+      worker.postMessage({ challenge, difficulty });
+    });
+    return { challenge, nonce };
+  } finally {
+    worker.terminate();
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Fields the server's spam check expects; the submit button shows progress
+// while the challenge is being solved.
+async function spamCheckFields(form, action) {
+  const submit = form.querySelector("[type=submit]");
+  const label = submit?.textContent;
+  if (submit) {
+    submit.disabled = true;
+    submit.textContent = "확인 중…";
+  }
+  try {
+    const proof = await solveChallenge(action);
+    return { ...proof, website: form.querySelector("[name=website]")?.value || "" };
+  } finally {
+    if (submit) {
+      submit.disabled = false;
+      submit.textContent = label;
+    }
+  }
+}
+
+// Invisible to people, skipped by the tab order and screen readers; bots that
+// fill in every input are turned away by the server.
+function renderHoneypot() {
+  return h("div", { class: "hp", "aria-hidden": "true" }, [
+    h("label", { text: "웹사이트" }),
+    h("input", { name: "website", tabindex: "-1", autocomplete: "off" }),
+  ]);
 }
 
 async function createPost(form) {
@@ -135,21 +502,206 @@ async function createPost(form) {
   const author = form.querySelector("[name=author]").value.trim();
   const password = form.querySelector("[name=password]").value;
   const content = form.querySelector("[name=content]").value.trim();
+  const categoryId = form.querySelector("[name=categoryId]").value;
+  const visibility = form.querySelector("[name=visibility]").value;
 
   form.querySelector(".toast")?.remove();
-  if (!title || !author || !password || !content) {
+  if (!title || !author || !password || !content || !categoryId) {
     form.append(h("div", { class: "toast", text: "모든 항목을 입력해 주세요." }));
     return;
   }
 
-  await apiJson("/api/posts", {
+  const spamCheck = await spamCheckFields(form, "post");
+  const data = await apiJson("/api/posts", {
     method: "POST",
-    body: JSON.stringify({ title, author, password, content }),
+    body: JSON.stringify({
+      title,
+      author,
+      password,
+      content,
+      categoryId,
+      visibility,
+      ...spamCheck,
+    }),
   });
 
-  await refreshPosts();
   form.reset();
-  goList(true);
+  refreshPosts().catch(showError("게시글을 불러오지 못했습니다."));
+  setState({ submitted: { id: data.id, receiptCode: data.receiptCode || "" } });
+  navigate("submitted", null, true);
+}
+
+function renderSubmittedView() {
+  const submitted = state.submitted;
+  if (!submitted) {
+    return h("section", { class: "panel" }, [
+      h("p", { class: "panel__text", text: "접수 내역이 없습니다." }),
+      h("div", { class: "btn-row" }, [
+        h("button", { class: "btn", type: "button", text: "목록", onClick: () => goList(true) }),
+      ]),
+    ]);
+  }
+  return h("section", { class: "panel" }, [
+    h("h1", { class: "title", text: "접수되었습니다" }),
+    submitted.receiptCode
+      ? h("div", {}, [
+          h("p", {
+            class: "panel__text",
+            text: "아래 접수번호로 비밀번호 없이 처리 상황과 답변을 확인할 수 있습니다.",
+          }),
+          h("div", { class: "receipt__code", text: submitted.receiptCode }),
+          h("div", {
+            class: "notice",
+            text: "접수번호는 지금 한 번만 표시됩니다. 복사하거나 적어 두세요.",
+          }),
+        ])
+      : "",
+    h("div", { class: "btn-row" }, [
+      submitted.receiptCode
+        ? h("button", {
+            class: "btn",
+            type: "button",
+            text: "접수번호 복사",
+            onClick: () =>
+              navigator.clipboard
+                .writeText(submitted.receiptCode)
+                .then(() => alert("복사했습니다."))
+                .catch(showError("복사하지 못했습니다.")),
+          })
+        : "",
+      h("button", {
+        class: "btn btn--ghost",
+        type: "button",
+        text: "내 글 보기",
+        onClick: () => openPost(submitted.id).catch(showError("게시글을 불러오지 못했습니다.")),
+      }),
+      h("button", {
+        class: "btn btn--ghost",
+        type: "button",
+        text: "목록",
+        onClick: () => goList(true),
+      }),
+    ]),
+  ]);
+}
+
+// Comments newer than the previous lookup from this browser are marked as new.
+// Only the time is remembered, per post, never the code.
+function receiptSeenKey(postId) {
+  return `woldecks.receiptSeen.${postId}`;
+}
+
+async function lookupReceipt(form) {
+  const code = form.querySelector("[name=code]").value.trim();
+  if (!code) return;
+  let data;
+  try {
+    data = await apiJson("/api/receipts/lookup", {
+      method: "POST",
+      body: JSON.stringify({ code }),
+    });
+  } catch (err) {
+    if (err.status === 404 || err.status === 400) {
+      alert("접수번호를 찾을 수 없습니다. 다시 확인해 주세요.");
+      return;
+    }
+    throw err;
+  }
+  const key = receiptSeenKey(data.post.id);
+  const seenAt = localStorage.getItem(key);
+  localStorage.setItem(key, new Date().toISOString());
+  setState({ receiptLookup: { result: data, seenAt } });
+}
+
+function renderReceiptResult({ post, responses, comments }, seenAt) {
+  const isNew = (c) => Boolean(seenAt) && c.createdAt > seenAt;
+  const newCount = comments.filter(isNew).length;
+  return h("div", { class: "receipt__result" }, [
+    h("div", { class: "detail__status" }, [
+      renderStatusBadge(post.status),
+      categoryName(post.categoryId)
+        ? h("span", { class: "tag", text: categoryName(post.categoryId) })
+        : "",
+    ]),
+    h("h2", { class: "panel__title", text: post.title }),
+    h("p", { class: "panel__text", text: `접수일: ${formatDate(post.createdAt)}` }),
+    renderStatusTimeline(post),
+    h("h3", { class: "panel__title", text: "공식 답변" }),
+    responses.length === 0
+      ? h("p", { class: "panel__text", text: "아직 공식 답변이 없습니다." })
+      : h(
+          "div",
+          {},
+          responses.map((r) =>
+            h("div", { class: "official" }, [
+              h("div", { class: "list-item__row" }, [
+                h("div", { class: "official__label" }, [
+                  h("span", { class: "badge badge--official", text: "공식 답변" }),
+                  r.author,
+                ]),
+                h("div", { class: "list-item__author", text: formatDate(r.createdAt) }),
+              ]),
+              h("div", { class: "detail__content", text: r.content }),
+            ]),
+          ),
+        ),
+    h("h3", {
+      class: "panel__title",
+      text: newCount > 0 ? `댓글 ${comments.length} (새 댓글 ${newCount})` : `댓글 ${comments.length}`,
+    }),
+    comments.length === 0
+      ? h("p", { class: "panel__text", text: "댓글이 없습니다." })
+      : h(
+          "div",
+          { class: "list" },
+          comments.map((c) =>
+            h("div", { class: "list-item comment--static" }, [
+              h("div", { class: "list-item__row" }, [
+                h("div", { class: "list-item__title" }, [
+                  isNew(c) ? h("span", { class: "tag tag--endorse", text: "새 댓글" }) : "",
+                  c.author,
+                ]),
+                h("div", { class: "list-item__author", text: formatDate(c.createdAt) }),
+              ]),
+              h("div", { class: "panel__text", text: c.content }),
+            ]),
+          ),
+        ),
+  ]);
+}
+
+function renderReceiptView() {
+  const { result, seenAt } = state.receiptLookup;
+  const form = h("form", { class: "search" }, [
+    h("input", {
+      class: "search__query",
+      name: "code",
+      placeholder: "접수번호 (예: AB2C-DE3F-GH4J)",
+      autocomplete: "off",
+    }),
+    h("button", { class: "btn", type: "submit", text: "조회" }),
+  ]);
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    lookupReceipt(form).catch(showError("조회에 실패했습니다."));
+  });
+  return h("section", { class: "panel" }, [
+    h("h1", { class: "title", text: "접수번호 조회" }),
+    h("p", {
+      class: "panel__text",
+      text: "글을 쓸 때 받은 접수번호로 처리 상황, 공식 답변, 댓글을 확인할 수 있습니다.",
+    }),
+    form,
+    result ? renderReceiptResult(result, seenAt) : "",
+    h("div", { class: "btn-row" }, [
+      h("button", {
+        class: "btn btn--ghost",
+        type: "button",
+        text: "목록",
+        onClick: () => goList(true),
+      }),
+    ]),
+  ]);
 }
 
 async function updateCurrentPost(form) {
@@ -164,14 +716,15 @@ async function updateCurrentPost(form) {
   }
 
   const password = state.viewPassword || "";
-  if (!isAdmin() && !password) {
+  if (!hasRole("moderator") && !password) {
     alert("먼저 비밀번호를 확인해 주세요.");
     setState({ editMode: false });
     return;
   }
 
+  let data;
   try {
-    await apiJson(`/api/posts/${post.id}`, {
+    data = await apiJson(`/api/posts/${post.id}`, {
       method: "PUT",
       body: JSON.stringify({
         title,
@@ -190,15 +743,23 @@ async function updateCurrentPost(form) {
 
   await refreshPosts();
   setState({
-    currentPost: { ...post, title, content, updatedAt: new Date().toISOString() },
+    currentPost: {
+      ...post,
+      title,
+      content,
+      updatedAt: new Date().toISOString(),
+      ...data?.post,
+      viewToken: post.viewToken,
+    },
     editMode: false,
+    revisions: null,
   });
 }
 
 async function requestEditMode() {
   const post = state.currentPost;
   if (!post) return;
-  if (isAdmin()) {
+  if (hasRole("moderator")) {
     setState({ editMode: true });
     return;
   }
@@ -227,9 +788,9 @@ async function deleteCurrentPost() {
   const post = state.currentPost;
   if (!post) return;
 
-  if (!confirm("이 게시글을 삭제할까요?")) return;
+  if (!confirm("이 게시글을 삭제할까요? 삭제된 글은 휴지통으로 이동합니다.")) return;
 
-  if (isAdmin()) {
+  if (hasRole("moderator")) {
     await apiJson(`/api/posts/${post.id}`, {
       method: "DELETE",
       body: JSON.stringify({}),
@@ -260,82 +821,304 @@ async function deleteCurrentPost() {
   goList(true);
 }
 
-async function createComment(form) {
+async function endorseCurrentPost() {
+  const post = state.currentPost;
+  if (!post || post.endorsed) return;
+  const data = await apiJson(`/api/posts/${post.id}/endorsements`, {
+    method: "POST",
+    headers: viewTokenHeaders(post.id),
+    body: JSON.stringify({}),
+  });
+  setState({
+    currentPost: { ...post, endorsed: true, endorsementCount: data.endorsementCount },
+  });
+  await refreshPosts();
+}
+
+// Top-level comments come from the draft form; replies pass their parent.
+async function createComment(form, parentId = null) {
   const post = state.currentPost;
   if (!post) return;
   const content = form.querySelector("[name=comment-content]").value.trim();
+  const author = form.querySelector("[name=comment-author]").value.trim() || "익명";
+  const password = form.querySelector("[name=comment-password]").value;
   if (!content) {
     alert("댓글을 입력해 주세요.");
     return;
   }
   try {
+    const spamCheck = await spamCheckFields(form, "comment");
     await apiJson(`/api/posts/${post.id}/comments`, {
       method: "POST",
-      body: JSON.stringify({ author: "익명", content }),
+      headers: viewTokenHeaders(post.id),
+      body: JSON.stringify({ author, content, password, parentId, ...spamCheck }),
     });
     form.reset();
     await refreshComments(post.id);
     await refreshPosts();
+    if (parentId) {
+      setState({ replyingToId: null });
+      return;
+    }
     setState({
       showCommentForm: false,
-      commentDraft: { author: "익명", content: "" },
+      commentDraft: { author: "익명", content: "", password: "" },
     });
-  } catch {
-    alert("댓글 등록에 실패했습니다.");
+  } catch (err) {
+    showError("댓글 등록에 실패했습니다.")(err);
   }
 }
 
-async function deleteComment(commentId) {
+async function updatePostStatus(status) {
   const post = state.currentPost;
-  if (!post) return;
-  if (!isAdmin()) return;
-  if (!confirm("이 댓글을 삭제할까요?")) return;
-  await apiJson(`/api/posts/${post.id}/comments/${commentId}`, {
+  if (!post || !hasRole("moderator")) return;
+  if (status === post.status) return;
+  const data = await apiJson(`/api/posts/${post.id}/status`, {
+    method: "PUT",
+    body: JSON.stringify({ status }),
+  });
+  setState({ currentPost: { ...post, ...data.post, viewToken: post.viewToken } });
+  await refreshPosts();
+}
+
+async function saveResponse(form, response = null) {
+  const post = state.currentPost;
+  if (!post || !hasRole("moderator")) return;
+  const author = form.querySelector("[name=response-author]").value.trim();
+  const content = form.querySelector("[name=response-content]").value.trim();
+  if (!content) {
+    alert("답변 내용을 입력해 주세요.");
+    return;
+  }
+  await apiJson(
+    response ? `/api/admin/responses/${response.id}` : `/api/admin/posts/${post.id}/responses`,
+    {
+      method: response ? "PUT" : "POST",
+      body: JSON.stringify({ author, content }),
+    },
+  );
+  if (!response) form.reset();
+  setState({ editingResponseId: null });
+  await refreshResponses(post.id);
+}
+
+async function deleteResponse(responseId) {
+  const post = state.currentPost;
+  if (!post || !hasRole("moderator")) return;
+  if (!confirm("이 공식 답변을 삭제할까요?")) return;
+  await apiJson(`/api/admin/responses/${responseId}`, {
     method: "DELETE",
     body: JSON.stringify({}),
   });
+  await refreshResponses(post.id);
+}
+
+// Moderators change any comment; authors need the comment's password.
+// Returns the request body to send, or null when the user backs out.
+function commentAuth(promptText) {
+  if (hasRole("moderator")) return {};
+  const password = prompt(promptText) || "";
+  return password ? { password } : null;
+}
+
+async function sendCommentChange(commentId, method, body) {
+  const post = state.currentPost;
+  try {
+    await apiJson(`/api/posts/${post.id}/comments/${commentId}`, {
+      method,
+      headers: viewTokenHeaders(post.id),
+      body: JSON.stringify(body),
+    });
+    return true;
+  } catch (err) {
+    if (/password/i.test(err.message)) {
+      alert("비밀번호가 올바르지 않습니다.");
+      return false;
+    }
+    throw err;
+  }
+}
+
+async function updateComment(form, comment) {
+  const post = state.currentPost;
+  if (!post) return;
+  const content = form.querySelector("[name=edit-comment]").value.trim();
+  if (!content) {
+    alert("댓글을 입력해 주세요.");
+    return;
+  }
+  const auth = commentAuth("댓글을 수정하려면 비밀번호를 입력하세요.");
+  if (!auth) return;
+  if (!(await sendCommentChange(comment.id, "PUT", { ...auth, content }))) return;
+  setState({ editingCommentId: null });
   await refreshComments(post.id);
-  await refreshPosts();
 }
 
-function renderAdminModal() {
-  if (!state.showAdminLogin) return "";
+async function deleteComment(comment) {
+  const post = state.currentPost;
+  if (!post) return;
+  if (!confirm("이 댓글을 삭제할까요?")) return;
+  const auth = commentAuth("댓글을 삭제하려면 비밀번호를 입력하세요.");
+  if (!auth) return;
+  if (!(await sendCommentChange(comment.id, "DELETE", auth))) return;
+  await refreshComments(post.id);
+  await refreshPosts();
+}
 
+function renderCommentEditForm(comment) {
   const form = h("form", {}, [
-    h("div", { class: "modal__header" }, [
-      h("h2", { class: "modal__title", text: "관리자 로그인" }),
+    h("div", { class: "field" }, [h("textarea", { name: "edit-comment" }, [comment.content])]),
+    h("div", { class: "btn-row" }, [
+      h("button", { class: "btn", type: "submit", text: "저장" }),
       h("button", {
-        class: "modal__close",
+        class: "btn btn--ghost",
         type: "button",
-        text: "×",
-        onClick: () => setState({ showAdminLogin: false }),
+        text: "취소",
+        onClick: () => setState({ editingCommentId: null }),
       }),
     ]),
-    h("p", {
-      class: "panel__text",
-      text: "관리자 비밀번호를 입력하면 모든 게시물을 관리할 수 있습니다.",
-    }),
+  ]);
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    updateComment(form, comment).catch(showError("댓글 수정에 실패했습니다."));
+  });
+  return form;
+}
+
+function renderReplyForm(parent) {
+  const form = h("form", { class: "comment__reply-form" }, [
+    h("div", { class: "inline-form" }, [
+      h("input", { name: "comment-author", placeholder: "익명" }),
+      h("input", { name: "comment-password", type: "password", placeholder: "비밀번호 (선택)" }),
+    ]),
     h("div", { class: "field" }, [
-      h("label", { text: "관리자 비밀번호" }),
-      h("input", { type: "password", name: "adminPassword", placeholder: "관리자 비밀번호" }),
+      h("textarea", { name: "comment-content", placeholder: `${parent.author}님에게 답글` }),
     ]),
+    renderHoneypot(),
     h("div", { class: "btn-row" }, [
-      h("button", { class: "btn", type: "submit", text: "로그인" }),
+      h("button", { class: "btn", type: "submit", text: "답글 등록" }),
+      h("button", {
+        class: "btn btn--ghost",
+        type: "button",
+        text: "취소",
+        onClick: () => setState({ replyingToId: null }),
+      }),
     ]),
   ]);
-
-  form.addEventListener("submit", async (e) => {
+  form.addEventListener("submit", (e) => {
     e.preventDefault();
+    createComment(form, parent.id).catch(showError("답글 등록에 실패했습니다."));
+  });
+  return form;
+}
+
+const MAX_REPLY_INDENT = 4;
+
+// Replies are indented under their parent; past a few levels the indent stops
+// growing so deep threads stay readable on narrow screens.
+function renderComment(c, depth = 0) {
+  const replies = (c.replies || []).map((reply) => renderComment(reply, depth + 1));
+  let className = "list-item";
+  if (depth > 0) className += depth > MAX_REPLY_INDENT ? " comment--reply comment--flat" : " comment--reply";
+  if (c.deleted) {
+    return h("div", { class: className }, [
+      h("div", { class: "panel__text", text: "삭제된 댓글입니다." }),
+      ...replies,
+    ]);
+  }
+  const canChange = hasRole("moderator") || c.hasPassword;
+  return h("div", { class: className }, [
+    h("div", { class: "list-item__row" }, [
+      h("div", { class: "list-item__title", text: c.author }),
+      h("div", {
+        class: "list-item__author",
+        text: c.updatedAt
+          ? `${formatDate(c.createdAt)} (수정 ${formatDate(c.updatedAt)})`
+          : formatDate(c.createdAt),
+      }),
+    ]),
+    state.editingCommentId === c.id
+      ? renderCommentEditForm(c)
+      : h("div", { class: "detail__content", text: c.content }),
+    state.editingCommentId === c.id
+      ? ""
+      : h("div", { class: "btn-row" }, [
+          h("button", {
+            class: "btn btn--ghost",
+            type: "button",
+            text: "답글",
+            onClick: () => setState({ replyingToId: c.id }),
+          }),
+          canChange
+            ? h("button", {
+                class: "btn btn--ghost",
+                type: "button",
+                text: "수정",
+                onClick: () => setState({ editingCommentId: c.id }),
+              })
+            : "",
+          canChange
+            ? h("button", {
+                class: "btn btn--danger",
+                type: "button",
+                text: "삭제",
+                onClick: () => deleteComment(c).catch(showError("삭제에 실패했습니다.")),
+              })
+            : "",
+        ]),
+    state.replyingToId === c.id ? renderReplyForm(c) : "",
+    ...replies,
+  ]);
+}
+
+function renderAdminModal() {
+  if (!state.showAdminLogin) return "";
+
+  const form = h("form", {}, [
+    h("div", { class: "modal__header" }, [
+      h("h2", { class: "modal__title", text: "관리자 로그인" }),
+      h("button", {
+        class: "modal__close",
+        type: "button",
+        text: "×",
+        onClick: () => setState({ showAdminLogin: false }),
+      }),
+    ]),
+    h("p", {
+      class: "panel__text",
+      text: "관리자 계정으로 로그인하면 권한에 따라 게시물을 관리할 수 있습니다.",
+    }),
+    h("div", { class: "field" }, [
+      h("label", { text: "아이디" }),
+      h("input", { name: "adminUsername", placeholder: "아이디", autocomplete: "username" }),
+    ]),
+    h("div", { class: "field" }, [
+      h("label", { text: "비밀번호" }),
+      h("input", {
+        type: "password",
+        name: "adminPassword",
+        placeholder: "비밀번호",
+        autocomplete: "current-password",
+      }),
+    ]),
+    h("div", { class: "btn-row" }, [
+      h("button", { class: "btn", type: "submit", text: "로그인" }),
+    ]),
+  ]);
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const username = form.querySelector("[name=adminUsername]").value.trim();
     const input = form.querySelector("[name=adminPassword]").value;
     try {
       await apiJson("/api/admin/login", {
         method: "POST",
-        body: JSON.stringify({ password: input }),
+        body: JSON.stringify({ username, password: input }),
       });
       await refreshAdmin();
       setState({ showAdminLogin: false });
-    } catch {
-      alert("로그인에 실패했습니다.");
+    } catch (err) {
+      showError("로그인에 실패했습니다.")(err);
     }
   });
 
@@ -346,6 +1129,233 @@ function renderAdminModal() {
   return backdrop;
 }
 
+function renderStatusBadge(status) {
+  const key = STATUS_LABELS[status] ? status : "received";
+  return h("span", { class: `badge badge--${key}`, text: STATUS_LABELS[key] });
+}
+
+function renderStatusTimeline(post) {
+  const steps = [
+    ["received", post.createdAt],
+    ["reviewing", post.reviewingAt],
+    ["forwarded", post.forwardedAt],
+    ["resolved", post.resolvedAt],
+  ];
+  return h(
+    "ol",
+    { class: "timeline" },
+    steps.map(([status, at]) =>
+      h("li", { class: at ? "timeline__step timeline__step--done" : "timeline__step" }, [
+        h("span", { class: "timeline__label", text: STATUS_LABELS[status] }),
+        h("span", { class: "timeline__date", text: at ? formatDate(at) : "-" }),
+      ]),
+    ),
+  );
+}
+
+function renderStatusControl(post) {
+  const select = h(
+    "select",
+    {
+      name: "status",
+      onChange: (e) =>
+        updatePostStatus(e.target.value).catch((err) => {
+          showError("상태 변경에 실패했습니다.")(err);
+          render();
+        }),
+    },
+    POST_STATUSES.map((status) =>
+      h("option", { value: status, text: STATUS_LABELS[status] }),
+    ),
+  );
+  select.value = post.status || "received";
+  return h("div", { class: "field" }, [h("label", { text: "처리 상태 변경" }), select]);
+}
+
+function renderResponseForm(response = null) {
+  const form = h("form", { class: "official__form" }, [
+    h("div", { class: "field" }, [
+      h("label", { text: "답변자" }),
+      h("input", {
+        name: "response-author",
+        placeholder: "노사위원회",
+        value: response?.author ?? "",
+      }),
+    ]),
+    h("div", { class: "field" }, [
+      h("label", { text: "답변 내용" }),
+      h("textarea", { name: "response-content", placeholder: "공식 답변" }, [
+        response?.content ?? "",
+      ]),
+    ]),
+    h("div", { class: "btn-row" }, [
+      h("button", { class: "btn", type: "submit", text: response ? "저장" : "답변 등록" }),
+      response
+        ? h("button", {
+            class: "btn btn--ghost",
+            type: "button",
+            text: "취소",
+            onClick: () => setState({ editingResponseId: null }),
+          })
+        : "",
+    ]),
+  ]);
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    saveResponse(form, response).catch(showError("답변 저장에 실패했습니다."));
+  });
+  return form;
+}
+
+function renderOfficialResponses() {
+  const items = state.responses.map((r) =>
+    state.editingResponseId === r.id
+      ? h("div", { class: "official" }, [renderResponseForm(r)])
+      : h("div", { class: "official" }, [
+          h("div", { class: "list-item__row" }, [
+            h("div", { class: "official__label" }, [
+              h("span", { class: "badge badge--official", text: "공식 답변" }),
+              r.author,
+            ]),
+            h("div", {
+              class: "list-item__author",
+              text: r.updatedAt
+                ? `${formatDate(r.createdAt)} (수정 ${formatDate(r.updatedAt)})`
+                : formatDate(r.createdAt),
+            }),
+          ]),
+          h("div", { class: "detail__content", text: r.content }),
+          hasRole("moderator")
+            ? h("div", { class: "btn-row" }, [
+                h("button", {
+                  class: "btn btn--ghost",
+                  type: "button",
+                  text: "답변 수정",
+                  onClick: () => setState({ editingResponseId: r.id }),
+                }),
+                h("button", {
+                  class: "btn btn--danger",
+                  type: "button",
+                  text: "답변 삭제",
+                  onClick: () => deleteResponse(r.id).catch(showError("삭제에 실패했습니다.")),
+                }),
+              ])
+            : "",
+        ]),
+  );
+
+  if (!hasRole("moderator") && items.length === 0 && !state.responsesError) return "";
+  return h("div", { class: "stack" }, [
+    state.responsesError
+      ? h("p", { class: "panel__text", text: state.responsesError })
+      : "",
+    ...items,
+    hasRole("moderator") && state.editingResponseId === null
+      ? h("div", { class: "official official--draft" }, [
+          h("h3", { class: "panel__title", text: "공식 답변 작성" }),
+          renderResponseForm(),
+        ])
+      : "",
+  ]);
+}
+
+async function toggleRevisions() {
+  const post = state.currentPost;
+  if (!post) return;
+  if (state.revisions) {
+    setState({ revisions: null });
+    return;
+  }
+  const data = await apiJson(`/api/posts/${post.id}/revisions`);
+  const items = data.revisions || [];
+  setState({ revisions: { items, selectedId: items[0]?.id ?? null } });
+}
+
+// Line diff via the longest common subsequence; posts are short enough that
+// the quadratic table is not a concern.
+function diffLines(before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: "same", text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ type: "removed", text: a[i++] });
+    } else {
+      lines.push({ type: "added", text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: "removed", text: a[i++] });
+  while (j < b.length) lines.push({ type: "added", text: b[j++] });
+  return lines;
+}
+
+const DIFF_MARKS = { same: " ", removed: "-", added: "+" };
+
+function renderDiff(before, after) {
+  return h(
+    "div",
+    { class: "diff" },
+    diffLines(before, after).map((line) =>
+      h("div", {
+        class: `diff__line diff__line--${line.type}`,
+        text: `${DIFF_MARKS[line.type]} ${line.text}`,
+      }),
+    ),
+  );
+}
+
+// Each revision is the text an edit replaced, so it is compared with the
+// version that came after it: the next newer revision, or the post itself.
+function renderRevisions(post) {
+  const { items, selectedId } = state.revisions;
+  if (items.length === 0) {
+    return h("p", { class: "panel__text", text: "저장된 수정 이력이 없습니다." });
+  }
+  return h(
+    "div",
+    { class: "list" },
+    items.map((revision, index) => {
+      const next = index === 0 ? post : items[index - 1];
+      const selected = revision.id === selectedId;
+      return h("div", { class: "list-item comment--static" }, [
+        h("div", { class: "list-item__row" }, [
+          h("button", {
+            class: "btn btn--ghost",
+            type: "button",
+            text: selected ? "접기" : "변경 내용",
+            onClick: () =>
+              setState({
+                revisions: { ...state.revisions, selectedId: selected ? null : revision.id },
+              }),
+          }),
+          h("div", {
+            class: "list-item__author",
+            text: `${formatDate(revision.createdAt)} 수정 · ${
+              revision.adminUsername ? `관리자 ${revision.adminUsername}` : "작성자"
+            }`,
+          }),
+        ]),
+        selected && revision.title !== next.title
+          ? renderDiff(`제목: ${revision.title}`, `제목: ${next.title}`)
+          : "",
+        selected ? renderDiff(revision.content, next.content) : "",
+      ]);
+    }),
+  );
+}
+
 function renderList() {
   const list = h("div", { class: "list" });
   if (state.posts.length === 0) {
@@ -368,21 +1378,41 @@ function renderList() {
           })
         : "",
       h("div", { class: "list-item__row" }, [
-        h("div", { class: "list-item__title", text: post.title + commentSuffix }),
-        h("div", { class: "list-item__author", text: post.author }),
+        h("div", { class: "list-item__title" }, [
+          renderStatusBadge(post.status),
+          categoryName(post.categoryId)
+            ? h("span", { class: "tag", text: categoryName(post.categoryId) })
+            : "",
+          post.visibility === "confidential" ? h("span", { class: "tag", text: "비공개" }) : "",
+          (post.title ?? CONFIDENTIAL_TITLE) + commentSuffix,
+          post.endorsementCount > 0
+            ? h("span", { class: "tag tag--endorse", text: `공감 ${post.endorsementCount}` })
+            : "",
+        ]),
+        h("div", { class: "list-item__author", text: post.author ?? "-" }),
       ]),
     ]);
     if (isAdmin()) {
       const checkbox = item.querySelector(".list-item__check");
-      checkbox.checked = state.selectedIds.has(post.id);
+      checkbox.checked = state.selectAllMatching || state.selectedIds.has(post.id);
       checkbox.addEventListener("click", (e) => e.stopPropagation());
       checkbox.addEventListener("change", () => {
-        if (checkbox.checked) state.selectedIds.add(post.id);
-        else state.selectedIds.delete(post.id);
+        if (checkbox.checked) {
+          state.selectedIds.add(post.id);
+          render();
+          return;
+        }
+        // Unticking one post narrows "all matching" back to what is on screen.
+        if (state.selectAllMatching) {
+          state.selectedIds = new Set(state.posts.map((p) => p.id));
+          state.selectAllMatching = false;
+        }
+        state.selectedIds.delete(post.id);
+        render();
       });
     }
     item.addEventListener("click", () => {
-      openPost(post.id).catch(() => alert("게시글을 불러오지 못했습니다."));
+      openPost(post.id).catch(showError("게시글을 불러오지 못했습니다."));
     });
     list.append(item);
   }
@@ -397,7 +1427,10 @@ function downloadCsv(filename, rows) {
     return text;
   };
   const csv = rows.map((row) => row.map(escapeCell).join(",")).join("\r\n");
-  const blob = new Blob(["\uFEFF" + csv], { type: "text/csv;charset=utf-8;" });
+  saveBlob(filename, new Blob(["\uFEFF" + csv], { type: "text/csv;charset=utf-8;" }));
+}
+
+function saveBlob(filename, blob) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
@@ -408,48 +1441,76 @@ function downloadCsv(filename, rows) {
   URL.revokeObjectURL(url);
 }
 
+const BULK_POST_LIMIT = 1000;
+
+function selectedCount() {
+  return state.selectAllMatching ? state.total : state.selectedIds.size;
+}
+
+// Request body naming the selection: the explicit ids, or the list filter
+// when every matching post is selected.
+function bulkSelection() {
+  if (!state.selectAllMatching) return { ids: Array.from(state.selectedIds) };
+  const filter = {};
+  if (state.statusFilter) filter.status = state.statusFilter;
+  if (state.categoryFilter) filter.category = state.categoryFilter;
+  if (state.searchQuery) filter.q = state.searchQuery;
+  if (state.dateFrom) filter.from = localDayStart(state.dateFrom);
+  if (state.dateTo) filter.to = localDayStart(state.dateTo, 1);
+  return { filter };
+}
+
+// Runs one server-side bulk action over the selection. Returns null when
+// nothing is selected or the selection is too large.
+async function runBulkAction(action, extra = {}) {
+  const count = selectedCount();
+  if (count === 0) {
+    alert("선택된 게시물이 없습니다.");
+    return null;
+  }
+  if (count > BULK_POST_LIMIT) {
+    alert(`한 번에 ${BULK_POST_LIMIT}개까지만 처리할 수 있습니다.`);
+    return null;
+  }
+  return apiJson("/api/admin/posts/bulk", {
+    method: "POST",
+    body: JSON.stringify({ action, ...extra, ...bulkSelection() }),
+  });
+}
+
 async function exportSelectedPosts() {
   if (!isAdmin()) return;
-  const ids = Array.from(state.selectedIds);
-  if (ids.length === 0) {
-    alert("내보낼 게시물을 선택해 주세요.");
-    return;
-  }
+  const data = await runBulkAction("export");
+  if (!data) return;
   const rows = [["제목", "내용", "작성자"]];
-  for (const id of ids) {
-    const data = await apiJson(`/api/posts/${id}`);
-    const post = data.post;
-    rows.push([post.title, post.content, post.author]);
-  }
+  for (const post of data.posts || []) rows.push([post.title, post.content, post.author]);
   downloadCsv(`woldecks-posts-${new Date().toISOString().slice(0, 10)}.csv`, rows);
+  if (data.failed > 0) alert(`내보내지 못한 게시물: ${data.failed}건`);
 }
 
+async function finishBulkAction(data, failureLabel) {
+  if (!data) return;
+  if (data.failed > 0) alert(`${failureLabel}: ${data.failed}건`);
+  state.selectedIds = new Set();
+  state.selectAllMatching = false;
+  await refreshPosts();
+}
 
 async function deleteSelectedPosts() {
-  if (!isAdmin()) return;
-  const ids = Array.from(state.selectedIds);
-  if (ids.length === 0) {
-    alert("선택된 게시물이 없습니다.");
+  if (!hasRole("moderator")) return;
+  if (selectedCount() > 0 && !confirm(`선택한 게시물 ${selectedCount()}개를 휴지통으로 옮길까요?`)) {
     return;
   }
-  if (!confirm(`선택한 게시물 ${ids.length}개를 삭제할까요?`)) return;
+  await finishBulkAction(await runBulkAction("delete"), "삭제 실패");
+}
 
-  const results = await Promise.allSettled(
-    ids.map((id) =>
-      apiJson(`/api/posts/${id}`, {
-        method: "DELETE",
-        body: JSON.stringify({}),
-      }),
-    ),
-  );
-  const failed = results.filter((r) => r.status === "rejected");
-  if (failed.length > 0) {
-    alert(`삭제 실패: ${failed.length}건`);
+async function changeSelectedStatus(status) {
+  if (!hasRole("moderator") || !POST_STATUSES.includes(status)) return;
+  const count = selectedCount();
+  if (count > 0 && !confirm(`선택한 게시물 ${count}개를 '${STATUS_LABELS[status]}'(으)로 바꿀까요?`)) {
+    return;
   }
-
-  state.selectedIds = new Set();
-  await refreshPosts();
-  render();
+  await finishBulkAction(await runBulkAction("status", { status }), "상태 변경 실패");
 }
 
 
@@ -462,12 +1523,171 @@ function toggleSelectAll(checked) {
   } else {
     state.selectedIds = new Set();
   }
+  state.selectAllMatching = false;
   render();
 }
 
+function renderBulkStatusSelect() {
+  const select = h(
+    "select",
+    {
+      name: "bulkStatus",
+      onChange: (e) =>
+        changeSelectedStatus(e.target.value).catch(showError("상태 변경에 실패했습니다.")),
+    },
+    [
+      h("option", { value: "", text: "상태 일괄 변경" }),
+      ...POST_STATUSES.map((status) =>
+        h("option", { value: status, text: STATUS_LABELS[status] }),
+      ),
+    ],
+  );
+  select.value = "";
+  return select;
+}
+
+// Offered once the whole page is ticked and more posts match than fit on it.
+function renderSelectAllNotice(allChecked) {
+  if (!isAdmin() || !allChecked || state.total <= state.posts.length) return "";
+  if (state.selectAllMatching) {
+    return h("div", { class: "notice" }, [
+      h("span", { text: `검색 결과 ${state.total}개가 모두 선택되었습니다. ` }),
+      h("button", {
+        class: "btn btn--ghost",
+        type: "button",
+        text: "선택 해제",
+        onClick: () => toggleSelectAll(false),
+      }),
+    ]);
+  }
+  return h("div", { class: "notice" }, [
+    h("span", { text: `이 페이지의 ${state.posts.length}개가 선택되었습니다. ` }),
+    h("button", {
+      class: "btn btn--ghost",
+      type: "button",
+      text: `검색 결과 ${state.total}개 모두 선택`,
+      onClick: () => setState({ selectAllMatching: true }),
+    }),
+  ]);
+}
+
+function changeStatusFilter(status) {
+  setState({ statusFilter: status, page: 1, selectedIds: new Set(), selectAllMatching: false });
+  refreshPosts().catch(showError("게시글을 불러오지 못했습니다."));
+  navigate("list", null, true);
+}
+
+function applySearch(form) {
+  const dateFrom = form.querySelector("[name=from]").value;
+  const dateTo = form.querySelector("[name=to]").value;
+  if (dateFrom && dateTo && dateFrom > dateTo) {
+    alert("시작일이 종료일보다 늦습니다.");
+    return;
+  }
+  setState({
+    searchQuery: form.querySelector("[name=q]").value.trim(),
+    dateFrom,
+    dateTo,
+    page: 1,
+    selectedIds: new Set(),
+    selectAllMatching: false,
+  });
+  refreshPosts().catch(showError("게시글을 불러오지 못했습니다."));
+  navigate("list", null, true);
+}
+
+function renderSearchForm() {
+  const form = h("form", { class: "search" }, [
+    h("input", {
+      class: "search__query",
+      name: "q",
+      type: "search",
+      placeholder: "제목·내용 검색",
+      value: state.searchQuery,
+    }),
+    h("input", { name: "from", type: "date", value: state.dateFrom, "aria-label": "시작일" }),
+    h("span", { class: "search__sep", text: "~" }),
+    h("input", { name: "to", type: "date", value: state.dateTo, "aria-label": "종료일" }),
+    h("button", { class: "btn", type: "submit", text: "검색" }),
+    state.searchQuery || state.dateFrom || state.dateTo
+      ? h("button", {
+          class: "btn btn--ghost",
+          type: "button",
+          text: "초기화",
+          onClick: () => {
+            form.querySelectorAll("input").forEach((input) => {
+              input.value = "";
+            });
+            applySearch(form);
+          },
+        })
+      : "",
+  ]);
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    applySearch(form);
+  });
+  return form;
+}
+
+function renderStatusFilter() {
+  const select = h(
+    "select",
+    { name: "statusFilter", onChange: (e) => changeStatusFilter(e.target.value) },
+    [
+      h("option", { value: "", text: "전체 상태" }),
+      ...POST_STATUSES.map((status) =>
+        h("option", { value: status, text: STATUS_LABELS[status] }),
+      ),
+    ],
+  );
+  select.value = state.statusFilter;
+  return select;
+}
+
+function changeSort(sort) {
+  setState({ sort, page: 1 });
+  refreshPosts().catch(showError("게시글을 불러오지 못했습니다."));
+  navigate("list", null, true);
+}
+
+function renderSortSelect() {
+  const select = h(
+    "select",
+    { name: "sort", onChange: (e) => changeSort(e.target.value) },
+    Object.entries(POST_SORT_LABELS).map(([value, label]) => h("option", { value, text: label })),
+  );
+  select.value = state.sort;
+  return select;
+}
+
+function changeCategoryFilter(categoryId) {
+  setState({ categoryFilter: categoryId, page: 1, selectedIds: new Set(), selectAllMatching: false });
+  refreshPosts().catch(showError("게시글을 불러오지 못했습니다."));
+  navigate("list", null, true);
+}
+
+function renderCategoryChips() {
+  const counts = state.categoryCounts || {};
+  const total = Object.values(counts).reduce((sum, n) => sum + Number(n || 0), 0);
+  const chip = (id, label, count) =>
+    h("button", {
+      class: state.categoryFilter === id ? "chip chip--active" : "chip",
+      type: "button",
+      text: `${label} ${count}`,
+      onClick: () => changeCategoryFilter(id),
+    });
+  return h("div", { class: "chips" }, [
+    chip("", "전체", total),
+    ...state.categories.map((c) => chip(c.id, c.name, Number(counts[c.id] || 0))),
+    counts.none ? chip("none", "미분류", Number(counts.none)) : "",
+  ]);
+}
+
 function renderListView() {
   const allChecked =
-    state.posts.length > 0 && state.posts.every((p) => state.selectedIds.has(p.id));
+    state.posts.length > 0 &&
+    (state.selectAllMatching || state.posts.every((p) => state.selectedIds.has(p.id)));
   const totalPages = Math.max(1, Math.ceil(state.total / state.pageSize));
   const pages = Array.from({ length: totalPages }, (_, i) => i + 1);
 
@@ -475,6 +1695,14 @@ function renderListView() {
     h("div", { class: "list-head" }, [
       h("div", { class: "list-head__left" }, [
         h("h2", { class: "panel__title", text: "게시글 목록" }),
+        renderStatusFilter(),
+        renderSortSelect(),
+        h("button", {
+          class: "btn btn--ghost",
+          type: "button",
+          text: "접수번호 조회",
+          onClick: () => navigate("receipt"),
+        }),
         isAdmin()
           ? h("label", { class: "list-head__check" }, [
               h("input", {
@@ -486,24 +1714,110 @@ function renderListView() {
             ])
           : "",
       ]),
+      hasRole("moderator")
+        ? h("button", {
+            class: "btn btn--ghost",
+            type: "button",
+            text: "분류 관리",
+            onClick: () => navigate("categories"),
+          })
+        : "",
+      hasRole("moderator")
+        ? h("button", {
+            class: "btn btn--ghost",
+            type: "button",
+            text: "휴지통",
+            onClick: () => {
+              navigate("trash");
+              refreshTrash().catch(showError("휴지통을 불러오지 못했습니다."));
+            },
+          })
+        : "",
+      hasRole("owner")
+        ? h("button", {
+            class: "btn btn--ghost",
+            type: "button",
+            text: "계정 관리",
+            onClick: () => {
+              navigate("admins");
+              refreshAdminUsers().catch(showError("계정 목록을 불러오지 못했습니다."));
+            },
+          })
+        : "",
+      hasRole("owner")
+        ? h("button", {
+            class: "btn btn--ghost",
+            type: "button",
+            text: "웹훅",
+            onClick: () => {
+              navigate("webhooks");
+              refreshWebhooks().catch(showError("웹훅 목록을 불러오지 못했습니다."));
+            },
+          })
+        : "",
       isAdmin()
         ? h("button", {
             class: "btn btn--ghost",
             type: "button",
-            text: "CSV 내보내기",
-            onClick: () => exportSelectedPosts().catch(() => alert("내보내기에 실패했습니다.")),
+            text: "보안 설정",
+            onClick: () => {
+              navigate("security");
+              refreshSecurity().catch(showError("설정을 불러오지 못했습니다."));
+            },
+          })
+        : "",
+      hasRole("owner")
+        ? h("button", {
+            class: "btn btn--ghost",
+            type: "button",
+            text: "감사 로그",
+            onClick: () => {
+              navigate("audit");
+              refreshAudit().catch(showError("감사 로그를 불러오지 못했습니다."));
+            },
+          })
+        : "",
+      isAdmin()
+        ? h("button", {
+            class: "btn btn--ghost",
+            type: "button",
+            text: "선택 CSV",
+            onClick: () => exportSelectedPosts().catch(showError("내보내기에 실패했습니다.")),
           })
         : "",
-
       isAdmin()
+        ? h("button", {
+            class: "btn btn--ghost",
+            type: "button",
+            text: "내보내기",
+            onClick: () => navigate("export"),
+          })
+        : "",
+      isAdmin()
+        ? h("button", {
+            class: "btn btn--ghost",
+            type: "button",
+            text: "통계",
+            onClick: () => {
+              navigate("stats");
+              refreshStats().catch(showError("통계를 불러오지 못했습니다."));
+            },
+          })
+        : "",
+
+      hasRole("moderator") ? renderBulkStatusSelect() : "",
+      hasRole("moderator")
         ? h("button", {
             class: "btn btn--danger",
             type: "button",
             text: "선택 삭제",
-            onClick: () => deleteSelectedPosts().catch(() => alert("삭제에 실패했습니다.")),
+            onClick: () => deleteSelectedPosts().catch(showError("삭제에 실패했습니다.")),
           })
         : "",
     ]),
+    renderSelectAllNotice(allChecked),
+    renderSearchForm(),
+    renderCategoryChips(),
     renderList(),
     h("div", { class: "btn-row" }, [
       h("button", {
@@ -514,7 +1828,7 @@ function renderListView() {
         onClick: () => {
           if (state.page <= 1) return;
           setState({ page: state.page - 1 });
-          refreshPosts().catch(() => alert("게시글을 불러오지 못했습니다."));
+          refreshPosts().catch(showError("게시글을 불러오지 못했습니다."));
           navigate("list", null, true);
         },
       }),
@@ -526,7 +1840,7 @@ function renderListView() {
           onClick: () => {
             if (p === state.page) return;
             setState({ page: p });
-            refreshPosts().catch(() => alert("게시글을 불러오지 못했습니다."));
+            refreshPosts().catch(showError("게시글을 불러오지 못했습니다."));
             navigate("list", null, true);
           },
         }),
@@ -539,7 +1853,7 @@ function renderListView() {
         onClick: () => {
           if (state.page >= totalPages) return;
           setState({ page: state.page + 1 });
-          refreshPosts().catch(() => alert("게시글을 불러오지 못했습니다."));
+          refreshPosts().catch(showError("게시글을 불러오지 못했습니다."));
           navigate("list", null, true);
         },
       }),
@@ -547,7 +1861,51 @@ function renderListView() {
   ]);
 }
 
+async function refreshPiiPolicy() {
+  const data = await apiJson("/api/pii-policy");
+  setState({ piiPolicy: data });
+}
+
+// Runs the server's PII patterns over `text` so authors see what would be
+// masked or refused before they submit.
+function scanPii(text) {
+  const counts = {};
+  const masked = (state.piiPolicy?.patterns || []).reduce((current, { type, source }) => {
+    let pattern;
+    try {
+      pattern = new RegExp(source, "g");
+    } catch {
+      return current; // e.g. lookbehind on an old browser; the server still checks
+    }
+    return current.replace(pattern, () => {
+      counts[type] = (counts[type] || 0) + 1;
+      return PII_MASKS[type] || "[개인정보]";
+    });
+  }, text);
+  return { counts, masked };
+}
+
+function updatePiiWarning(form, warning) {
+  const title = form.querySelector("[name=title]").value;
+  const content = form.querySelector("[name=content]").value;
+  const { counts } = scanPii(`${title}\n${content}`);
+  const found = Object.entries(counts);
+  warning.hidden = found.length === 0;
+  if (found.length === 0) return;
+  const summary = found.map(([type, n]) => `${PII_TYPE_LABELS[type] || type} ${n}건`).join(", ");
+  const reject = state.piiPolicy?.mode === "reject";
+  warning.replaceChildren(
+    h("div", {
+      text: reject
+        ? `개인정보로 보이는 내용이 있습니다 (${summary}). 지우지 않으면 등록되지 않습니다.`
+        : `개인정보로 보이는 내용이 있습니다 (${summary}). 등록하면 아래처럼 가려서 저장됩니다.`,
+    }),
+    reject ? "" : h("div", { class: "pii-warning__preview", text: scanPii(content).masked }),
+  );
+}
+
 function renderWriteView() {
+  const piiWarning = h("div", { class: "notice pii-warning", hidden: "hidden" });
   const form = h("form", {}, [
     h("h1", { class: "title", text: "불만 접수 작성" }),
     h("p", {
@@ -558,6 +1916,20 @@ function renderWriteView() {
       h("label", { text: "제목" }),
       h("input", { name: "title", placeholder: "제목" }),
     ]),
+    h("div", { class: "field" }, [
+      h("label", { text: "분류" }),
+      h("select", { name: "categoryId" }, [
+        h("option", { value: "", text: "분류 선택" }),
+        ...state.categories.map((c) => h("option", { value: c.id, text: c.name })),
+      ]),
+    ]),
+    h("div", { class: "field" }, [
+      h("label", { text: "공개 설정" }),
+      h("select", { name: "visibility" }, [
+        h("option", { value: "public", text: "공개" }),
+        h("option", { value: "confidential", text: "비공개 (작성자와 관리자만 열람)" }),
+      ]),
+    ]),
     h("div", { class: "field" }, [
       h("label", { text: "작성자" }),
       h("input", { name: "author", placeholder: "이름" }),
@@ -570,6 +1942,8 @@ function renderWriteView() {
       h("label", { text: "내용" }),
       h("textarea", { name: "content", placeholder: "내용" }),
     ]),
+    piiWarning,
+    renderHoneypot(),
       h("div", { class: "btn-row" }, [
         h("button", { class: "btn", type: "submit", text: "등록" }),
         h("button", {
@@ -581,9 +1955,10 @@ function renderWriteView() {
       ]),
     ]);
 
+  form.addEventListener("input", () => updatePiiWarning(form, piiWarning));
   form.addEventListener("submit", (e) => {
     e.preventDefault();
-    createPost(form).catch(() => alert("등록에 실패했습니다."));
+    createPost(form).catch(showError("등록에 실패했습니다."));
   });
 
   return h("section", { class: "panel" }, [form]);
@@ -630,7 +2005,7 @@ function renderDetailView() {
 
     editForm.addEventListener("submit", (e) => {
       e.preventDefault();
-      updateCurrentPost(editForm).catch(() => alert("수정에 실패했습니다."));
+      updateCurrentPost(editForm).catch(showError("수정에 실패했습니다."));
     });
 
     return h("section", { class: "panel" }, [
@@ -649,6 +2024,29 @@ function renderDetailView() {
 
   const commentForm = h("form", {}, [
     h("h3", { class: "panel__title", text: "댓글" }),
+    h("div", { class: "field" }, [
+      h("label", { text: "작성자" }),
+      h("input", {
+        name: "comment-author",
+        placeholder: "익명",
+        value: state.commentDraft.author === "익명" ? "" : state.commentDraft.author,
+        onInput: (e) => {
+          state.commentDraft = { ...state.commentDraft, author: e.target.value || "익명" };
+        },
+      }),
+    ]),
+    h("div", { class: "field" }, [
+      h("label", { text: "비밀번호 (선택, 수정·삭제용)" }),
+      h("input", {
+        name: "comment-password",
+        type: "password",
+        placeholder: "비밀번호",
+        value: state.commentDraft.password,
+        onInput: (e) => {
+          state.commentDraft = { ...state.commentDraft, password: e.target.value };
+        },
+      }),
+    ]),
     h("div", { class: "field" }, [
       h("label", { text: "댓글" }),
       h(
@@ -657,16 +2055,13 @@ function renderDetailView() {
           name: "comment-content",
           placeholder: "댓글",
           onInput: (e) => {
-            state.commentDraft = {
-              ...state.commentDraft,
-              author: "익명",
-              content: e.target.value,
-            };
+            state.commentDraft = { ...state.commentDraft, content: e.target.value };
           },
         },
         [state.commentDraft.content],
       ),
     ]),
+    renderHoneypot(),
     h("div", { class: "btn-row" }, [
       h("button", { class: "btn", type: "submit", text: "등록" }),
       h("button", {
@@ -680,7 +2075,7 @@ function renderDetailView() {
 
   commentForm.addEventListener("submit", (e) => {
     e.preventDefault();
-    createComment(commentForm).catch(() => alert("댓글 등록에 실패했습니다."));
+    createComment(commentForm).catch(showError("댓글 등록에 실패했습니다."));
   });
 
   const commentList = state.commentsError
@@ -690,25 +2085,7 @@ function renderDetailView() {
       : h(
           "div",
           { class: "list" },
-          state.comments.map((c) =>
-            h("div", { class: "list-item" }, [
-              h("div", { class: "list-item__row" }, [
-                h("div", { class: "list-item__title", text: c.author }),
-                h("div", { class: "list-item__author", text: formatDate(c.createdAt) }),
-              ]),
-              h("div", { class: "detail__content", text: c.content }),
-              isAdmin()
-                ? h("div", { class: "btn-row" }, [
-                    h("button", {
-                      class: "btn btn--danger",
-                      type: "button",
-                      text: "댓글 삭제",
-                      onClick: () => deleteComment(c.id).catch(() => alert("삭제에 실패했습니다.")),
-                    }),
-                  ])
-                : "",
-            ]),
-          ),
+          state.comments.map((c) => renderComment(c)),
         );
 
 
@@ -722,6 +2099,13 @@ function renderDetailView() {
   ]);
 
   return h("section", { class: "panel" }, [
+    h("div", { class: "detail__status" }, [
+      renderStatusBadge(post.status),
+      categoryName(post.categoryId)
+        ? h("span", { class: "tag", text: categoryName(post.categoryId) })
+        : "",
+      post.visibility === "confidential" ? h("span", { class: "tag", text: "비공개" }) : "",
+    ]),
     h("h1", { class: "title", text: post.title }),
     h("p", {
       class: "panel__text",
@@ -731,6 +2115,29 @@ function renderDetailView() {
       ? h("p", { class: "panel__text", text: `수정일: ${formatDate(post.updatedAt)}` })
       : "",
     h("div", { class: "detail__content", text: post.content }),
+    h("div", { class: "btn-row" }, [
+      h("button", {
+        class: post.endorsed ? "btn btn--endorsed" : "btn btn--ghost",
+        type: "button",
+        text: `${post.endorsed ? "공감했습니다" : "저도 같은 불만입니다"} · ${post.endorsementCount || 0}`,
+        disabled: post.endorsed ? "disabled" : null,
+        onClick: () => endorseCurrentPost().catch(showError("공감하지 못했습니다.")),
+      }),
+    ]),
+    renderStatusTimeline(post),
+    hasRole("moderator") ? renderStatusControl(post) : "",
+    hasRole("viewer") && post.updatedAt
+      ? h("div", { class: "btn-row" }, [
+          h("button", {
+            class: "btn btn--ghost",
+            type: "button",
+            text: state.revisions ? "수정 이력 닫기" : "수정 이력",
+            onClick: () =>
+              toggleRevisions().catch(showError("수정 이력을 불러오지 못했습니다.")),
+          }),
+        ])
+      : "",
+    state.revisions ? renderRevisions(post) : "",
     h("div", { class: "btn-row" }, [
       h("button", {
         class: "btn btn--ghost",
@@ -743,92 +2150,1423 @@ function renderDetailView() {
         class: "btn btn--danger",
         type: "button",
         text: "삭제",
-        onClick: () => deleteCurrentPost().catch(() => alert("삭제에 실패했습니다.")),
+        onClick: () => deleteCurrentPost().catch(showError("삭제에 실패했습니다.")),
       }),
     ]),
+    renderOfficialResponses(),
     commentToggle,
     state.showCommentForm ? commentForm : "",
     commentList,
   ]);
 }
 
-function render() {
-  const content =
-    state.view === "write"
-      ? renderWriteView()
-      : state.view === "detail"
-        ? renderDetailView()
-        : renderListView();
-
-  const fab =
-    state.view === "detail"
-      ? ""
-      : h("button", {
-          class: "btn fab",
+async function saveCategory(form, category = null) {
+  const name = form.querySelector("[name=name]").value.trim();
+  const sortOrder = Number.parseInt(form.querySelector("[name=sortOrder]").value || "0", 10);
+  if (!name) {
+    alert("분류 이름을 입력해 주세요.");
+    return;
+  }
+  try {
+    await apiJson(category ? `/api/admin/categories/${category.id}` : "/api/admin/categories", {
+      method: category ? "PUT" : "POST",
+      body: JSON.stringify({ name, sortOrder }),
+    });
+  } catch (err) {
+    if (/exists/i.test(err.message)) {
+      alert("이미 있는 분류 이름입니다.");
+      return;
+    }
+    throw err;
+  }
+  if (!category) form.reset();
+  await refreshCategories();
+}
+
+async function deleteCategory(category) {
+  if (!confirm(`'${category.name}' 분류를 삭제할까요? 해당 게시글은 미분류가 됩니다.`)) return;
+  await apiJson(`/api/admin/categories/${category.id}`, {
+    method: "DELETE",
+    body: JSON.stringify({}),
+  });
+  await refreshCategories();
+  await refreshPosts();
+}
+
+function renderCategoryForm(category = null) {
+  const form = h("form", { class: "inline-form" }, [
+    h("input", { name: "name", placeholder: "분류 이름", value: category?.name ?? "" }),
+    h("input", {
+      name: "sortOrder",
+      type: "number",
+      placeholder: "순서",
+      value: category ? category.sortOrder : "",
+    }),
+    h("button", { class: "btn", type: "submit", text: category ? "저장" : "추가" }),
+    category
+      ? h("button", {
+          class: "btn btn--danger",
           type: "button",
-          text: state.view === "write" ? "목록으로" : "글쓰기",
-          onClick: () =>
-            state.view === "write" ? goList(true) : navigate("write"),
-        });
+          text: "삭제",
+          onClick: () => deleteCategory(category).catch(showError("삭제에 실패했습니다.")),
+        })
+      : "",
+  ]);
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    saveCategory(form, category).catch(showError("저장에 실패했습니다."));
+  });
+  return form;
+}
 
-  app.replaceChildren(h("div", { class: "stack" }, [content, fab, renderAdminModal()]));
+function renderCategoriesView() {
+  if (!hasRole("moderator")) {
+    return h("section", { class: "panel" }, [
+      h("p", { class: "panel__text", text: "관리자만 접근할 수 있습니다." }),
+    ]);
+  }
+  return h("section", { class: "panel" }, [
+    h("h1", { class: "title", text: "분류 관리" }),
+    h("div", { class: "list" }, state.categories.map((c) => renderCategoryForm(c))),
+    h("h3", { class: "panel__title", text: "새 분류" }),
+    renderCategoryForm(),
+    h("div", { class: "btn-row" }, [
+      h("button", {
+        class: "btn btn--ghost",
+        type: "button",
+        text: "목록",
+        onClick: () => goList(true),
+      }),
+    ]),
+  ]);
 }
 
-document.getElementById("year").textContent = String(new Date().getFullYear());
-document.getElementById("adminButton").addEventListener("click", async () => {
+async function refreshAdminUsers() {
+  const data = await apiJson("/api/admin/users");
+  setState({ adminUsers: data.users || [] });
+}
+
+async function updateAdminUser(user, changes) {
+  await apiJson(`/api/admin/users/${user.id}`, {
+    method: "PUT",
+    body: JSON.stringify(changes),
+  });
+  await refreshAdminUsers();
+}
+
+async function resetAdminPassword(user) {
+  const password = prompt(`'${user.username}' 계정의 새 비밀번호 (8자 이상)`) || "";
+  if (!password) return;
+  await apiJson(`/api/admin/users/${user.id}/password`, {
+    method: "PUT",
+    body: JSON.stringify({ password }),
+  });
+  alert("비밀번호를 변경했습니다.");
+}
+
+async function createAdminUser(form) {
+  const username = form.querySelector("[name=username]").value.trim();
+  const displayName = form.querySelector("[name=displayName]").value.trim();
+  const role = form.querySelector("[name=role]").value;
+  const password = form.querySelector("[name=password]").value;
+  if (!username || password.length < 8) {
+    alert("아이디와 8자 이상의 비밀번호를 입력해 주세요.");
+    return;
+  }
   try {
-    await refreshAdmin();
-    if (state.adminLoggedIn) {
-      if (!confirm("관리자 로그아웃 하시겠어요?")) return;
-      await apiJson("/api/admin/logout", { method: "POST" });
-      await refreshAdmin();
+    await apiJson("/api/admin/users", {
+      method: "POST",
+      body: JSON.stringify({ username, displayName, role, password }),
+    });
+  } catch (err) {
+    if (/exists/i.test(err.message)) {
+      alert("이미 있는 아이디입니다.");
       return;
     }
-    setState({ showAdminLogin: true });
-  } catch {
-    alert("요청에 실패했습니다.");
+    if (/username/i.test(err.message)) {
+      alert("아이디는 영문 소문자, 숫자, . _ - 로 3~32자여야 합니다.");
+      return;
+    }
+    throw err;
   }
-});
+  form.reset();
+  await refreshAdminUsers();
+}
 
-Promise.all([refreshAdmin(), refreshPosts()])
-  .catch(() => alert("데이터를 불러오지 못했습니다."))
-  .finally(() => {
-    if (!history.state) navigate("list", null, true);
-    render();
+function renderRoleSelect(name, value, onChange) {
+  const select = h(
+    "select",
+    { name, onChange },
+    ADMIN_ROLES.map((role) => h("option", { value: role, text: ROLE_LABELS[role] })),
+  );
+  select.value = value;
+  return select;
+}
+
+function renderAdminUserRow(user) {
+  const isSelf = user.id === state.adminUser?.id;
+  return h("div", { class: user.disabled ? "list-item list-item--muted" : "list-item" }, [
+    h("div", { class: "list-item__row" }, [
+      h("div", { class: "list-item__title" }, [
+        user.disabled ? h("span", { class: "tag", text: "비활성" }) : "",
+        `${user.displayName} (${user.username})`,
+      ]),
+      h("div", {
+        class: "list-item__author",
+        text: user.lastLoginAt ? `최근 로그인 ${formatDate(user.lastLoginAt)}` : "로그인 기록 없음",
+      }),
+    ]),
+    h("div", { class: "inline-form" }, [
+      isSelf
+        ? h("span", { class: "tag", text: ROLE_LABELS[user.role] })
+        : renderRoleSelect("role", user.role, (e) =>
+            updateAdminUser(user, { role: e.target.value }).catch(
+              showError("권한 변경에 실패했습니다."),
+            ),
+          ),
+      h("button", {
+        class: "btn btn--ghost",
+        type: "button",
+        text: "비밀번호 재설정",
+        onClick: () => resetAdminPassword(user).catch(showError("비밀번호 변경에 실패했습니다.")),
+      }),
+      isSelf
+        ? ""
+        : h("button", {
+            class: user.disabled ? "btn" : "btn btn--danger",
+            type: "button",
+            text: user.disabled ? "활성화" : "비활성화",
+            onClick: () =>
+              updateAdminUser(user, { disabled: !user.disabled }).catch(
+                showError("변경에 실패했습니다."),
+              ),
+          }),
+    ]),
+  ]);
+}
+
+function renderAdminsView() {
+  if (!hasRole("owner")) {
+    return h("section", { class: "panel" }, [
+      h("p", { class: "panel__text", text: "관리 책임자만 접근할 수 있습니다." }),
+    ]);
+  }
+
+  const form = h("form", { class: "inline-form" }, [
+    h("input", { name: "username", placeholder: "아이디", autocomplete: "off" }),
+    h("input", { name: "displayName", placeholder: "이름" }),
+    renderRoleSelect("role", "viewer"),
+    h("input", {
+      name: "password",
+      type: "password",
+      placeholder: "초기 비밀번호",
+      autocomplete: "new-password",
+    }),
+    h("button", { class: "btn", type: "submit", text: "계정 추가" }),
+  ]);
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    createAdminUser(form).catch(showError("계정 추가에 실패했습니다."));
   });
 
-window.addEventListener("popstate", async (event) => {
-  const st = event.state;
-  if (!st || !st.view) {
-    setState({ view: "list", currentPost: null, editMode: false });
+  return h("section", { class: "panel" }, [
+    h("h1", { class: "title", text: "계정 관리" }),
+    h("div", { class: "list" }, state.adminUsers.map(renderAdminUserRow)),
+    h("h3", { class: "panel__title", text: "새 계정" }),
+    form,
+    h("div", { class: "btn-row" }, [
+      h("button", {
+        class: "btn btn--ghost",
+        type: "button",
+        text: "목록",
+        onClick: () => goList(true),
+      }),
+    ]),
+  ]);
+}
+
+async function refreshAudit() {
+  const { page, action, from, to } = state.audit;
+  const params = new URLSearchParams({ page: String(page) });
+  if (action) params.set("action", action);
+  if (from) params.set("from", localDayStart(from));
+  if (to) params.set("to", localDayStart(to, 1));
+  const data = await apiJson(`/api/admin/audit?${params.toString()}`);
+  setState({
+    audit: {
+      ...state.audit,
+      entries: data.entries || [],
+      total: Number.isFinite(data.total) ? data.total : 0,
+      pageSize: Number.isFinite(data.pageSize) ? data.pageSize : state.audit.pageSize,
+    },
+  });
+}
+
+function changeAuditQuery(changes) {
+  setState({ audit: { ...state.audit, page: 1, ...changes } });
+  refreshAudit().catch(showError("감사 로그를 불러오지 못했습니다."));
+}
+
+function describeAuditTarget(entry) {
+  const snapshot = entry.before || entry.after || {};
+  const label = snapshot.title || snapshot.name || snapshot.username || snapshot.url || "";
+  return [entry.targetType, entry.targetId, label].filter(Boolean).join(" · ");
+}
+
+function renderAuditEntry(entry) {
+  const snapshot = entry.before || entry.after;
+  return h("div", { class: "list-item" }, [
+    h("div", { class: "list-item__row" }, [
+      h("div", { class: "list-item__title" }, [
+        h("span", { class: "tag", text: AUDIT_ACTION_LABELS[entry.action] || entry.action }),
+        entry.adminUsername ||
+          (entry.action === "post.delete" || entry.action === "comment.delete"
+            ? "작성자"
+            : entry.action === "post.purge"
+              ? "자동 정리"
+              : "-"),
+      ]),
+      h("div", {
+        class: "list-item__author",
+        text: `${formatDate(entry.createdAt)} · ${entry.ip || "-"}`,
+      }),
+    ]),
+    h("div", { class: "list-item__meta", text: describeAuditTarget(entry) }),
+    snapshot
+      ? h("details", { class: "audit__snapshot" }, [
+          h("summary", { text: entry.before ? "삭제 전 내용" : "변경 내용" }),
+          h("pre", { text: JSON.stringify(snapshot, null, 2) }),
+        ])
+      : "",
+  ]);
+}
+
+function renderAuditView() {
+  if (!hasRole("owner")) {
+    return h("section", { class: "panel" }, [
+      h("p", { class: "panel__text", text: "관리 책임자만 접근할 수 있습니다." }),
+    ]);
+  }
+  const { entries, page, pageSize, total, action, from, to } = state.audit;
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+
+  const actionSelect = h(
+    "select",
+    { name: "action", onChange: (e) => changeAuditQuery({ action: e.target.value }) },
+    [
+      h("option", { value: "", text: "전체 작업" }),
+      ...Object.entries(AUDIT_ACTION_LABELS).map(([value, label]) =>
+        h("option", { value, text: label }),
+      ),
+    ],
+  );
+  actionSelect.value = action;
+
+  return h("section", { class: "panel" }, [
+    h("h1", { class: "title", text: "감사 로그" }),
+    h("div", { class: "search" }, [
+      actionSelect,
+      h("input", {
+        type: "date",
+        value: from,
+        "aria-label": "시작일",
+        onChange: (e) => changeAuditQuery({ from: e.target.value }),
+      }),
+      h("span", { class: "search__sep", text: "~" }),
+      h("input", {
+        type: "date",
+        value: to,
+        "aria-label": "종료일",
+        onChange: (e) => changeAuditQuery({ to: e.target.value }),
+      }),
+    ]),
+    entries.length === 0
+      ? h("p", { class: "empty", text: "기록이 없습니다." })
+      : h("div", { class: "list" }, entries.map(renderAuditEntry)),
+    h("div", { class: "btn-row" }, [
+      h("button", {
+        class: "btn btn--ghost",
+        type: "button",
+        text: "이전",
+        disabled: page <= 1 ? "disabled" : null,
+        onClick: () => {
+          setState({ audit: { ...state.audit, page: page - 1 } });
+          refreshAudit().catch(showError("감사 로그를 불러오지 못했습니다."));
+        },
+      }),
+      h("span", { class: "panel__text", text: `${page} / ${totalPages}` }),
+      h("button", {
+        class: "btn btn--ghost",
+        type: "button",
+        text: "다음",
+        disabled: page >= totalPages ? "disabled" : null,
+        onClick: () => {
+          setState({ audit: { ...state.audit, page: page + 1 } });
+          refreshAudit().catch(showError("감사 로그를 불러오지 못했습니다."));
+        },
+      }),
+      h("button", {
+        class: "btn btn--ghost",
+        type: "button",
+        text: "목록",
+        onClick: () => goList(true),
+      }),
+    ]),
+  ]);
+}
+
+async function refreshWebhooks() {
+  const data = await apiJson("/api/admin/webhooks");
+  setState({ webhooks: { ...state.webhooks, endpoints: data.webhooks || [] } });
+  if (state.webhooks.selectedId) await refreshWebhookDeliveries(state.webhooks.selectedId);
+}
+
+async function refreshWebhookDeliveries(endpointId) {
+  const data = await apiJson(`/api/admin/webhooks/${endpointId}/deliveries`);
+  setState({
+    webhooks: { ...state.webhooks, selectedId: endpointId, deliveries: data.deliveries || [] },
+  });
+}
+
+async function createWebhook(form) {
+  const url = form.querySelector("[name=url]").value.trim();
+  const description = form.querySelector("[name=description]").value.trim();
+  const events = [...form.querySelectorAll("[name=events]:checked")].map((input) => input.value);
+  if (!url || events.length === 0) {
+    alert("주소와 이벤트를 하나 이상 입력해 주세요.");
     return;
   }
-  if (st.view === "detail" && st.postId) {
-    if (state.currentPost?.id === st.postId) {
-      setState({ view: "detail", editMode: false });
+  let data;
+  try {
+    data = await apiJson("/api/admin/webhooks", {
+      method: "POST",
+      body: JSON.stringify({ url, description, events }),
+    });
+  } catch (err) {
+    if (/url/i.test(err.message)) {
+      alert("외부에서 접근할 수 있는 https:// 주소를 입력해 주세요. IP 주소와 내부망 주소는 쓸 수 없습니다.");
       return;
     }
-    try {
-      const data = await apiJson(`/api/posts/${st.postId}`);
-      setState({
-        comments: [],
-        showCommentForm: false,
-        commentDraft: { author: "익명", content: "" },
-      });
-      await refreshComments(st.postId);
-      setState({ view: "detail", currentPost: data.post, editMode: false });
-    } catch {
-      setState({ view: "list", currentPost: null, editMode: false });
-    }
-    return;
+    throw err;
   }
-  if (st.view === "write") {
-    setState({ view: "write", currentPost: null, editMode: false });
-    return;
+  form.reset();
+  setState({ webhooks: { ...state.webhooks, newSecret: data.secret || "" } });
+  await refreshWebhooks();
+}
+
+async function updateWebhook(endpoint, changes) {
+  await apiJson(`/api/admin/webhooks/${endpoint.id}`, {
+    method: "PUT",
+    body: JSON.stringify(changes),
+  });
+  await refreshWebhooks();
+}
+
+async function deleteWebhook(endpoint) {
+  if (!confirm(`'${endpoint.url}' 웹훅을 삭제할까요? 전송 기록도 함께 삭제됩니다.`)) return;
+  await apiJson(`/api/admin/webhooks/${endpoint.id}`, {
+    method: "DELETE",
+    body: JSON.stringify({}),
+  });
+  if (state.webhooks.selectedId === endpoint.id) {
+    setState({ webhooks: { ...state.webhooks, selectedId: null, deliveries: [] } });
   }
-  if (st.view === "list") {
-    const page = Number.isFinite(st.page) && st.page > 0 ? st.page : 1;
-    setState({ view: "list", currentPost: null, editMode: false, page });
+  await refreshWebhooks();
+}
+
+async function testWebhook(endpoint) {
+  const data = await apiJson(`/api/admin/webhooks/${endpoint.id}/test`, {
+    method: "POST",
+    body: JSON.stringify({}),
+  });
+  const delivery = data.delivery;
+  alert(
+    delivery?.status === "delivered"
+      ? `전송됨 (HTTP ${delivery.lastStatus})`
+      : `전송 실패: ${delivery?.lastError || "알 수 없는 오류"}`,
+  );
+  await refreshWebhookDeliveries(endpoint.id);
+}
+
+async function retryWebhookDelivery(delivery) {
+  await apiJson(`/api/admin/webhook-deliveries/${delivery.id}/retry`, {
+    method: "POST",
+    body: JSON.stringify({}),
+  });
+  await refreshWebhookDeliveries(delivery.endpointId);
+}
+
+function renderWebhookRow(endpoint) {
+  const selected = state.webhooks.selectedId === endpoint.id;
+  return h("div", { class: endpoint.disabled ? "list-item list-item--muted" : "list-item" }, [
+    h("div", { class: "list-item__row" }, [
+      h("div", { class: "list-item__title" }, [
+        endpoint.disabled ? h("span", { class: "tag", text: "비활성" }) : "",
+        endpoint.url,
+      ]),
+      h("div", { class: "list-item__author", text: `비밀 키 ${endpoint.secretHint}` }),
+    ]),
+    endpoint.description ? h("div", { class: "list-item__meta", text: endpoint.description }) : "",
+    h(
+      "div",
+      { class: "chips" },
+      endpoint.events.map((event) =>
+        h("span", { class: "tag", text: WEBHOOK_EVENT_LABELS[event] || event }),
+      ),
+    ),
+    h("div", { class: "btn-row" }, [
+      h("button", {
+        class: "btn btn--ghost",
+        type: "button",
+        text: "테스트 전송",
+        onClick: () => testWebhook(endpoint).catch(showError("테스트 전송에 실패했습니다.")),
+      }),
+      h("button", {
+        class: selected ? "btn" : "btn btn--ghost",
+        type: "button",
+        text: "전송 기록",
+        onClick: () =>
+          refreshWebhookDeliveries(endpoint.id).catch(
+            showError("전송 기록을 불러오지 못했습니다."),
+          ),
+      }),
+      h("button", {
+        class: endpoint.disabled ? "btn" : "btn btn--ghost",
+        type: "button",
+        text: endpoint.disabled ? "활성화" : "비활성화",
+        onClick: () =>
+          updateWebhook(endpoint, { disabled: !endpoint.disabled }).catch(
+            showError("변경에 실패했습니다."),
+          ),
+      }),
+      h("button", {
+        class: "btn btn--danger",
+        type: "button",
+        text: "삭제",
+        onClick: () => deleteWebhook(endpoint).catch(showError("삭제에 실패했습니다.")),
+      }),
+    ]),
+  ]);
+}
+
+function renderWebhookDelivery(delivery) {
+  const detail =
+    delivery.status === "delivered"
+      ? `HTTP ${delivery.lastStatus} · ${formatDate(delivery.deliveredAt)}`
+      : [
+          delivery.lastError,
+          delivery.nextAttemptAt ? `다음 시도 ${formatDate(delivery.nextAttemptAt)}` : "",
+        ]
+          .filter(Boolean)
+          .join(" · ");
+  return h("div", { class: "list-item" }, [
+    h("div", { class: "list-item__row" }, [
+      h("div", { class: "list-item__title" }, [
+        h("span", { class: "tag", text: DELIVERY_STATUS_LABELS[delivery.status] }),
+        WEBHOOK_EVENT_LABELS[delivery.event] || delivery.event,
+      ]),
+      h("div", {
+        class: "list-item__author",
+        text: `${formatDate(delivery.createdAt)} · 시도 ${delivery.attempts}회`,
+      }),
+    ]),
+    detail ? h("div", { class: "list-item__meta", text: detail }) : "",
+    delivery.status === "delivered"
+      ? ""
+      : h("div", { class: "btn-row" }, [
+          h("button", {
+            class: "btn btn--ghost",
+            type: "button",
+            text: "다시 보내기",
+            onClick: () =>
+              retryWebhookDelivery(delivery).catch(showError("다시 보내지 못했습니다.")),
+          }),
+        ]),
+  ]);
+}
+
+function renderWebhooksView() {
+  if (!hasRole("owner")) {
+    return h("section", { class: "panel" }, [
+      h("p", { class: "panel__text", text: "관리 책임자만 접근할 수 있습니다." }),
+    ]);
+  }
+  const { endpoints, selectedId, deliveries, newSecret } = state.webhooks;
+  const selected = endpoints.find((endpoint) => endpoint.id === selectedId);
+
+  const form = h("form", {}, [
+    h("div", { class: "inline-form" }, [
+      h("input", { name: "url", placeholder: "https://example.com/hooks/woldecks" }),
+      h("input", { name: "description", placeholder: "설명 (선택)" }),
+    ]),
+    h(
+      "div",
+      { class: "chips" },
+      Object.entries(WEBHOOK_EVENT_LABELS)
+        .filter(([event]) => event !== "ping")
+        .map(([event, label]) =>
+          h("label", { class: "list-head__check" }, [
+            h("input", { type: "checkbox", name: "events", value: event, checked: "checked" }),
+            h("span", { text: label }),
+          ]),
+        ),
+    ),
+    h("div", { class: "btn-row" }, [h("button", { class: "btn", type: "submit", text: "웹훅 추가" })]),
+  ]);
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    createWebhook(form).catch(showError("웹훅 추가에 실패했습니다."));
+  });
+
+  return h("section", { class: "panel" }, [
+    h("h1", { class: "title", text: "웹훅" }),
+    h("p", {
+      class: "panel__text",
+      text: "새 게시글·댓글 등이 생기면 등록한 주소로 알림을 보냅니다. 실패한 전송은 자동으로 다시 시도합니다.",
+    }),
+    newSecret
+      ? h("div", { class: "notice" }, [
+          h("span", { text: "서명용 비밀 키입니다. 다시 표시되지 않으니 지금 저장해 주세요: " }),
+          h("code", { text: newSecret }),
+          h("button", {
+            class: "btn btn--ghost",
+            type: "button",
+            text: "닫기",
+            onClick: () => setState({ webhooks: { ...state.webhooks, newSecret: "" } }),
+          }),
+        ])
+      : "",
+    endpoints.length === 0
+      ? h("p", { class: "empty", text: "등록된 웹훅이 없습니다." })
+      : h("div", { class: "list" }, endpoints.map(renderWebhookRow)),
+    h("h3", { class: "panel__title", text: "새 웹훅" }),
+    form,
+    selected
+      ? h("div", {}, [
+          h("h3", { class: "panel__title", text: `전송 기록 · ${selected.url}` }),
+          deliveries.length === 0
+            ? h("p", { class: "empty", text: "전송 기록이 없습니다." })
+            : h("div", { class: "list" }, deliveries.map(renderWebhookDelivery)),
+        ])
+      : "",
+    h("div", { class: "btn-row" }, [
+      h("button", {
+        class: "btn btn--ghost",
+        type: "button",
+        text: "목록",
+        onClick: () => goList(true),
+      }),
+    ]),
+  ]);
+}
+
+async function refreshSecurity() {
+  const owner = hasRole("owner");
+  const [sessions, antispam, passwordHashes] = await Promise.all([
+    apiJson("/api/admin/sessions"),
+    owner ? apiJson("/api/admin/antispam") : null,
+    owner ? apiJson("/api/admin/password-hashes") : null,
+  ]);
+  setState({
+    security: {
+      ...state.security,
+      sessions: sessions.sessions,
+      ...(antispam ? { antispam: antispam.settings, maxDifficulty: antispam.maxDifficulty } : {}),
+      ...(passwordHashes ? { passwordHashes } : {}),
+    },
+  });
+}
+
+async function revokeSession(session) {
+  const message = session.current
+    ? "지금 사용 중인 세션입니다. 종료하면 로그아웃됩니다. 계속할까요?"
+    : "이 세션을 종료할까요?";
+  if (!confirm(message)) return;
+  await apiJson(`/api/admin/sessions/${session.id}`, { method: "DELETE" });
+  if (session.current) {
+    await refreshAdmin();
+    goList(true);
+    return;
+  }
+  await refreshSecurity();
+}
+
+async function revokeAllSessions() {
+  if (!confirm("이 계정의 모든 기기에서 로그아웃할까요? 지금 이 브라우저도 로그아웃됩니다.")) return;
+  await apiJson("/api/admin/sessions/revoke-all", { method: "POST" });
+  await refreshAdmin();
+  goList(true);
+}
+
+async function saveAntispam(form) {
+  const read = (name) => Number.parseInt(form.querySelector(`[name=${name}]`).value, 10);
+  const data = await apiJson("/api/admin/antispam", {
+    method: "PUT",
+    body: JSON.stringify({
+      postDifficulty: read("postDifficulty"),
+      commentDifficulty: read("commentDifficulty"),
+    }),
+  });
+  setState({ security: { ...state.security, antispam: data.settings } });
+  alert("저장했습니다.");
+}
+
+function renderAntispamForm() {
+  const { antispam, maxDifficulty } = state.security;
+  if (!antispam) return h("p", { class: "panel__text", text: "불러오는 중입니다." });
+  const difficultyField = (name, label) =>
+    h("div", { class: "field" }, [
+      h("label", { text: label }),
+      h("input", {
+        name,
+        type: "number",
+        min: "0",
+        max: String(maxDifficulty),
+        value: String(antispam[name]),
+      }),
+    ]);
+  const form = h("form", {}, [
+    difficultyField("postDifficulty", "글 작성 난이도"),
+    difficultyField("commentDifficulty", "댓글 작성 난이도"),
+    h("div", { class: "btn-row" }, [h("button", { class: "btn", type: "submit", text: "저장" })]),
+  ]);
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    saveAntispam(form).catch(showError("저장에 실패했습니다."));
+  });
+  return form;
+}
+
+function renderSessionRow(session) {
+  const others = session.userId !== state.adminUser?.id;
+  return h("div", { class: "list-item" }, [
+    h("div", { class: "list-item__row" }, [
+      h("div", { class: "list-item__title" }, [
+        session.current ? h("span", { class: "tag", text: "현재 세션" }) : "",
+        others ? h("span", { class: "tag", text: session.username || "알 수 없음" }) : "",
+        session.ip || "IP 알 수 없음",
+      ]),
+      h("div", { class: "list-item__author", text: `최근 활동 ${formatDate(session.lastSeenAt)}` }),
+    ]),
+    h("div", {
+      class: "list-item__meta",
+      text:
+        `${session.userAgent || "브라우저 정보 없음"} · 로그인 ${formatDate(session.createdAt)}` +
+        ` · 만료 ${formatDate(session.expiresAt)}`,
+    }),
+    h("div", { class: "btn-row" }, [
+      h("button", {
+        class: "btn btn--danger",
+        type: "button",
+        text: "세션 종료",
+        onClick: () => revokeSession(session).catch(showError("세션 종료에 실패했습니다.")),
+      }),
+    ]),
+  ]);
+}
+
+function renderSessionsPanel() {
+  const { sessions } = state.security;
+  let list;
+  if (!sessions) list = h("p", { class: "panel__text", text: "불러오는 중입니다." });
+  else if (sessions.length === 0) list = h("p", { class: "empty", text: "활성 세션이 없습니다." });
+  else list = h("div", { class: "list" }, sessions.map(renderSessionRow));
+  return h("div", {}, [
+    h("h3", { class: "panel__title", text: "활성 세션" }),
+    h("p", {
+      class: "panel__text",
+      text: hasRole("owner")
+        ? "모든 관리자 계정의 로그인된 기기입니다. 낯선 기기는 바로 종료하세요."
+        : "내 계정으로 로그인된 기기입니다. 낯선 기기는 바로 종료하세요.",
+    }),
+    list,
+    h("div", { class: "btn-row" }, [
+      h("button", {
+        class: "btn btn--danger",
+        type: "button",
+        text: "모든 기기에서 로그아웃",
+        onClick: () => revokeAllSessions().catch(showError("로그아웃에 실패했습니다.")),
+      }),
+    ]),
+  ]);
+}
+
+const PASSWORD_KIND_LABELS = { posts: "게시글", comments: "댓글", adminUsers: "관리자 계정" };
+
+const formatHashParams = (p) =>
+  `PBKDF2-${p.digest.toUpperCase()} ${p.iterations.toLocaleString()}회`;
+
+function renderPasswordHashReport() {
+  const report = state.security.passwordHashes;
+  if (!report) return h("p", { class: "panel__text", text: "불러오는 중입니다." });
+  const kinds = Object.entries(PASSWORD_KIND_LABELS).filter(([kind]) => report.kinds[kind]);
+  return h("div", {}, [
+    h("p", {
+      class: "panel__text",
+      text:
+        `새 비밀번호는 ${formatHashParams(report.policy)}로 저장합니다. 이보다 약하거나, ` +
+        "이전 서버에서 옮겨 와 계산이 느린 설정의 비밀번호는 작성자가 다음에 맞게 입력할 때 " +
+        "자동으로 다시 저장됩니다.",
+    }),
+    h(
+      "div",
+      { class: "list" },
+      kinds.map(([kind, label]) => {
+        const { total, outdated } = report.kinds[kind];
+        return h("div", { class: outdated > 0 ? "list-item" : "list-item list-item--muted" }, [
+          h("div", { class: "list-item__row" }, [
+            h("div", { class: "list-item__title", text: label }),
+            h("div", { class: "list-item__author", text: `이전 설정 ${outdated} / 전체 ${total}` }),
+          ]),
+        ]);
+      }),
+    ),
+    h(
+      "div",
+      { class: "chips" },
+      report.params.map((p) =>
+        h("span", {
+          class: p.outdated ? "tag tag--warn" : "tag",
+          text: `${formatHashParams(p)} · ${p.count}건`,
+        }),
+      ),
+    ),
+  ]);
+}
+
+function renderSecurityView() {
+  if (!isAdmin()) {
+    return h("section", { class: "panel" }, [
+      h("p", { class: "panel__text", text: "관리자만 접근할 수 있습니다." }),
+    ]);
+  }
+  return h("section", { class: "panel" }, [
+    h("h1", { class: "title", text: "보안 설정" }),
+    renderSessionsPanel(),
+    hasRole("owner")
+      ? h("div", {}, [
+          h("h3", { class: "panel__title", text: "스팸 방지" }),
+          h("p", {
+            class: "panel__text",
+            text:
+              "글과 댓글을 등록하기 전에 브라우저가 작은 계산 문제를 풉니다. 난이도가 1 오를 때마다 " +
+              "걸리는 시간이 약 두 배가 되며, 0이면 계산 없이 숨은 입력란만 확인합니다.",
+          }),
+          renderAntispamForm(),
+          h("h3", { class: "panel__title", text: "비밀번호 해시" }),
+          renderPasswordHashReport(),
+        ])
+      : "",
+    h("div", { class: "btn-row" }, [
+      h("button", {
+        class: "btn btn--ghost",
+        type: "button",
+        text: "목록",
+        onClick: () => goList(true),
+      }),
+    ]),
+  ]);
+}
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// h() for SVG elements, which need their namespace.
+function svg(tag, attrs = {}, children = []) {
+  const el = document.createElementNS(SVG_NS, tag);
+  for (const [key, value] of Object.entries(attrs)) {
+    if (key === "text") el.textContent = value;
+    else if (value !== undefined && value !== null) el.setAttribute(key, String(value));
+  }
+  for (const child of children) if (child) el.append(child);
+  return el;
+}
+
+const STATS_UNIT_LABELS = { day: "일별", week: "주별", month: "월별" };
+
+function localDateString(d) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// The dashboard opens on the last 90 days.
+function defaultStatsFrom() {
+  const d = new Date();
+  d.setDate(d.getDate() - 89);
+  return localDateString(d);
+}
+
+async function refreshStats() {
+  const { from, to } = state.stats;
+  const params = new URLSearchParams();
+  if (from) params.set("from", localDayStart(from));
+  if (to) params.set("to", localDayStart(to, 1));
+  const [data, pii] = await Promise.all([
+    apiJson(`/api/admin/stats?${params.toString()}`),
+    apiJson(`/api/admin/pii-report?${params.toString()}`),
+  ]);
+  setState({ stats: { ...state.stats, data, pii } });
+}
+
+function changeStatsQuery(changes) {
+  setState({ stats: { ...state.stats, ...changes } });
+  refreshStats().catch(showError("통계를 불러오지 못했습니다."));
+}
+
+// Vertical bars; with many bars the values are left to the hover title and
+// only every few labels are drawn.
+function renderBarChart(items) {
+  if (items.length === 0) return h("p", { class: "empty", text: "데이터가 없습니다." });
+  const width = 640;
+  const height = 200;
+  const top = 18;
+  const bottom = 22;
+  const max = Math.max(1, ...items.map((item) => item.value));
+  const slot = width / items.length;
+  const barWidth = Math.max(2, slot * 0.7);
+  const labelEvery = Math.ceil(items.length / 12);
+  return svg(
+    "svg",
+    { class: "chart", viewBox: `0 0 ${width} ${height}`, role: "img" },
+    items.flatMap((item, i) => {
+      const barHeight = ((height - top - bottom) * item.value) / max;
+      const x = i * slot + (slot - barWidth) / 2;
+      const y = height - bottom - barHeight;
+      return [
+        svg("rect", { class: "chart__bar", x, y, width: barWidth, height: barHeight }, [
+          svg("title", { text: `${item.label}: ${item.value}` }),
+        ]),
+        items.length <= 31
+          ? svg("text", {
+              class: "chart__value",
+              x: x + barWidth / 2,
+              y: y - 4,
+              "text-anchor": "middle",
+              text: String(item.value),
+            })
+          : null,
+        i % labelEvery === 0
+          ? svg("text", {
+              class: "chart__label",
+              x: x + barWidth / 2,
+              y: height - 6,
+              "text-anchor": "middle",
+              text: item.label,
+            })
+          : null,
+      ];
+    }),
+  );
+}
+
+// Horizontal bars, one row per item, for status and category breakdowns.
+function renderBreakdownChart(items) {
+  if (items.length === 0) return h("p", { class: "empty", text: "데이터가 없습니다." });
+  const width = 640;
+  const rowHeight = 28;
+  const labelWidth = 130;
+  const max = Math.max(1, ...items.map((item) => item.value));
+  return svg(
+    "svg",
+    { class: "chart", viewBox: `0 0 ${width} ${items.length * rowHeight}`, role: "img" },
+    items.flatMap((item, i) => {
+      const y = i * rowHeight;
+      const barWidth = ((width - labelWidth - 48) * item.value) / max;
+      return [
+        svg("text", { class: "chart__label", x: 0, y: y + 18, text: item.label }),
+        svg("rect", { class: "chart__bar", x: labelWidth, y: y + 6, width: barWidth, height: 16 }),
+        svg("text", {
+          class: "chart__value",
+          x: labelWidth + barWidth + 6,
+          y: y + 18,
+          text: String(item.value),
+        }),
+      ];
+    }),
+  );
+}
+
+function periodLabel(period, unit) {
+  if (unit === "month") return period;
+  return unit === "week" ? `${period.slice(5)}~` : period.slice(5);
+}
+
+const PII_MODE_LABELS = { mask: "가려서 저장", reject: "등록 거부", off: "검사 안 함" };
+
+function renderPiiReport(report) {
+  const actions = report.actions || {};
+  return h("div", { class: "stack" }, [
+    h("p", {
+      class: "panel__text",
+      text:
+        `현재 설정: ${PII_MODE_LABELS[report.mode] || report.mode} · ` +
+        `가림 ${actions.masked || 0}건 · 거부 ${actions.rejected || 0}건`,
+    }),
+    report.total > 0
+      ? renderBreakdownChart(
+          Object.entries(PII_TYPE_LABELS)
+            .map(([type, label]) => ({ label, value: Number(report.types?.[type] || 0) }))
+            .filter((item) => item.value > 0),
+        )
+      : "",
+    report.total > 0
+      ? renderBarChart(
+          report.daily.map((d) => ({ label: periodLabel(d.period, "day"), value: d.count })),
+        )
+      : "",
+  ]);
+}
+
+function renderStatsView() {
+  if (!isAdmin()) {
+    return h("section", { class: "panel" }, [
+      h("p", { class: "panel__text", text: "관리자만 접근할 수 있습니다." }),
+    ]);
+  }
+  const { data, from, to, unit } = state.stats;
+  const statsPanel = (title, body) =>
+    h("div", { class: "stats__panel" }, [h("h3", { class: "panel__title", text: title }), body]);
+  const tile = (label, value) =>
+    h("div", { class: "stats__tile" }, [
+      h("div", { class: "stats__value", text: value }),
+      h("div", { class: "panel__text", text: label }),
+    ]);
+
+  const body = !data
+    ? [h("p", { class: "panel__text", text: "불러오는 중입니다." })]
+    : [
+        h("div", { class: "stats__tiles" }, [
+          tile("접수", String(data.total)),
+          tile("게시글당 댓글 (평균)", String(data.comments.average)),
+          tile(
+            "첫 공식 답변까지 (중앙값)",
+            data.firstResponse.medianHours === null ? "-" : `${data.firstResponse.medianHours}시간`,
+          ),
+          tile("공식 답변 완료", `${data.firstResponse.responded} / ${data.total}`),
+        ]),
+        statsPanel(
+          "접수 추이",
+          h("div", {}, [
+            h(
+              "div",
+              { class: "chips" },
+              Object.entries(STATS_UNIT_LABELS).map(([value, label]) =>
+                h("button", {
+                  class: unit === value ? "chip chip--active" : "chip",
+                  type: "button",
+                  text: label,
+                  onClick: () => setState({ stats: { ...state.stats, unit: value } }),
+                }),
+              ),
+            ),
+            renderBarChart(
+              data.volumes[unit].map((v) => ({ label: periodLabel(v.period, unit), value: v.count })),
+            ),
+          ]),
+        ),
+        statsPanel(
+          "처리 상태",
+          renderBreakdownChart(
+            POST_STATUSES.map((status) => ({
+              label: STATUS_LABELS[status],
+              value: Number(data.statuses[status] || 0),
+            })),
+          ),
+        ),
+        statsPanel(
+          "분류",
+          renderBreakdownChart(
+            [
+              ...state.categories.map((c) => ({
+                label: c.name,
+                value: Number(data.categories[c.id] || 0),
+              })),
+              { label: "미분류", value: Number(data.categories.none || 0) },
+            ].filter((item) => item.value > 0),
+          ),
+        ),
+        statsPanel(
+          "게시글당 댓글 수",
+          renderBarChart(
+            data.comments.distribution.map((d) => ({
+              label: d.comments >= 10 ? "10+" : String(d.comments),
+              value: d.posts,
+            })),
+          ),
+        ),
+        state.stats.pii ? statsPanel("개인정보 감지", renderPiiReport(state.stats.pii)) : "",
+      ];
+
+  return h("section", { class: "panel" }, [
+    h("h1", { class: "title", text: "통계" }),
+    h("div", { class: "search" }, [
+      h("input", {
+        type: "date",
+        value: from,
+        "aria-label": "시작일",
+        onChange: (e) => changeStatsQuery({ from: e.target.value }),
+      }),
+      h("span", { class: "search__sep", text: "~" }),
+      h("input", {
+        type: "date",
+        value: to,
+        "aria-label": "종료일",
+        onChange: (e) => changeStatsQuery({ to: e.target.value }),
+      }),
+    ]),
+    ...body,
+    h("div", { class: "btn-row" }, [
+      h("button", {
+        class: "btn btn--ghost",
+        type: "button",
+        text: "목록",
+        onClick: () => goList(true),
+      }),
+    ]),
+  ]);
+}
+
+async function refreshTrash() {
+  const data = await apiJson("/api/admin/trash");
+  setState({
+    trash: {
+      posts: data.posts || [],
+      retentionDays: Number.isFinite(data.retentionDays)
+        ? data.retentionDays
+        : state.trash.retentionDays,
+    },
+  });
+}
+
+async function restoreTrashedPost(post) {
+  await apiJson(`/api/admin/trash/${post.id}/restore`, { method: "POST" });
+  await Promise.all([refreshTrash(), refreshPosts()]);
+}
+
+async function purgeTrashedPost(post) {
+  if (!confirm(`'${post.title}' 글을 영구 삭제할까요? 되돌릴 수 없습니다.`)) return;
+  await apiJson(`/api/admin/trash/${post.id}`, { method: "DELETE" });
+  await refreshTrash();
+}
+
+function renderTrashItem(post) {
+  return h("div", { class: "list-item list-item--muted" }, [
+    h("div", { class: "list-item__row" }, [
+      h("div", { class: "list-item__title", text: post.title }),
+      h("div", { class: "list-item__author", text: post.author }),
+    ]),
+    h("div", {
+      class: "list-item__meta",
+      text: `삭제 ${formatDate(post.deletedAt)} · 영구 삭제 예정 ${formatDate(post.purgeAt)}`,
+    }),
+    h("div", { class: "btn-row" }, [
+      h("button", {
+        class: "btn btn--ghost",
+        type: "button",
+        text: "복원",
+        onClick: () => restoreTrashedPost(post).catch(showError("복원에 실패했습니다.")),
+      }),
+      hasRole("owner")
+        ? h("button", {
+            class: "btn btn--danger",
+            type: "button",
+            text: "영구 삭제",
+            onClick: () => purgeTrashedPost(post).catch(showError("삭제에 실패했습니다.")),
+          })
+        : "",
+    ]),
+  ]);
+}
+
+function renderTrashView() {
+  if (!hasRole("moderator")) {
+    return h("section", { class: "panel" }, [
+      h("p", { class: "panel__text", text: "관리자만 접근할 수 있습니다." }),
+    ]);
+  }
+  const { posts, retentionDays } = state.trash;
+  return h("section", { class: "panel" }, [
+    h("h1", { class: "title", text: "휴지통" }),
+    h("p", {
+      class: "panel__text",
+      text: `삭제된 글은 ${retentionDays}일 후 자동으로 영구 삭제됩니다.`,
+    }),
+    posts.length === 0
+      ? h("p", { class: "empty", text: "휴지통이 비어 있습니다." })
+      : h("div", { class: "list" }, posts.map(renderTrashItem)),
+    h("div", { class: "btn-row" }, [
+      h("button", {
+        class: "btn btn--ghost",
+        type: "button",
+        text: "목록",
+        onClick: () => goList(true),
+      }),
+    ]),
+  ]);
+}
+
+// Downloads a server-side export. Filters start from the current list.
+async function downloadExport(form) {
+  const value = (name) => form.querySelector(`[name=${name}]`).value;
+  const dateFrom = value("from");
+  const dateTo = value("to");
+  if (dateFrom && dateTo && dateFrom > dateTo) {
+    alert("시작일이 종료일보다 늦습니다.");
+    return;
+  }
+  const format = value("format");
+  const params = new URLSearchParams({ format });
+  if (value("status")) params.set("status", value("status"));
+  if (value("category")) params.set("category", value("category"));
+  if (dateFrom) params.set("from", localDayStart(dateFrom));
+  if (dateTo) params.set("to", localDayStart(dateTo, 1));
+  const include = ["comments", "responses"].filter(
+    (name) => form.querySelector(`[name=${name}]`).checked,
+  );
+  if (include.length > 0) params.set("include", include.join(","));
+
+  const res = await fetch(apiUrl(`/api/admin/export?${params.toString()}`), {
+    credentials: "include",
+  });
+  if (!res.ok) {
+    const payload = await res.json().catch(() => null);
+    const err = new Error(payload?.error || `요청 실패: ${res.status}`);
+    err.status = res.status;
+    throw err;
+  }
+  const disposition = res.headers.get("Content-Disposition") || "";
+  const filename = /filename="([^"]+)"/.exec(disposition)?.[1] || `woldecks-export.${format}`;
+  saveBlob(filename, await res.blob());
+}
+
+function renderExportView() {
+  if (!isAdmin()) {
+    return h("section", { class: "panel" }, [
+      h("p", { class: "panel__text", text: "관리자만 접근할 수 있습니다." }),
+    ]);
+  }
+  const select = (name, value, options) => {
+    const el = h(
+      "select",
+      { name },
+      options.map(([optionValue, text]) => h("option", { value: optionValue, text })),
+    );
+    el.value = value;
+    return el;
+  };
+  const checkbox = (name, label) =>
+    h("label", { class: "list-head__check" }, [
+      h("input", { type: "checkbox", name, checked: "checked" }),
+      h("span", { text: label }),
+    ]);
+
+  const form = h("form", {}, [
+    h("h1", { class: "title", text: "내보내기" }),
+    h("div", { class: "field" }, [
+      h("label", { text: "형식" }),
+      select("format", "csv", [
+        ["csv", "CSV (Excel 호환)"],
+        ["xlsx", "Excel 통합 문서 (XLSX)"],
+        ["json", "JSON"],
+      ]),
+    ]),
+    h("div", { class: "search" }, [
+      select("status", state.statusFilter, [
+        ["", "전체 상태"],
+        ...POST_STATUSES.map((status) => [status, STATUS_LABELS[status]]),
+      ]),
+      select("category", state.categoryFilter, [
+        ["", "전체 분류"],
+        ...state.categories.map((c) => [c.id, c.name]),
+        ["none", "미분류"],
+      ]),
+      h("input", { type: "date", name: "from", value: state.dateFrom, "aria-label": "시작일" }),
+      h("span", { class: "search__sep", text: "~" }),
+      h("input", { type: "date", name: "to", value: state.dateTo, "aria-label": "종료일" }),
+    ]),
+    h("div", { class: "btn-row" }, [
+      checkbox("comments", "댓글 포함"),
+      checkbox("responses", "공식 답변 포함"),
+    ]),
+    h("div", { class: "btn-row" }, [
+      h("button", { class: "btn", type: "submit", text: "다운로드" }),
+      h("button", {
+        class: "btn btn--ghost",
+        type: "button",
+        text: "목록",
+        onClick: () => goList(true),
+      }),
+    ]),
+  ]);
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    downloadExport(form).catch(showError("내보내기에 실패했습니다."));
+  });
+  return h("section", { class: "panel" }, [form]);
+}
+
+const VIEW_RENDERERS = {
+  list: renderListView,
+  write: renderWriteView,
+  submitted: renderSubmittedView,
+  receipt: renderReceiptView,
+  detail: renderDetailView,
+  categories: renderCategoriesView,
+  admins: renderAdminsView,
+  audit: renderAuditView,
+  trash: renderTrashView,
+  export: renderExportView,
+  stats: renderStatsView,
+  webhooks: renderWebhooksView,
+  security: renderSecurityView,
+};
+
+// Views without the floating 글쓰기 button.
+const FAB_HIDDEN_VIEWS = [
+  "detail",
+  "categories",
+  "admins",
+  "audit",
+  "trash",
+  "export",
+  "stats",
+  "webhooks",
+  "security",
+];
+
+function render() {
+  const content = (VIEW_RENDERERS[state.view] || renderListView)();
+
+  const fab = FAB_HIDDEN_VIEWS.includes(state.view)
+    ? ""
+    : h("button", {
+        class: "btn fab",
+        type: "button",
+        text: state.view === "write" ? "목록으로" : "글쓰기",
+        onClick: () => (state.view === "write" ? goList(true) : navigate("write")),
+      });
+
+  app.replaceChildren(h("div", { class: "stack" }, [content, fab, renderAdminModal()]));
+}
+
+if (location.pathname === "/") readListStateFromUrl();
+
+document.getElementById("year").textContent = String(new Date().getFullYear());
+document.getElementById("adminButton").addEventListener("click", async () => {
+  try {
+    await refreshAdmin();
+    if (state.adminLoggedIn) {
+      if (!confirm("관리자 로그아웃 하시겠어요?")) return;
+      await apiJson("/api/admin/logout", { method: "POST" });
+      await refreshAdmin();
+      return;
+    }
+    setState({ showAdminLogin: true });
+  } catch {
+    alert("요청에 실패했습니다.");
+  }
+});
+
+Promise.all([
+  refreshAdmin(),
+  refreshPosts(),
+  refreshCategories(),
+  refreshPiiPolicy().catch(() => {}),
+])
+  .catch(showError("데이터를 불러오지 못했습니다."))
+  .finally(() => {
+    if (!history.state) navigate("list", null, true);
+    render();
+  });
+
+window.addEventListener("popstate", async (event) => {
+  const st = event.state;
+  if (!st || !st.view) {
+    setState({ view: "list", currentPost: null, editMode: false });
+    return;
+  }
+  if (st.view === "detail" && st.postId) {
+    if (state.currentPost?.id === st.postId) {
+      setState({ view: "detail", editMode: false });
+      return;
+    }
+    try {
+      const post = await fetchReadablePost(st.postId);
+      if (!post) {
+        setState({ view: "list", currentPost: null, editMode: false });
+        return;
+      }
+      setState({
+        currentPost: post,
+        comments: [],
+        responses: [],
+        editingResponseId: null,
+        editingCommentId: null,
+        replyingToId: null,
+        revisions: null,
+        showCommentForm: false,
+        commentDraft: { author: "익명", content: "", password: "" },
+      });
+      await Promise.all([refreshComments(st.postId), refreshResponses(st.postId)]);
+      setState({ view: "detail", editMode: false });
+    } catch {
+      setState({ view: "list", currentPost: null, editMode: false });
+    }
+    return;
+  }
+  if (st.view === "write") {
+    setState({ view: "write", currentPost: null, editMode: false });
+    return;
+  }
+  if (st.view === "submitted") {
+    // The receipt code only lives in memory; after a reload there is nothing to show.
+    setState({ view: state.submitted ? "submitted" : "list", currentPost: null, editMode: false });
+    return;
+  }
+  if (st.view === "receipt") {
+    setState({ view: "receipt", currentPost: null, editMode: false });
+    return;
+  }
+  if (st.view === "categories") {
+    setState({ view: "categories", currentPost: null, editMode: false });
+    return;
+  }
+  if (st.view === "admins") {
+    setState({ view: "admins", currentPost: null, editMode: false });
+    await refreshAdminUsers().catch(() => {});
+    return;
+  }
+  if (st.view === "audit") {
+    setState({ view: "audit", currentPost: null, editMode: false });
+    await refreshAudit().catch(() => {});
+    return;
+  }
+  if (st.view === "export") {
+    setState({ view: "export", currentPost: null, editMode: false });
+    return;
+  }
+  if (st.view === "stats") {
+    setState({ view: "stats", currentPost: null, editMode: false });
+    await refreshStats().catch(() => {});
+    return;
+  }
+  if (st.view === "webhooks") {
+    setState({ view: "webhooks", currentPost: null, editMode: false });
+    await refreshWebhooks().catch(() => {});
+    return;
+  }
+  if (st.view === "security") {
+    setState({ view: "security", currentPost: null, editMode: false });
+    await refreshSecurity().catch(() => {});
+    return;
+  }
+  if (st.view === "trash") {
+    setState({ view: "trash", currentPost: null, editMode: false });
+    await refreshTrash().catch(() => {});
+    return;
+  }
+  if (st.view === "list") {
+    readListStateFromUrl();
+    setState({ view: "list", currentPost: null, editMode: false });
     await refreshPosts();
     return;
   }
@@ -0,0 +1,357 @@
+// Imports posts from the server.js data file (woldecks-data.json) into Supabase.
+//
+//   node scripts/import-legacy.js [--file woldecks-data.json] [--dry-run] [--resume]
+//                                 [--batch 100] [--report woldecks-import-report.json]
+//
+// Reads SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY from the environment or .env.
+// Ids, timestamps, status and password hashes are carried over unchanged, so
+// authors keep their existing passwords. Posts whose id already exists with the
+// same content are skipped, which makes re-running safe (their endorsements and
+// revisions are still filled in); ones that differ are reported as conflicts
+// and left alone.
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const POST_STATUSES = ["received", "reviewing", "forwarded", "resolved"];
+// Workers' WebCrypto refuses PBKDF2 above this (see PBKDF2_MAX_ITERATIONS there).
+const WORKER_PBKDF2_MAX_ITERATIONS = 100000;
+
+function loadDotEnv() {
+  try {
+    const raw = fs.readFileSync(path.join(ROOT, ".env"), "utf8");
+    raw.split(/\r?\n/).forEach((line) => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith("#")) return;
+      const idx = trimmed.indexOf("=");
+      if (idx === -1) return;
+      const key = trimmed.slice(0, idx).trim();
+      let val = trimmed.slice(idx + 1).trim();
+      if ((val.startsWith("\"") && val.endsWith("\"")) || (val.startsWith("'") && val.endsWith("'"))) {
+        val = val.slice(1, -1);
+      }
+      if (key && process.env[key] === undefined) process.env[key] = val;
+    });
+  } catch {
+    // ignore missing .env
+  }
+}
+
+function parseArgs(argv) {
+  const args = {
+    file: path.join(ROOT, "woldecks-data.json"),
+    dryRun: false,
+    resume: false,
+    batch: 100,
+    report: path.join(ROOT, "woldecks-import-report.json"),
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--dry-run") args.dryRun = true;
+    else if (arg === "--resume") args.resume = true;
+    else if (arg === "--file") args.file = path.resolve(argv[++i] || "");
+    else if (arg === "--report") args.report = path.resolve(argv[++i] || "");
+    else if (arg === "--batch") args.batch = Number.parseInt(argv[++i] || "", 10);
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if (!Number.isFinite(args.batch) || args.batch < 1 || args.batch > 500) {
+    throw new Error("--batch must be between 1 and 500");
+  }
+  return args;
+}
+
+function supabase(pathAndQuery, options = {}) {
+  return fetch(`${process.env.SUPABASE_URL}/rest/v1/${pathAndQuery}`, {
+    ...options,
+    headers: {
+      apikey: process.env.SUPABASE_SERVICE_ROLE_KEY,
+      Authorization: `Bearer ${process.env.SUPABASE_SERVICE_ROLE_KEY}`,
+      ...options.headers,
+    },
+  });
+}
+
+async function supabaseJson(pathAndQuery, options) {
+  const res = await supabase(pathAndQuery, options);
+  const text = await res.text();
+  if (!res.ok) throw new Error(`Supabase ${res.status}: ${text}`);
+  return text ? JSON.parse(text) : null;
+}
+
+const isIso = (value) => typeof value === "string" && Number.isFinite(Date.parse(value));
+const isoOrNull = (value) => (isIso(value) ? new Date(value).toISOString() : null);
+
+// Maps one server.js post to a posts row, or returns { reason } when it can't.
+function toRow(post, categoryIds) {
+  if (!post || typeof post !== "object") return { reason: "not an object" };
+  if (!UUID_PATTERN.test(post.id || "")) return { reason: "id is not a uuid" };
+  for (const field of ["title", "author", "content"]) {
+    if (typeof post[field] !== "string" || !post[field].trim()) {
+      return { reason: `missing ${field}` };
+    }
+  }
+  if (!isIso(post.createdAt)) return { reason: "missing createdAt" };
+  const pw = post.password || {};
+  if (
+    !/^[0-9a-f]+$/i.test(pw.saltHex || "") ||
+    !/^[0-9a-f]+$/i.test(pw.hashHex || "") ||
+    !Number.isInteger(pw.iterations) ||
+    !Number.isInteger(pw.keylen) ||
+    typeof pw.digest !== "string"
+  ) {
+    return { reason: "invalid password record" };
+  }
+  // The worker's plain-JS fallback for these only implements SHA-256.
+  if (pw.iterations > WORKER_PBKDF2_MAX_ITERATIONS && pw.digest !== "sha256") {
+    return { reason: `${pw.digest} password record above ${WORKER_PBKDF2_MAX_ITERATIONS} iterations` };
+  }
+  const status = post.status || "received";
+  if (!POST_STATUSES.includes(status)) return { reason: `unknown status ${status}` };
+
+  let categoryId = null;
+  let warning = null;
+  if (post.categoryId) {
+    categoryId = categoryIds.get(post.categoryId) || null;
+    if (!categoryId) warning = `category ${post.categoryId} not found; imported uncategorized`;
+  }
+
+  const createdAt = new Date(post.createdAt).toISOString();
+  const updatedAt = isoOrNull(post.updatedAt);
+  return {
+    warning,
+    row: {
+      id: post.id.toLowerCase(),
+      title: post.title.trim(),
+      author: post.author.trim(),
+      content: post.content.trim(),
+      status,
+      category_id: categoryId,
+      visibility: post.visibility === "confidential" ? "confidential" : "public",
+      receipt_hash: /^[0-9a-f]{64}$/.test(post.receiptHash || "") ? post.receiptHash : null,
+      pw_salt_hex: pw.saltHex,
+      pw_iterations: pw.iterations,
+      pw_digest: pw.digest,
+      pw_keylen: pw.keylen,
+      pw_hash_hex: pw.hashHex,
+      created_at: createdAt,
+      updated_at: updatedAt,
+      last_activity_at: updatedAt && updatedAt > createdAt ? updatedAt : createdAt,
+      reviewing_at: isoOrNull(post.reviewingAt),
+      forwarded_at: isoOrNull(post.forwardedAt),
+      resolved_at: isoOrNull(post.resolvedAt),
+      deleted_at: isoOrNull(post.deletedAt),
+    },
+  };
+}
+
+// Legacy categories have slug ids; they are matched to Supabase by name.
+async function loadCategoryIds(legacyCategories) {
+  const rows = await supabaseJson("categories?select=id,name");
+  const byName = new Map(rows.map((c) => [c.name, c.id]));
+  const ids = new Map();
+  for (const category of legacyCategories || []) {
+    if (byName.has(category.name)) ids.set(category.id, byName.get(category.name));
+  }
+  return ids;
+}
+
+const sameContent = (existing, row) =>
+  existing.title === row.title &&
+  existing.author === row.author &&
+  existing.content === row.content &&
+  Date.parse(existing.created_at) === Date.parse(row.created_at);
+
+// Legacy revisions have no ids of their own; a stored one is recognised by
+// its post and timestamp.
+const revisionKey = (postId, createdAt) => `${postId}|${Date.parse(createdAt)}`;
+
+// Below PostgREST's default max-rows, so a short page means the last one.
+const REVISION_PAGE_SIZE = 500;
+
+async function existingRevisionKeys(postIds) {
+  const keys = new Set();
+  for (let offset = 0; ; offset += REVISION_PAGE_SIZE) {
+    const qs = new URLSearchParams({
+      select: "post_id,created_at",
+      post_id: `in.(${postIds.join(",")})`,
+      order: "id",
+      limit: String(REVISION_PAGE_SIZE),
+      offset: String(offset),
+    });
+    const page = await supabaseJson(`post_revisions?${qs.toString()}`);
+    for (const row of page) keys.add(revisionKey(row.post_id, row.created_at));
+    if (page.length < REVISION_PAGE_SIZE) return keys;
+  }
+}
+
+function progressPath(file) {
+  return `${file}.import-progress.json`;
+}
+
+function readProgress(file) {
+  try {
+    const progress = JSON.parse(fs.readFileSync(progressPath(file), "utf8"));
+    return Number.isInteger(progress.nextIndex) ? progress.nextIndex : 0;
+  } catch {
+    return 0;
+  }
+}
+
+function writeProgress(file, nextIndex) {
+  fs.writeFileSync(
+    progressPath(file),
+    JSON.stringify({ nextIndex, updatedAt: new Date().toISOString() }, null, 2),
+  );
+}
+
+async function main() {
+  loadDotEnv();
+  const args = parseArgs(process.argv.slice(2));
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    throw new Error("SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required");
+  }
+
+  const data = JSON.parse(fs.readFileSync(args.file, "utf8"));
+  const posts = Array.isArray(data?.posts) ? data.posts : [];
+  const categoryIds = await loadCategoryIds(data.categories);
+  const start = args.resume ? readProgress(args.file) : 0;
+
+  const report = {
+    file: args.file,
+    dryRun: args.dryRun,
+    startedAt: new Date().toISOString(),
+    startIndex: start,
+    total: posts.length,
+    imported: 0,
+    alreadyImported: 0,
+    // Imported records the worker only checks with LEGACY_PBKDF2_FALLBACK.
+    legacyPasswords: 0,
+    conflicts: [],
+    invalid: [],
+    warnings: [],
+  };
+  console.log(
+    `${args.dryRun ? "[dry run] " : ""}${posts.length} posts in ${args.file}` +
+      (start > 0 ? `, resuming at #${start}` : ""),
+  );
+
+  for (let i = start; i < posts.length; i += args.batch) {
+    const candidates = [];
+    posts.slice(i, i + args.batch).forEach((post, offset) => {
+      const index = i + offset;
+      const mapped = toRow(post, categoryIds);
+      if (!mapped.row) {
+        report.invalid.push({ index, id: post?.id || null, reason: mapped.reason });
+        return;
+      }
+      if (mapped.warning) report.warnings.push({ index, id: mapped.row.id, warning: mapped.warning });
+      candidates.push({ index, row: mapped.row });
+    });
+
+    const existing = new Map();
+    if (candidates.length > 0) {
+      const qs = new URLSearchParams({
+        select: "id,title,author,content,created_at",
+        id: `in.(${candidates.map((c) => c.row.id).join(",")})`,
+      });
+      for (const row of await supabaseJson(`posts?${qs.toString()}`)) existing.set(row.id, row);
+    }
+
+    const rows = [];
+    // Posts stored by an earlier, interrupted run get their endorsements and
+    // revisions again too: those were written in separate requests.
+    const children = [];
+    const storedIds = [];
+    for (const { index, row } of candidates) {
+      const found = existing.get(row.id);
+      if (!found) {
+        rows.push(row);
+        children.push({ index, id: row.id });
+      } else if (sameContent(found, row)) {
+        report.alreadyImported++;
+        children.push({ index, id: row.id });
+        storedIds.push(row.id);
+      } else {
+        report.conflicts.push({ index, id: row.id, reason: "id exists with different content" });
+      }
+    }
+
+    const storedRevisions =
+      !args.dryRun && storedIds.length > 0 ? await existingRevisionKeys(storedIds) : new Set();
+    const endorsements = [];
+    const revisions = [];
+    for (const { index, id } of children) {
+      // Legacy voter hashes can't match new votes, but they keep the counts.
+      for (const hash of posts[index].endorsements || []) {
+        endorsements.push({ post_id: id, voter_hash: `legacy:${hash}` });
+      }
+      // Admin accounts aren't imported, so only the username is kept.
+      for (const revision of posts[index].revisions || []) {
+        if (!isIso(revision.createdAt)) continue;
+        const createdAt = new Date(revision.createdAt).toISOString();
+        if (storedRevisions.has(revisionKey(id, createdAt))) continue;
+        revisions.push({
+          post_id: id,
+          title: String(revision.title ?? ""),
+          content: String(revision.content ?? ""),
+          admin_username: revision.adminUsername || null,
+          created_at: createdAt,
+        });
+      }
+    }
+
+    if (!args.dryRun) {
+      if (rows.length > 0) {
+        await supabaseJson("posts", {
+          method: "POST",
+          headers: { "Content-Type": "application/json", Prefer: "return=minimal" },
+          body: JSON.stringify(rows),
+        });
+      }
+      if (endorsements.length > 0) {
+        await supabaseJson("post_endorsements?on_conflict=post_id,voter_hash", {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            Prefer: "resolution=ignore-duplicates,return=minimal",
+          },
+          body: JSON.stringify(endorsements),
+        });
+      }
+      if (revisions.length > 0) {
+        await supabaseJson("post_revisions", {
+          method: "POST",
+          headers: { "Content-Type": "application/json", Prefer: "return=minimal" },
+          body: JSON.stringify(revisions),
+        });
+      }
+    }
+    report.imported += rows.length;
+    report.legacyPasswords += rows.filter((row) => row.pw_iterations > WORKER_PBKDF2_MAX_ITERATIONS).length;
+    const nextIndex = Math.min(i + args.batch, posts.length);
+    if (!args.dryRun) writeProgress(args.file, nextIndex);
+    console.log(`  #${i}–#${nextIndex - 1}: ${rows.length} ${args.dryRun ? "to import" : "imported"}`);
+  }
+
+  report.finishedAt = new Date().toISOString();
+  fs.writeFileSync(args.report, JSON.stringify(report, null, 2));
+  console.log(
+    `${args.dryRun ? "Would import" : "Imported"} ${report.imported}, ` +
+      `already imported ${report.alreadyImported}, conflicts ${report.conflicts.length}, ` +
+      `invalid ${report.invalid.length}, warnings ${report.warnings.length}`,
+  );
+  if (report.legacyPasswords > 0) {
+    console.log(
+      `${report.legacyPasswords} password records use more than ${WORKER_PBKDF2_MAX_ITERATIONS} ` +
+        "iterations; the worker refuses them unless LEGACY_PBKDF2_FALLBACK is on (see MIGRATION.md)",
+    );
+  }
+  console.log(`Report: ${args.report}`);
+  if (report.conflicts.length > 0 || report.invalid.length > 0) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,82 @@
+// Local stand-in for a webhook endpoint, for trying out the worker's webhooks.
+//
+//   WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js [--port 8790] [--fail 2]
+//
+// The worker only accepts public https endpoints, so expose the port through an
+// https tunnel (e.g. `cloudflared tunnel --url http://localhost:8790`), register
+// the tunnel's URL in the admin UI, then paste the secret shown on creation
+// into WEBHOOK_SECRET. Every delivery is printed with whether its
+// signature checks out. --fail N answers the first N deliveries with a 500 so
+// the retry schedule can be watched in the delivery log.
+const crypto = require("crypto");
+const http = require("http");
+
+function parseArgs(argv) {
+  const args = { port: 8790, fail: 0 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--port") args.port = Number.parseInt(argv[++i] || "", 10);
+    else if (arg === "--fail") args.fail = Number.parseInt(argv[++i] || "", 10);
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if (!Number.isInteger(args.port) || args.port < 1) throw new Error("--port must be a port number");
+  if (!Number.isInteger(args.fail) || args.fail < 0) throw new Error("--fail must be 0 or more");
+  return args;
+}
+
+// Same scheme as the worker: HMAC-SHA256(secret, `${timestamp}.${raw body}`).
+function signatureValid(secret, timestamp, body, header) {
+  if (!secret || !timestamp || !header) return false;
+  const expected = `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+  return (
+    expected.length === header.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(header))
+  );
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const secret = process.env.WEBHOOK_SECRET || "";
+  if (!secret) console.warn("WEBHOOK_SECRET is not set; signatures will show as invalid.");
+  let remainingFailures = args.fail;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const body = Buffer.concat(chunks).toString("utf8");
+      const valid = signatureValid(
+        secret,
+        req.headers["x-woldecks-timestamp"],
+        body,
+        req.headers["x-woldecks-signature"],
+      );
+      const status = remainingFailures > 0 ? 500 : 200;
+      if (remainingFailures > 0) remainingFailures--;
+      console.log(
+        `${new Date().toISOString()} ${req.headers["x-woldecks-event"] || "-"} ` +
+          `${req.headers["x-woldecks-delivery"] || "-"} signature ${valid ? "ok" : "INVALID"} → ${status}`,
+      );
+      try {
+        console.log(JSON.stringify(JSON.parse(body), null, 2));
+      } catch {
+        console.log(body);
+      }
+      res.writeHead(status, { "Content-Type": "text/plain; charset=utf-8" });
+      res.end(status === 200 ? "ok" : "failing on purpose");
+    });
+  });
+  server.listen(args.port, () => {
+    console.log(`Webhook receiver on http://localhost:${args.port}/`);
+  });
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message || err);
+  process.exit(1);
+}
@@ -34,20 +34,215 @@ const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || "admin1234";
 const SESSION_SECRET =
   process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex");
 
-const sessions = new Map(); // sid -> { createdAt, verified: Set<string>, tokens: Map<postId, token> }
+// Target parameters for new password hashes. Stored records keep their own
+// parameters and are rehashed on the next successful verification when they
+// fall short (upgradePasswordHash). PASSWORD_HASH_ITERATIONS outside
+// PASSWORD_ITERATION_BOUNDS falls back to 120,000, as the worker falls back to
+// its own default.
+const PASSWORD_ITERATION_BOUNDS = { min: 1_000, max: 10_000_000 };
+const PASSWORD_POLICY = {
+  iterations: (() => {
+    const iterations = Number.parseInt(process.env.PASSWORD_HASH_ITERATIONS || "", 10);
+    return Number.isInteger(iterations) &&
+      iterations >= PASSWORD_ITERATION_BOUNDS.min &&
+      iterations <= PASSWORD_ITERATION_BOUNDS.max
+      ? iterations
+      : 120_000;
+  })(),
+  digest: ["sha256", "sha512"].includes(process.env.PASSWORD_HASH_DIGEST)
+    ? process.env.PASSWORD_HASH_DIGEST
+    : "sha256",
+  keylen: 32,
+};
+
+// 접수 → 검토중 → 노사위원회 전달 → 처리완료
+const POST_STATUSES = ["received", "reviewing", "forwarded", "resolved"];
+const STATUS_TIMESTAMP_FIELDS = {
+  reviewing: "reviewingAt",
+  forwarded: "forwardedAt",
+  resolved: "resolvedAt",
+};
+
+// Same limits as the worker; hits are kept in memory and reset on restart.
+const RATE_LIMITS = {
+  password: { windowSeconds: 10 * 60, perIp: 10, perPost: 30 },
+  adminLogin: { windowSeconds: 15 * 60, perIp: 5 },
+  createPost: { windowSeconds: 10 * 60, perIp: 5 },
+  createComment: { windowSeconds: 10 * 60, perIp: 20, perPost: 60 },
+  endorse: { windowSeconds: 10 * 60, perIp: 30 },
+  receipt: { windowSeconds: 10 * 60, perIp: 10 },
+};
+// Confidential posts need the post password or an admin session to read.
+const VISIBILITIES = ["public", "confidential"];
+const BULK_POST_LIMIT = 1000;
+// List orderings for GET /api/posts, newest first within ties (as the worker).
+// Comments only exist on the Supabase backend, so "comments" is plain newest
+// here and "active" only sees post edits.
+const POST_SORTS = {
+  newest: () => 0,
+  oldest: (a, b) => a.createdAt.localeCompare(b.createdAt),
+  comments: () => 0,
+  updated: (a, b) => (b.updatedAt || "").localeCompare(a.updatedAt || ""),
+  active: (a, b) => lastActivityAt(b).localeCompare(lastActivityAt(a)),
+  endorsements: (a, b) => endorsementCount(b) - endorsementCount(a),
+};
+// Endorsements count once per browser via a long-lived signed voter cookie.
+// Votes survive restarts only when SESSION_SECRET is set.
+const VOTER_COOKIE_MAX_AGE = 400 * 24 * 60 * 60;
+const BULK_ACTION_ROLES = { delete: "moderator", status: "moderator", export: "viewer" };
+// Same rule as the worker's trashRetentionDays: a positive integer, else 30.
+const TRASH_RETENTION_DAYS = (() => {
+  const days = Number.parseInt(process.env.TRASH_RETENTION_DAYS || "30", 10);
+  return Number.isFinite(days) && days > 0 ? days : 30;
+})();
+// Same PII_MODE / PII_PATTERNS settings and default patterns as the worker.
+const PII_MODES = ["mask", "reject", "off"];
+const PII_DEFAULT_PATTERNS = {
+  rrn: String.raw`(?<!\d)\d{2}(?:0[1-9]|1[0-2])(?:0[1-9]|[12]\d|3[01])\s?-?\s?[1-8]\d{6}(?!\d)`,
+  phone: String.raw`(?<!\d)(?:\+82[-.\s]?0?|0)(?:1[016789]|2|[3-6][1-5]|70)[-.\s)]?\d{3,4}[-.\s]?\d{4}(?!\d)`,
+  email: String.raw`[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}`,
+  employeeId: String.raw`(?:사번|사원번호|직원번호)\s*[:：]?\s*[A-Za-z]{0,3}-?\d{4,10}(?!\d)`,
+};
+const PII_MASKS = {
+  rrn: "[주민등록번호]",
+  phone: "[전화번호]",
+  email: "[이메일]",
+  employeeId: "[사번]",
+};
+const rateLimitHits = new Map(); // bucket -> hit timestamps (ms), oldest first
+const POW_ACTIONS = ["post", "comment"];
+const POW_TTL_MS = 5 * 60 * 1000;
+const POW_MAX_DIFFICULTY = 24;
+const ANTISPAM_DEFAULTS = { postDifficulty: 16, commentDifficulty: 14 };
+const redeemedChallenges = new Map(); // challenge id -> expiry (ms)
+// Same ALLOWED_ORIGIN format as the worker; the app's own origin is always allowed.
+const ALLOWED_ORIGIN_PATTERNS = (process.env.ALLOWED_ORIGIN || "")
+  .split(",")
+  .map((entry) => entry.trim().replace(/\/+$/, ""))
+  .filter(Boolean)
+  .map(
+    (entry) =>
+      new RegExp(
+        `^${entry
+          .split("*")
+          .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+          .join("[a-z0-9-]+")}$`,
+        "i",
+      ),
+  );
+const CSRF_COOKIE = "woldecks.csrf";
+const UNSAFE_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+// viewer: read-only admin access; moderator: handles complaints;
+// owner: moderator plus managing admin accounts.
+const ADMIN_ROLES = ["viewer", "moderator", "owner"];
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+const MIN_ADMIN_PASSWORD_LENGTH = 8;
+
+// sid -> { createdAt, verified: Set<string>, tokens: Map<postId, token>, userId? }
+// Only sessions created by an admin login carry a userId, along with
+// expiresAt, userAgent, ip and lastSeenAt for the "active sessions" panel.
+const sessions = new Map();
+const ADMIN_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+// lastSeenAt/ip are refreshed at most this often, like the worker.
+const SESSION_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+function defaultCategories() {
+  return [
+    { id: "salary", name: "급여", sortOrder: 10 },
+    { id: "environment", name: "근무환경", sortOrder: 20 },
+    { id: "safety", name: "안전", sortOrder: 30 },
+    { id: "welfare", name: "복리후생", sortOrder: 40 },
+    { id: "etc", name: "기타", sortOrder: 90 },
+  ];
+}
+
+function emptyData() {
+  return { posts: [], categories: defaultCategories(), adminUsers: [] };
+}
 
 function readData() {
   try {
     const raw = fs.readFileSync(DATA_PATH, "utf8");
     const parsed = JSON.parse(raw);
-    if (!parsed || typeof parsed !== "object") return { posts: [] };
-    if (!Array.isArray(parsed.posts)) return { posts: [] };
+    if (!parsed || typeof parsed !== "object") return emptyData();
+    if (!Array.isArray(parsed.posts)) return emptyData();
+    if (!Array.isArray(parsed.categories)) parsed.categories = defaultCategories();
+    if (!Array.isArray(parsed.adminUsers)) parsed.adminUsers = [];
     return parsed;
   } catch {
-    return { posts: [] };
+    return emptyData();
   }
 }
 
+function sortedCategories(data) {
+  return [...data.categories].sort(
+    (a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name),
+  );
+}
+
+function searchTerms(q) {
+  return q
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 5);
+}
+
+function matchesSearch(post, terms) {
+  const haystack = `${post.title}\n${post.content}`.toLowerCase();
+  return terms.every((term) => haystack.includes(term));
+}
+
+function parseDateParam(value) {
+  if (!value) return "";
+  const time = Date.parse(value);
+  return Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+// List filters shared by GET /api/posts and the admin bulk actions. The
+// category is applied by the caller because the list's counts ignore it.
+function filterPosts(posts, params) {
+  const status = params.get("status") || "";
+  if (status && !POST_STATUSES.includes(status)) return { error: "Invalid status" };
+  const terms = searchTerms((params.get("q") || "").trim().slice(0, 100));
+  // from is inclusive, to is exclusive.
+  const from = parseDateParam(params.get("from"));
+  const to = parseDateParam(params.get("to"));
+  if (from === null || to === null) return { error: "Invalid date" };
+  const matching = posts.filter(
+    (p) =>
+      !p.deletedAt &&
+      (!status || (p.status || "received") === status) &&
+      (!from || p.createdAt >= from) &&
+      (!to || p.createdAt < to) &&
+      matchesSearch(p, terms),
+  );
+  return { matching, category: params.get("category") || "" };
+}
+
+function inCategory(post, category) {
+  return !category || (post.categoryId || "none") === category;
+}
+
+// Stamps the target status and clears any later ones (same rule as the worker).
+function applyStatus(post, status) {
+  const targetIndex = POST_STATUSES.indexOf(status);
+  POST_STATUSES.forEach((step, idx) => {
+    const field = STATUS_TIMESTAMP_FIELDS[step];
+    if (!field) return;
+    if (idx === targetIndex) post[field] = nowIso();
+    else if (idx > targetIndex) post[field] = null;
+  });
+  post.status = status;
+}
+
+function readCategoryInput(body) {
+  const name = typeof body.name === "string" ? body.name.trim() : "";
+  const sortOrder = Number.parseInt(body.sortOrder ?? "0", 10);
+  return { name, sortOrder: Number.isFinite(sortOrder) ? sortOrder : 0 };
+}
+
 function writeData(data) {
   const tmp = `${DATA_PATH}.tmp`;
   fs.writeFileSync(tmp, JSON.stringify(data, null, 2), "utf8");
@@ -58,12 +253,13 @@ function nowIso() {
   return new Date().toISOString();
 }
 
-function json(res, status, body) {
+function json(res, status, body, extraHeaders = {}) {
   const payload = JSON.stringify(body);
   res.writeHead(status, {
     "Content-Type": "application/json; charset=utf-8",
     "Content-Length": Buffer.byteLength(payload),
     "Cache-Control": "no-store",
+    ...extraHeaders,
   });
   res.end(payload);
   return true;
@@ -81,6 +277,41 @@ function unauthorized(res, msg) {
   return json(res, 401, { error: msg || "Unauthorized" });
 }
 
+function tooManyRequests(res, retryAfter) {
+  return json(
+    res,
+    429,
+    { error: "Too many requests", retryAfter },
+    { "Retry-After": String(retryAfter) },
+  );
+}
+
+// Returns 0 when the request may proceed, otherwise the seconds to wait.
+function rateLimit(req, action, postId = null) {
+  const rule = RATE_LIMITS[action];
+  const windowMs = rule.windowSeconds * 1000;
+  const now = Date.now();
+  const buckets = [[`${action}:ip:${req.socket.remoteAddress || "unknown"}`, rule.perIp]];
+  if (postId && rule.perPost) buckets.push([`${action}:post:${postId}`, rule.perPost]);
+
+  for (const [bucket, maxHits] of buckets) {
+    const hits = (rateLimitHits.get(bucket) || []).filter((t) => t > now - windowMs);
+    rateLimitHits.set(bucket, hits);
+    if (hits.length >= maxHits) {
+      return Math.max(1, Math.ceil((hits[0] + windowMs - now) / 1000));
+    }
+    hits.push(now);
+  }
+  return 0;
+}
+
+setInterval(() => {
+  const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+  for (const [bucket, hits] of rateLimitHits) {
+    if (hits.length === 0 || hits[hits.length - 1] < cutoff) rateLimitHits.delete(bucket);
+  }
+}, 10 * 60 * 1000).unref();
+
 function readBody(req, limitBytes = 256 * 1024) {
   return new Promise((resolve, reject) => {
     let size = 0;
@@ -163,6 +394,29 @@ function setCookie(res, name, value, options = {}) {
   res.setHeader("Set-Cookie", parts.join("; "));
 }
 
+function originAllowed(req) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  try {
+    if (new URL(origin).host === req.headers.host) return true;
+  } catch {
+    return false;
+  }
+  return ALLOWED_ORIGIN_PATTERNS.some((pattern) => pattern.test(origin));
+}
+
+// Signed double-submit token, as in the worker. The "csrf:" prefix keeps other
+// signed values (session and voter cookies) from passing as one.
+function validCsrfToken(token) {
+  return (verifySigned(token) || "").startsWith("csrf:");
+}
+
+function csrfPasses(req) {
+  const header = req.headers["x-csrf-token"] || "";
+  const cookie = parseCookies(req)[CSRF_COOKIE] || "";
+  return Boolean(header) && header === cookie && validCsrfToken(header);
+}
+
 function getSessionId(req) {
   const cookies = parseCookies(req);
   const signed = cookies["woldecks.sid"];
@@ -187,18 +441,78 @@ function getAdminSession(req) {
   if (!signed) return null;
   const sid = verifySigned(signed);
   if (!sid) return null;
-  return sessions.has(sid) ? sid : null;
+  const session = sessions.get(sid);
+  if (!session) return null;
+  if (session.userId && Date.parse(session.expiresAt) <= Date.now()) {
+    sessions.delete(sid);
+    return null;
+  }
+  if (session.userId && Date.now() - Date.parse(session.lastSeenAt) > SESSION_SEEN_INTERVAL_MS) {
+    session.lastSeenAt = nowIso();
+    session.ip = req.socket.remoteAddress || null;
+  }
+  return sid;
 }
 
-function isAdmin(req) {
-  return Boolean(getAdminSession(req));
+function getAdminUser(req) {
+  const sid = getAdminSession(req);
+  const userId = sid ? sessions.get(sid).userId : null;
+  if (!userId) return null;
+  const user = readData().adminUsers.find((u) => u.id === userId);
+  return user && !user.disabledAt ? user : null;
+}
+
+function hasRole(user, role) {
+  return Boolean(user) && ADMIN_ROLES.indexOf(user.role) >= ADMIN_ROLES.indexOf(role);
+}
+
+function denied(res, user) {
+  return user ? json(res, 403, { error: "Forbidden" }) : unauthorized(res, "Admin only");
+}
+
+function revokeAdminSessions(userId) {
+  for (const [sid, session] of sessions) {
+    if (session.userId === userId) sessions.delete(sid);
+  }
+}
+
+function purgeExpiredSessions() {
+  const now = Date.now();
+  for (const [sid, session] of sessions) {
+    if (session.userId && Date.parse(session.expiresAt) <= now) sessions.delete(sid);
+  }
+}
+
+function serializeAdminSession(sid, session, currentSid) {
+  const user = readData().adminUsers.find((u) => u.id === session.userId);
+  return {
+    id: sid,
+    userId: session.userId,
+    username: user ? user.username : null,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    expiresAt: session.expiresAt,
+    current: sid === currentSid,
+  };
+}
+
+function serializeAdminUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    displayName: user.displayName,
+    role: user.role,
+    disabled: Boolean(user.disabledAt),
+    createdAt: user.createdAt,
+    lastLoginAt: user.lastLoginAt || null,
+  };
 }
 
 function pbkdf2Hash(password, saltHex) {
   const salt = Buffer.from(saltHex, "hex");
-  const iterations = 120_000;
-  const keylen = 32;
-  const digest = "sha256";
+  const { iterations, digest, keylen } = PASSWORD_POLICY;
   const hash = crypto.pbkdf2Sync(password, salt, iterations, keylen, digest);
   return { iterations, digest, keylen, hashHex: hash.toString("hex") };
 }
@@ -233,6 +547,276 @@ function verifyPassword(password, record) {
   }
 }
 
+function passwordOutdated(record) {
+  return (
+    record.iterations < PASSWORD_POLICY.iterations ||
+    record.digest !== PASSWORD_POLICY.digest ||
+    record.keylen < PASSWORD_POLICY.keylen
+  );
+}
+
+// Call only after verifyPassword succeeded: swaps a record hashed with weaker
+// parameters for one under PASSWORD_POLICY. Returns whether it changed
+// anything; persisting it is up to the caller.
+function upgradePasswordHash(holder, password) {
+  if (!passwordOutdated(holder.password)) return false;
+  holder.password = makePasswordRecord(password);
+  return true;
+}
+
+// Receipt codes (접수번호), as in the worker: shown once on creation, stored
+// as a plain SHA-256 so they carry over to Supabase on import.
+const RECEIPT_ALPHABET = "23456789ABCDEFGHJKLMNPQRSTUVWXYZ";
+const RECEIPT_LENGTH = 12;
+
+function makeReceiptCode() {
+  const chars = [...crypto.randomBytes(RECEIPT_LENGTH)].map(
+    (byte) => RECEIPT_ALPHABET[byte % RECEIPT_ALPHABET.length],
+  );
+  return [0, 4, 8].map((i) => chars.slice(i, i + 4).join("")).join("-");
+}
+
+function normalizeReceiptCode(input) {
+  const code = String(input || "").toUpperCase().replace(/[\s-]/g, "");
+  if (code.length !== RECEIPT_LENGTH) return null;
+  return [...code].every((ch) => RECEIPT_ALPHABET.includes(ch)) ? code : null;
+}
+
+function receiptHash(code) {
+  return crypto.createHash("sha256").update(`receipt:${code}`).digest("hex");
+}
+
+// Same proof-of-work challenge and honeypot as the worker, signed with
+// SESSION_SECRET. Redeemed challenge ids are kept in memory until they expire.
+function antispamSettings(data) {
+  return { ...ANTISPAM_DEFAULTS, ...(data.settings?.antispam || {}) };
+}
+
+function issueChallenge(action, difficulty) {
+  return sign([crypto.randomUUID(), action, difficulty, Date.now() + POW_TTL_MS].join("."));
+}
+
+function leadingZeroBits(hex) {
+  let bits = 0;
+  for (const ch of hex) {
+    const nibble = Number.parseInt(ch, 16);
+    if (nibble !== 0) return bits + Math.clz32(nibble) - 28;
+    bits += 4;
+  }
+  return bits;
+}
+
+function passesSpamCheck(action, body) {
+  if (typeof body.website === "string" && body.website.trim()) return false;
+  const challenge = typeof body.challenge === "string" ? body.challenge : "";
+  const nonce = typeof body.nonce === "string" ? body.nonce : "";
+  if (!challenge || !nonce || nonce.length > 32) return false;
+  const payload = verifySigned(challenge);
+  const parts = payload ? payload.split(".") : [];
+  if (parts.length !== 4) return false;
+  const [id, challengeAction, difficulty, expiresText] = parts;
+  const expiresAt = Number(expiresText);
+  if (challengeAction !== action || !(expiresAt > Date.now())) return false;
+  const hash = crypto.createHash("sha256").update(`${challenge}:${nonce}`).digest("hex");
+  if (leadingZeroBits(hash) < Number(difficulty)) return false;
+
+  const now = Date.now();
+  for (const [usedId, usedUntil] of redeemedChallenges) {
+    if (usedUntil <= now) redeemedChallenges.delete(usedId);
+  }
+  if (redeemedChallenges.has(id)) return false;
+  redeemedChallenges.set(id, expiresAt);
+  return true;
+}
+
+function lastActivityAt(post) {
+  return post.updatedAt && post.updatedAt > post.createdAt ? post.updatedAt : post.createdAt;
+}
+
+function endorsementCount(post) {
+  return (post.endorsements || []).length;
+}
+
+// Per-post keyed hash of the voter id; the id itself is never stored.
+function voterHash(voterId, postId) {
+  return crypto.createHmac("sha256", SESSION_SECRET).update(`${voterId}:${postId}`).digest("hex");
+}
+
+function getVoterId(req) {
+  const signed = parseCookies(req)["woldecks.voter"];
+  return signed ? verifySigned(signed) : null;
+}
+
+function serializePost(post) {
+  return {
+    id: post.id,
+    title: post.title,
+    author: post.author,
+    content: post.content,
+    status: post.status || "received",
+    categoryId: post.categoryId || null,
+    visibility: post.visibility || "public",
+    endorsementCount: endorsementCount(post),
+    createdAt: post.createdAt,
+    updatedAt: post.updatedAt || null,
+    reviewingAt: post.reviewingAt || null,
+    forwardedAt: post.forwardedAt || null,
+    resolvedAt: post.resolvedAt || null,
+  };
+}
+
+// Same rule as the worker: admins, or a session that verified the password.
+function canReadPost(req, post) {
+  if ((post.visibility || "public") !== "confidential") return true;
+  if (getAdminUser(req)) return true;
+  const sid = getSessionId(req);
+  const session = sid ? sessions.get(sid) : null;
+  return Boolean(session && session.verified.has(post.id));
+}
+
+// Korean local date (YYYY-MM-DD) of an ISO instant.
+function kstDay(iso) {
+  return new Date(Date.parse(iso) + 9 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// Monday of the week containing a YYYY-MM-DD date.
+function weekStart(day) {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+function countBy(items, keyOf) {
+  const counts = {};
+  for (const item of items) {
+    const key = keyOf(item);
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return counts;
+}
+
+function periodSeries(counts) {
+  return Object.keys(counts)
+    .sort()
+    .map((period) => ({ period, count: counts[period] }));
+}
+
+// Same shape as the worker's admin_stats. This backend has no comments or
+// official responses, so those figures are always empty.
+function computeStats(posts, from, to) {
+  const scoped = posts.filter(
+    (p) => !p.deletedAt && (!from || p.createdAt >= from) && (!to || p.createdAt < to),
+  );
+  const days = scoped.map((p) => kstDay(p.createdAt));
+  return {
+    total: scoped.length,
+    volumes: {
+      day: periodSeries(countBy(days, (day) => day)),
+      week: periodSeries(countBy(days, weekStart)),
+      month: periodSeries(countBy(days, (day) => day.slice(0, 7))),
+    },
+    statuses: countBy(scoped, (p) => p.status || "received"),
+    categories: countBy(scoped, (p) => p.categoryId || "none"),
+    comments: {
+      total: 0,
+      average: 0,
+      median: scoped.length > 0 ? 0 : null,
+      distribution: scoped.length > 0 ? [{ comments: 0, posts: scoped.length }] : [],
+    },
+    firstResponse: { responded: 0, medianHours: null },
+  };
+}
+
+function piiPolicy() {
+  const mode = PII_MODES.includes(process.env.PII_MODE) ? process.env.PII_MODE : "mask";
+  let overrides = {};
+  try {
+    overrides = process.env.PII_PATTERNS ? JSON.parse(process.env.PII_PATTERNS) : {};
+  } catch {
+    // ignore a malformed PII_PATTERNS; the defaults apply
+  }
+  const patterns = [];
+  for (const [type, fallback] of Object.entries(PII_DEFAULT_PATTERNS)) {
+    let source = fallback;
+    if (typeof overrides?.[type] === "string") {
+      source = overrides[type];
+      try {
+        new RegExp(source, "g");
+      } catch {
+        source = fallback;
+      }
+    }
+    if (source) patterns.push({ type, source });
+  }
+  return { mode, patterns: mode === "off" ? [] : patterns };
+}
+
+function checkPii(fields) {
+  const policy = piiPolicy();
+  const counts = {};
+  const masked = {};
+  for (const [name, value] of Object.entries(fields)) {
+    masked[name] = policy.patterns.reduce(
+      (text, { type, source }) =>
+        text.replace(new RegExp(source, "g"), () => {
+          counts[type] = (counts[type] || 0) + 1;
+          return PII_MASKS[type];
+        }),
+      value,
+    );
+  }
+  const found = Object.keys(counts).length > 0;
+  return { fields: masked, counts, found, rejected: found && policy.mode === "reject" };
+}
+
+function recordPiiDetection(data, targetType, targetId, pii) {
+  data.piiDetections = data.piiDetections || [];
+  data.piiDetections.push({
+    targetType,
+    targetId: targetId || null,
+    action: pii.rejected ? "rejected" : "masked",
+    counts: pii.counts,
+    createdAt: nowIso(),
+  });
+}
+
+function piiRejected(res, pii) {
+  return json(res, 400, { error: "Personal information", piiTypes: Object.keys(pii.counts) });
+}
+
+// Same shape as the worker's pii_report.
+function computePiiReport(detections, from, to) {
+  const scoped = detections.filter(
+    (d) => (!from || d.createdAt >= from) && (!to || d.createdAt < to),
+  );
+  const types = {};
+  for (const d of scoped) {
+    for (const [type, n] of Object.entries(d.counts)) types[type] = (types[type] || 0) + n;
+  }
+  return {
+    total: scoped.length,
+    actions: countBy(scoped, (d) => d.action),
+    targets: countBy(scoped, (d) => d.targetType),
+    types,
+    daily: periodSeries(countBy(scoped, (d) => kstDay(d.createdAt))),
+  };
+}
+
+function trashPurgeAt(post) {
+  return new Date(
+    Date.parse(post.deletedAt) + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000,
+  ).toISOString();
+}
+
+function purgeExpiredTrash() {
+  const now = nowIso();
+  const data = readData();
+  const kept = data.posts.filter((p) => !p.deletedAt || trashPurgeAt(p) > now);
+  if (kept.length === data.posts.length) return;
+  data.posts = kept;
+  writeData(data);
+}
+
 function serveStatic(req, res, pathname) {
   const safe = pathname === "/" ? "/index.html" : pathname;
   const filePath = path.join(__dirname, safe);
@@ -265,22 +849,166 @@ function route(req, res) {
   const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
   const pathname = url.pathname;
 
+  if (pathname.startsWith("/api/") && UNSAFE_METHODS.includes(req.method)) {
+    if (!originAllowed(req)) return json(res, 403, { error: "Origin not allowed" });
+    if (!csrfPasses(req)) return json(res, 403, { error: "Invalid CSRF token" });
+  }
+
+  if (pathname === "/api/csrf" && req.method === "GET") {
+    const existing = parseCookies(req)[CSRF_COOKIE] || "";
+    if (validCsrfToken(existing)) return json(res, 200, { token: existing });
+    const token = sign(`csrf:${crypto.randomBytes(16).toString("hex")}`);
+    setCookie(res, CSRF_COOKIE, token, { maxAgeSeconds: 86400 });
+    return json(res, 200, { token });
+  }
+
   if (pathname === "/api/admin/me" && req.method === "GET") {
-    return json(res, 200, { admin: isAdmin(req) });
+    const user = getAdminUser(req);
+    return json(res, 200, { admin: Boolean(user), user: user ? serializeAdminUser(user) : null });
   }
 
   if (pathname === "/api/admin/login" && req.method === "POST") {
     return (async () => {
       const body = await readJson(req, res);
       if (body === null) return;
+      const username = typeof body.username === "string" ? body.username.trim().toLowerCase() : "";
       const input = typeof body.password === "string" ? body.password : "";
-      if (!input) return badRequest(res, "Missing field: password");
-      if (input !== ADMIN_PASSWORD) return unauthorized(res, "Invalid password");
+      if (!username || !input) return badRequest(res, "Missing fields");
+      const retryAfter = rateLimit(req, "adminLogin");
+      if (retryAfter) return tooManyRequests(res, retryAfter);
+
+      const data = readData();
+      let user = data.adminUsers.find((u) => u.username === username);
+      if (!user) {
+        // Fresh data file: ADMIN_PASSWORD creates the first owner account once.
+        const bootstrap =
+          input === ADMIN_PASSWORD &&
+          USERNAME_PATTERN.test(username) &&
+          data.adminUsers.length === 0;
+        if (!bootstrap) return unauthorized(res, "Invalid credentials");
+        user = {
+          id: crypto.randomUUID(),
+          username,
+          displayName: username,
+          role: "owner",
+          password: makePasswordRecord(input),
+          disabledAt: null,
+          createdAt: nowIso(),
+        };
+        data.adminUsers.push(user);
+      } else if (user.disabledAt || !verifyPassword(input, user.password)) {
+        return unauthorized(res, "Invalid credentials");
+      } else {
+        upgradePasswordHash(user, input);
+      }
+      user.lastLoginAt = nowIso();
+      writeData(data);
 
       const sid = crypto.randomUUID();
-      sessions.set(sid, { createdAt: nowIso(), verified: new Set(), tokens: new Map() });
-      setCookie(res, "woldecks.admin", sign(sid));
-      return json(res, 200, { admin: true });
+      sessions.set(sid, {
+        createdAt: nowIso(),
+        verified: new Set(),
+        tokens: new Map(),
+        userId: user.id,
+        expiresAt: new Date(Date.now() + ADMIN_SESSION_TTL_MS).toISOString(),
+        userAgent: (req.headers["user-agent"] || "").slice(0, 300) || null,
+        ip: req.socket.remoteAddress || null,
+        lastSeenAt: nowIso(),
+      });
+      setCookie(res, "woldecks.admin", sign(sid), { maxAgeSeconds: ADMIN_SESSION_TTL_MS / 1000 });
+      return json(res, 200, { admin: true, user: serializeAdminUser(user) });
+    })();
+  }
+
+  if (pathname === "/api/admin/users" && req.method === "GET") {
+    const admin = getAdminUser(req);
+    if (!hasRole(admin, "owner")) return denied(res, admin);
+    return json(res, 200, { users: readData().adminUsers.map(serializeAdminUser) });
+  }
+
+  if (pathname === "/api/admin/users" && req.method === "POST") {
+    return (async () => {
+      const admin = getAdminUser(req);
+      if (!hasRole(admin, "owner")) return denied(res, admin);
+      const body = await readJson(req, res);
+      if (body === null) return;
+      const username = typeof body.username === "string" ? body.username.trim().toLowerCase() : "";
+      const displayName = typeof body.displayName === "string" ? body.displayName.trim() : "";
+      const role = typeof body.role === "string" ? body.role : "";
+      const password = typeof body.password === "string" ? body.password : "";
+      if (!USERNAME_PATTERN.test(username)) return badRequest(res, "Invalid username");
+      if (!ADMIN_ROLES.includes(role)) return badRequest(res, "Invalid role");
+      if (password.length < MIN_ADMIN_PASSWORD_LENGTH) return badRequest(res, "Password too short");
+
+      const data = readData();
+      if (data.adminUsers.some((u) => u.username === username)) {
+        return json(res, 409, { error: "Username already exists" });
+      }
+      const user = {
+        id: crypto.randomUUID(),
+        username,
+        displayName: displayName || username,
+        role,
+        password: makePasswordRecord(password),
+        disabledAt: null,
+        createdAt: nowIso(),
+      };
+      data.adminUsers.push(user);
+      writeData(data);
+      return json(res, 201, { user: serializeAdminUser(user) });
+    })();
+  }
+
+  const adminUserMatch = pathname.match(/^\/api\/admin\/users\/([^/]+)$/);
+  if (adminUserMatch && req.method === "PUT") {
+    return (async () => {
+      const admin = getAdminUser(req);
+      if (!hasRole(admin, "owner")) return denied(res, admin);
+      const id = adminUserMatch[1];
+      const body = await readJson(req, res);
+      if (body === null) return;
+
+      const data = readData();
+      const user = data.adminUsers.find((u) => u.id === id);
+      if (!user) return notFound(res);
+      if (body.role !== undefined && !ADMIN_ROLES.includes(body.role)) {
+        return badRequest(res, "Invalid role");
+      }
+      // Owners can't lock themselves out.
+      if (id === admin.id && (body.disabled === true || (body.role && body.role !== "owner"))) {
+        return badRequest(res, "Cannot demote or disable yourself");
+      }
+      if (typeof body.displayName === "string" && body.displayName.trim()) {
+        user.displayName = body.displayName.trim();
+      }
+      if (body.role !== undefined) user.role = body.role;
+      if (typeof body.disabled === "boolean") {
+        user.disabledAt = body.disabled ? nowIso() : null;
+        if (body.disabled) revokeAdminSessions(id);
+      }
+      writeData(data);
+      return json(res, 200, { user: serializeAdminUser(user) });
+    })();
+  }
+
+  const adminPasswordMatch = pathname.match(/^\/api\/admin\/users\/([^/]+)\/password$/);
+  if (adminPasswordMatch && req.method === "PUT") {
+    return (async () => {
+      const admin = getAdminUser(req);
+      if (!hasRole(admin, "owner")) return denied(res, admin);
+      const id = adminPasswordMatch[1];
+      const body = await readJson(req, res);
+      if (body === null) return;
+      const password = typeof body.password === "string" ? body.password : "";
+      if (password.length < MIN_ADMIN_PASSWORD_LENGTH) return badRequest(res, "Password too short");
+
+      const data = readData();
+      const user = data.adminUsers.find((u) => u.id === id);
+      if (!user) return notFound(res);
+      user.password = makePasswordRecord(password);
+      writeData(data);
+      if (id !== admin.id) revokeAdminSessions(id);
+      return json(res, 200, { ok: true });
     })();
   }
 
@@ -291,18 +1019,217 @@ function route(req, res) {
     return json(res, 200, { ok: true });
   }
 
+  // Owners see every admin's sessions; everyone else only their own.
+  if (pathname === "/api/admin/sessions" && req.method === "GET") {
+    const admin = getAdminUser(req);
+    if (!admin) return denied(res, admin);
+    const currentSid = getAdminSession(req);
+    const list = [];
+    for (const [sid, session] of sessions) {
+      if (!session.userId) continue;
+      if (session.userId !== admin.id && !hasRole(admin, "owner")) continue;
+      list.push(serializeAdminSession(sid, session, currentSid));
+    }
+    list.sort((a, b) => (a.lastSeenAt < b.lastSeenAt ? 1 : -1));
+    return json(res, 200, { sessions: list });
+  }
+
+  if (pathname === "/api/admin/sessions/revoke-all" && req.method === "POST") {
+    const admin = getAdminUser(req);
+    if (!admin) return denied(res, admin);
+    revokeAdminSessions(admin.id);
+    setCookie(res, "woldecks.admin", "x", { clear: true });
+    return json(res, 200, { ok: true });
+  }
+
+  const adminSessionMatch = pathname.match(/^\/api\/admin\/sessions\/([^/]+)$/);
+  if (adminSessionMatch && req.method === "DELETE") {
+    const admin = getAdminUser(req);
+    if (!admin) return denied(res, admin);
+    const id = adminSessionMatch[1];
+    const currentSid = getAdminSession(req);
+    const session = sessions.get(id);
+    if (!session || !session.userId) return notFound(res);
+    if (session.userId !== admin.id && !hasRole(admin, "owner")) return notFound(res);
+    sessions.delete(id);
+    if (id === currentSid) setCookie(res, "woldecks.admin", "x", { clear: true });
+    return json(res, 200, { ok: true });
+  }
+
+  if (pathname === "/api/categories" && req.method === "GET") {
+    const data = readData();
+    return json(res, 200, { categories: sortedCategories(data) });
+  }
+
+  if (pathname === "/api/admin/categories" && req.method === "POST") {
+    return (async () => {
+      const admin = getAdminUser(req);
+      if (!hasRole(admin, "moderator")) return denied(res, admin);
+      const body = await readJson(req, res);
+      if (body === null) return;
+      const input = readCategoryInput(body);
+      if (!input.name) return badRequest(res, "Missing field: name");
+      const data = readData();
+      if (data.categories.some((c) => c.name === input.name)) {
+        return json(res, 409, { error: "Category already exists" });
+      }
+      const category = { id: crypto.randomUUID(), ...input };
+      data.categories.push(category);
+      writeData(data);
+      return json(res, 201, { category });
+    })();
+  }
+
+  const categoryMatch = pathname.match(/^\/api\/admin\/categories\/([^/]+)$/);
+  if (categoryMatch && req.method === "PUT") {
+    return (async () => {
+      const admin = getAdminUser(req);
+      if (!hasRole(admin, "moderator")) return denied(res, admin);
+      const body = await readJson(req, res);
+      if (body === null) return;
+      const input = readCategoryInput(body);
+      if (!input.name) return badRequest(res, "Missing field: name");
+      const data = readData();
+      const category = data.categories.find((c) => c.id === categoryMatch[1]);
+      if (!category) return notFound(res);
+      if (data.categories.some((c) => c.id !== category.id && c.name === input.name)) {
+        return json(res, 409, { error: "Category already exists" });
+      }
+      Object.assign(category, input);
+      writeData(data);
+      return json(res, 200, { category });
+    })();
+  }
+
+  if (categoryMatch && req.method === "DELETE") {
+    const admin = getAdminUser(req);
+    if (!hasRole(admin, "moderator")) return denied(res, admin);
+    const id = categoryMatch[1];
+    const data = readData();
+    data.categories = data.categories.filter((c) => c.id !== id);
+    data.posts.forEach((p) => {
+      if (p.categoryId === id) p.categoryId = null;
+    });
+    writeData(data);
+    return json(res, 200, { ok: true });
+  }
+
   if (pathname === "/api/posts" && req.method === "GET") {
     const data = readData();
-    const posts = [...data.posts]
-      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
-      .map((p) => ({
-        id: p.id,
-        title: p.title,
-        author: p.author,
-        createdAt: p.createdAt,
-        updatedAt: p.updatedAt || null,
-      }));
-    return json(res, 200, { posts });
+    const isAdminUser = Boolean(getAdminUser(req));
+    const { error, matching: found, category } = filterPosts(data.posts, url.searchParams);
+    if (error) return badRequest(res, error);
+    const sort = url.searchParams.get("sort") || "newest";
+    if (!Object.hasOwn(POST_SORTS, sort)) return badRequest(res, "Invalid sort");
+    // A search hit would reveal what a confidential post says.
+    const matching =
+      isAdminUser || !url.searchParams.get("q")
+        ? found
+        : found.filter((p) => (p.visibility || "public") === "public");
+
+    const categoryCounts = {};
+    matching.forEach((p) => {
+      const key = p.categoryId || "none";
+      categoryCounts[key] = (categoryCounts[key] || 0) + 1;
+    });
+
+    const posts = matching
+      .filter((p) => inCategory(p, category))
+      .sort((a, b) => POST_SORTS[sort](a, b) || (a.createdAt < b.createdAt ? 1 : -1))
+      .map((p) => {
+        const visibility = p.visibility || "public";
+        const hidden = visibility === "confidential" && !isAdminUser;
+        return {
+          id: p.id,
+          title: hidden ? null : p.title,
+          author: hidden ? null : p.author,
+          status: p.status || "received",
+          categoryId: p.categoryId || null,
+          visibility,
+          endorsementCount: endorsementCount(p),
+          createdAt: p.createdAt,
+          updatedAt: p.updatedAt || null,
+          lastActivityAt: lastActivityAt(p),
+        };
+      });
+    return json(res, 200, { posts, categoryCounts });
+  }
+
+  if (pathname === "/api/challenges" && req.method === "POST") {
+    return (async () => {
+      const body = await readJson(req, res);
+      if (body === null) return;
+      const action = POW_ACTIONS.includes(body.action) ? body.action : "";
+      if (!action) return badRequest(res, "Invalid action");
+      const settings = antispamSettings(readData());
+      const difficulty = action === "post" ? settings.postDifficulty : settings.commentDifficulty;
+      return json(res, 200, { challenge: issueChallenge(action, difficulty), difficulty });
+    })();
+  }
+
+  // Same shape as the worker's password_hash_report; comments here have no passwords.
+  if (pathname === "/api/admin/password-hashes" && req.method === "GET") {
+    const admin = getAdminUser(req);
+    if (!hasRole(admin, "owner")) return denied(res, admin);
+    const data = readData();
+    const records = [
+      ...data.posts.map((p) => ["posts", p.password]),
+      ...data.adminUsers.map((u) => ["adminUsers", u.password]),
+    ];
+    const kinds = {};
+    const params = new Map();
+    for (const [kind, record] of records) {
+      const outdated = passwordOutdated(record);
+      kinds[kind] = kinds[kind] || { total: 0, outdated: 0 };
+      kinds[kind].total++;
+      if (outdated) kinds[kind].outdated++;
+      const key = `${record.iterations}:${record.digest}:${record.keylen}`;
+      if (!params.has(key)) {
+        params.set(key, {
+          iterations: record.iterations,
+          digest: record.digest,
+          keylen: record.keylen,
+          count: 0,
+          outdated,
+        });
+      }
+      params.get(key).count++;
+    }
+    return json(res, 200, {
+      policy: PASSWORD_POLICY,
+      kinds,
+      params: [...params.values()].sort((a, b) => b.count - a.count),
+    });
+  }
+
+  if (pathname === "/api/admin/antispam" && req.method === "GET") {
+    const admin = getAdminUser(req);
+    if (!hasRole(admin, "owner")) return denied(res, admin);
+    return json(res, 200, {
+      settings: antispamSettings(readData()),
+      maxDifficulty: POW_MAX_DIFFICULTY,
+    });
+  }
+
+  if (pathname === "/api/admin/antispam" && req.method === "PUT") {
+    return (async () => {
+      const admin = getAdminUser(req);
+      if (!hasRole(admin, "owner")) return denied(res, admin);
+      const body = await readJson(req, res);
+      if (body === null) return;
+      const settings = {};
+      for (const key of Object.keys(ANTISPAM_DEFAULTS)) {
+        const value = body[key];
+        if (!Number.isInteger(value) || value < 0 || value > POW_MAX_DIFFICULTY) {
+          return badRequest(res, "Invalid difficulty");
+        }
+        settings[key] = value;
+      }
+      const data = readData();
+      data.settings = { ...data.settings, antispam: settings };
+      writeData(data);
+      return json(res, 200, { settings, maxDifficulty: POW_MAX_DIFFICULTY });
+    })();
   }
 
   if (pathname === "/api/posts" && req.method === "POST") {
@@ -313,49 +1240,140 @@ function route(req, res) {
       const author = typeof body.author === "string" ? body.author.trim() : "";
       const content = typeof body.content === "string" ? body.content.trim() : "";
       const password = typeof body.password === "string" ? body.password : "";
+      const categoryId = typeof body.categoryId === "string" ? body.categoryId : "";
+      const visibility = body.visibility === undefined ? "public" : body.visibility;
       if (!title || !author || !content || !password) {
         return badRequest(res, "Missing fields");
       }
+      if (!VISIBILITIES.includes(visibility)) return badRequest(res, "Invalid visibility");
+      const retryAfter = rateLimit(req, "createPost");
+      if (retryAfter) return tooManyRequests(res, retryAfter);
+      if (!passesSpamCheck("post", body)) return badRequest(res, "Spam check failed");
 
       const data = readData();
+      if (categoryId && !data.categories.some((c) => c.id === categoryId)) {
+        return badRequest(res, "Invalid category");
+      }
+      const pii = checkPii({ title, content });
+      if (pii.rejected) {
+        recordPiiDetection(data, "post", null, pii);
+        writeData(data);
+        return piiRejected(res, pii);
+      }
+      const receiptCode = makeReceiptCode();
       const post = {
         id: crypto.randomUUID(),
-        title,
+        title: pii.fields.title,
         author,
-        content,
+        content: pii.fields.content,
+        categoryId: categoryId || null,
+        visibility,
+        receiptHash: receiptHash(normalizeReceiptCode(receiptCode)),
         password: makePasswordRecord(password),
+        status: "received",
         createdAt: nowIso(),
         updatedAt: null,
       };
       data.posts.unshift(post);
+      if (pii.found) recordPiiDetection(data, "post", post.id, pii);
       writeData(data);
-      return json(res, 201, { id: post.id });
+      return json(res, 201, { id: post.id, receiptCode });
+    })();
+  }
+
+  // This backend has no comments or official responses, so only the post
+  // and its status come back.
+  if (pathname === "/api/receipts/lookup" && req.method === "POST") {
+    return (async () => {
+      const body = await readJson(req, res);
+      if (body === null) return;
+      const retryAfter = rateLimit(req, "receipt");
+      if (retryAfter) return tooManyRequests(res, retryAfter);
+      const code = normalizeReceiptCode(body.code);
+      if (!code) return badRequest(res, "Invalid code");
+      const hash = receiptHash(code);
+      const post = readData().posts.find((p) => p.receiptHash === hash && !p.deletedAt);
+      if (!post) return notFound(res);
+      return json(res, 200, { post: serializePost(post), responses: [], comments: [] });
     })();
   }
 
   const postIdMatch = pathname.match(/^\/api\/posts\/([^/]+)$/);
   if (postIdMatch && req.method === "GET") {
-    if (!isAdmin(req)) return unauthorized(res, "Admin only");
     const id = postIdMatch[1];
     const data = readData();
-    const post = data.posts.find((p) => p.id === id);
+    const post = data.posts.find((p) => p.id === id && !p.deletedAt);
     if (!post) return notFound(res);
-    return json(res, 200, {
-      post: {
-        id: post.id,
-        title: post.title,
-        author: post.author,
-        content: post.content,
-        createdAt: post.createdAt,
-        updatedAt: post.updatedAt || null,
-      },
-    });
+    if (!canReadPost(req, post)) {
+      return json(res, 403, { error: "Confidential", confidential: true });
+    }
+    const voterId = getVoterId(req);
+    const endorsed = Boolean(voterId) && (post.endorsements || []).includes(voterHash(voterId, id));
+    return json(res, 200, { post: { ...serializePost(post), endorsed } });
+  }
+
+  const revisionsMatch = pathname.match(/^\/api\/posts\/([^/]+)\/revisions$/);
+  if (revisionsMatch && req.method === "GET") {
+    const admin = getAdminUser(req);
+    if (!hasRole(admin, "viewer")) return denied(res, admin);
+    const post = readData().posts.find((p) => p.id === revisionsMatch[1]);
+    const revisions = (post?.revisions || [])
+      .map((r) => ({ ...r, postId: post.id }))
+      .reverse();
+    return json(res, 200, { revisions });
+  }
+
+  const endorseMatch = pathname.match(/^\/api\/posts\/([^/]+)\/endorsements$/);
+  if (endorseMatch && req.method === "POST") {
+    const id = endorseMatch[1];
+    const retryAfter = rateLimit(req, "endorse");
+    if (retryAfter) return tooManyRequests(res, retryAfter);
+    const data = readData();
+    const post = data.posts.find((p) => p.id === id && !p.deletedAt);
+    if (!post) return notFound(res);
+    if (!canReadPost(req, post)) {
+      return json(res, 403, { error: "Confidential", confidential: true });
+    }
+
+    let voterId = getVoterId(req);
+    if (!voterId) {
+      voterId = crypto.randomUUID();
+      setCookie(res, "woldecks.voter", sign(voterId), { maxAgeSeconds: VOTER_COOKIE_MAX_AGE });
+    }
+    // Endorsing again from the same browser is a no-op.
+    const hash = voterHash(voterId, id);
+    post.endorsements = post.endorsements || [];
+    if (!post.endorsements.includes(hash)) {
+      post.endorsements.push(hash);
+      writeData(data);
+    }
+    return json(res, 200, { endorsed: true, endorsementCount: endorsementCount(post) });
+  }
+
+  const statusMatch = pathname.match(/^\/api\/posts\/([^/]+)\/status$/);
+  if (statusMatch && req.method === "PUT") {
+    return (async () => {
+      const admin = getAdminUser(req);
+      if (!hasRole(admin, "moderator")) return denied(res, admin);
+      const body = await readJson(req, res);
+      if (body === null) return;
+      const status = typeof body.status === "string" ? body.status : "";
+      if (!POST_STATUSES.includes(status)) return badRequest(res, "Invalid status");
+
+      const data = readData();
+      const post = data.posts.find((p) => p.id === statusMatch[1] && !p.deletedAt);
+      if (!post) return notFound(res);
+
+      applyStatus(post, status);
+      writeData(data);
+      return json(res, 200, { post: serializePost(post) });
+    })();
   }
 
   const viewMatch = pathname.match(/^\/api\/posts\/([^/]+)\/view$/);
   if (viewMatch && req.method === "POST") {
     return (async () => {
-      if (isAdmin(req)) {
+      if (getAdminUser(req)) {
         req.url = `/api/posts/${viewMatch[1]}`;
         return route(req, res);
       }
@@ -365,10 +1383,13 @@ function route(req, res) {
       if (!password) return unauthorized(res, "Password required");
 
       const id = viewMatch[1];
+      const retryAfter = rateLimit(req, "password", id);
+      if (retryAfter) return tooManyRequests(res, retryAfter);
       const data = readData();
-      const post = data.posts.find((p) => p.id === id);
+      const post = data.posts.find((p) => p.id === id && !p.deletedAt);
       if (!post) return notFound(res);
       if (!verifyPassword(password, post.password)) return unauthorized(res, "Invalid password");
+      if (upgradePasswordHash(post, password)) writeData(data);
 
       const { session } = getOrCreateSession(req, res);
       session.verified.add(id);
@@ -376,14 +1397,7 @@ function route(req, res) {
       session.tokens.set(id, { token: viewToken, createdAt: Date.now() });
 
       return json(res, 200, {
-        post: {
-          id: post.id,
-          title: post.title,
-          author: post.author,
-          content: post.content,
-          createdAt: post.createdAt,
-          updatedAt: post.updatedAt || null,
-        },
+        post: serializePost(post),
         viewToken,
       });
     })();
@@ -402,10 +1416,12 @@ function route(req, res) {
       if (!title || !content) return badRequest(res, "Missing fields");
 
       const data = readData();
-      const idx = data.posts.findIndex((p) => p.id === id);
+      const idx = data.posts.findIndex((p) => p.id === id && !p.deletedAt);
       if (idx === -1) return notFound(res);
 
-      if (!isAdmin(req)) {
+      const admin = getAdminUser(req);
+      const isAdminUser = hasRole(admin, "moderator");
+      if (!isAdminUser) {
         const sid = getSessionId(req);
         const session = sid && sessions.has(sid) ? sessions.get(sid) : null;
         const verified = session ? session.verified.has(id) : false;
@@ -415,9 +1431,12 @@ function route(req, res) {
             : false;
         if (!verified && !tokenOk) {
           if (!password) return unauthorized(res, "Password required");
+          const retryAfter = rateLimit(req, "password", id);
+          if (retryAfter) return tooManyRequests(res, retryAfter);
           if (!verifyPassword(password, data.posts[idx].password)) {
             return unauthorized(res, "Invalid password");
           }
+          upgradePasswordHash(data.posts[idx], password);
           const { session: ensured } = getOrCreateSession(req, res);
           ensured.verified.add(id);
           const newToken = crypto.randomUUID();
@@ -425,11 +1444,30 @@ function route(req, res) {
         }
       }
 
-      data.posts[idx].title = title;
-      data.posts[idx].content = content;
+      const pii = checkPii({ title, content });
+      if (pii.found) recordPiiDetection(data, "post", id, pii);
+      if (pii.rejected) {
+        writeData(data);
+        return piiRejected(res, pii);
+      }
+
+      const current = data.posts[idx];
+      if (current.title !== pii.fields.title || current.content !== pii.fields.content) {
+        current.revisions = current.revisions || [];
+        current.revisions.push({
+          id: crypto.randomUUID(),
+          title: current.title,
+          content: current.content,
+          adminUserId: isAdminUser ? admin.id : null,
+          adminUsername: isAdminUser ? admin.username : null,
+          createdAt: nowIso(),
+        });
+      }
+      data.posts[idx].title = pii.fields.title;
+      data.posts[idx].content = pii.fields.content;
       data.posts[idx].updatedAt = nowIso();
       writeData(data);
-      return json(res, 200, { ok: true });
+      return json(res, 200, { ok: true, post: serializePost(data.posts[idx]) });
     })();
   }
 
@@ -442,10 +1480,10 @@ function route(req, res) {
       const viewToken = typeof body.viewToken === "string" ? body.viewToken : "";
 
       const data = readData();
-      const idx = data.posts.findIndex((p) => p.id === id);
+      const idx = data.posts.findIndex((p) => p.id === id && !p.deletedAt);
       if (idx === -1) return notFound(res);
 
-      if (!isAdmin(req)) {
+      if (!hasRole(getAdminUser(req), "moderator")) {
         const sid = getSessionId(req);
         const session = sid && sessions.has(sid) ? sessions.get(sid) : null;
         const verified = session ? session.verified.has(id) : false;
@@ -455,9 +1493,12 @@ function route(req, res) {
             : false;
         if (!verified && !tokenOk) {
           if (!password) return unauthorized(res, "Password required");
+          const retryAfter = rateLimit(req, "password", id);
+          if (retryAfter) return tooManyRequests(res, retryAfter);
           if (!verifyPassword(password, data.posts[idx].password)) {
             return unauthorized(res, "Invalid password");
           }
+          upgradePasswordHash(data.posts[idx], password);
           const { session: ensured } = getOrCreateSession(req, res);
           ensured.verified.add(id);
           const newToken = crypto.randomUUID();
@@ -465,12 +1506,150 @@ function route(req, res) {
         }
       }
 
-      data.posts.splice(idx, 1);
+      // Deletion only moves the post to the trash; see /api/admin/trash.
+      data.posts[idx].deletedAt = nowIso();
       writeData(data);
       return json(res, 200, { ok: true });
     })();
   }
 
+  if (pathname === "/api/pii-policy" && req.method === "GET") {
+    return json(res, 200, piiPolicy());
+  }
+
+  if (pathname === "/api/admin/pii-report" && req.method === "GET") {
+    const admin = getAdminUser(req);
+    if (!hasRole(admin, "viewer")) return denied(res, admin);
+    const from = parseDateParam(url.searchParams.get("from"));
+    const to = parseDateParam(url.searchParams.get("to"));
+    if (from === null || to === null) return badRequest(res, "Invalid date");
+    return json(res, 200, {
+      mode: piiPolicy().mode,
+      ...computePiiReport(readData().piiDetections || [], from, to),
+    });
+  }
+
+  if (pathname === "/api/admin/stats" && req.method === "GET") {
+    const admin = getAdminUser(req);
+    if (!hasRole(admin, "viewer")) return denied(res, admin);
+    const from = parseDateParam(url.searchParams.get("from"));
+    const to = parseDateParam(url.searchParams.get("to"));
+    if (from === null || to === null) return badRequest(res, "Invalid date");
+    const data = readData();
+    return json(res, 200, {
+      from: from || null,
+      to: to || null,
+      ...computeStats(data.posts, from, to),
+    });
+  }
+
+  // Bulk delete/status/export over an id list or the current list filter.
+  // All changes land in a single write, so a bulk action applies fully or not at all.
+  if (pathname === "/api/admin/posts/bulk" && req.method === "POST") {
+    return (async () => {
+      const admin = getAdminUser(req);
+      const body = await readJson(req, res);
+      if (body === null) return;
+      const action = typeof body.action === "string" ? body.action : "";
+      const requiredRole = BULK_ACTION_ROLES[action];
+      if (!requiredRole) return badRequest(res, "Invalid action");
+      if (!hasRole(admin, requiredRole)) return denied(res, admin);
+      const status = typeof body.status === "string" ? body.status : "";
+      if (action === "status" && !POST_STATUSES.includes(status)) {
+        return badRequest(res, "Invalid status");
+      }
+
+      const data = readData();
+      let ids;
+      if (Array.isArray(body.ids)) {
+        ids = [...new Set(body.ids.filter((id) => typeof id === "string" && id))];
+      } else if (body.filter && typeof body.filter === "object") {
+        const params = new URLSearchParams();
+        for (const key of ["status", "category", "q", "from", "to"]) {
+          if (typeof body.filter[key] === "string") params.set(key, body.filter[key]);
+        }
+        const { error, matching, category } = filterPosts(data.posts, params);
+        if (error) return badRequest(res, error);
+        ids = matching.filter((p) => inCategory(p, category)).map((p) => p.id);
+      } else {
+        return badRequest(res, "Missing ids or filter");
+      }
+      if (ids.length > BULK_POST_LIMIT) return badRequest(res, "Too many posts");
+
+      const byId = new Map(data.posts.filter((p) => !p.deletedAt).map((p) => [p.id, p]));
+      const targets = ids.map((id) => byId.get(id)).filter(Boolean);
+      if (action === "delete") {
+        const deletedAt = nowIso();
+        targets.forEach((post) => {
+          post.deletedAt = deletedAt;
+        });
+      } else if (action === "status") {
+        targets.forEach((post) => applyStatus(post, status));
+      }
+      if (action !== "export" && targets.length > 0) writeData(data);
+
+      const results = ids.map((id) =>
+        byId.has(id) ? { id, ok: true } : { id, ok: false, error: "Not found" },
+      );
+      return json(res, 200, {
+        action,
+        results,
+        succeeded: targets.length,
+        failed: results.length - targets.length,
+        ...(action === "export"
+          ? {
+              posts: targets
+                .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+                .map(serializePost),
+            }
+          : {}),
+      });
+    })();
+  }
+
+  if (pathname === "/api/admin/trash" && req.method === "GET") {
+    const admin = getAdminUser(req);
+    if (!hasRole(admin, "moderator")) return denied(res, admin);
+    const posts = readData()
+      .posts.filter((p) => p.deletedAt)
+      .sort((a, b) => (a.deletedAt < b.deletedAt ? 1 : -1))
+      .map((p) => ({
+        id: p.id,
+        title: p.title,
+        author: p.author,
+        status: p.status || "received",
+        categoryId: p.categoryId || null,
+        createdAt: p.createdAt,
+        deletedAt: p.deletedAt,
+        purgeAt: trashPurgeAt(p),
+      }));
+    return json(res, 200, { retentionDays: TRASH_RETENTION_DAYS, posts });
+  }
+
+  const trashRestoreMatch = pathname.match(/^\/api\/admin\/trash\/([^/]+)\/restore$/);
+  if (trashRestoreMatch && req.method === "POST") {
+    const admin = getAdminUser(req);
+    if (!hasRole(admin, "moderator")) return denied(res, admin);
+    const data = readData();
+    const post = data.posts.find((p) => p.id === trashRestoreMatch[1] && p.deletedAt);
+    if (!post) return notFound(res);
+    post.deletedAt = null;
+    writeData(data);
+    return json(res, 200, { ok: true });
+  }
+
+  const trashMatch = pathname.match(/^\/api\/admin\/trash\/([^/]+)$/);
+  if (trashMatch && req.method === "DELETE") {
+    const admin = getAdminUser(req);
+    if (!hasRole(admin, "owner")) return denied(res, admin);
+    const data = readData();
+    const idx = data.posts.findIndex((p) => p.id === trashMatch[1] && p.deletedAt);
+    if (idx === -1) return notFound(res);
+    data.posts.splice(idx, 1);
+    writeData(data);
+    return json(res, 200, { ok: true });
+  }
+
   return null;
 }
 
@@ -485,10 +1664,14 @@ const server = http.createServer((req, res) => {
   if (!ok) notFound(res);
 });
 
+purgeExpiredTrash();
+setInterval(purgeExpiredTrash, 60 * 60 * 1000).unref();
+setInterval(purgeExpiredSessions, 60 * 60 * 1000).unref();
+
 server.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
   console.log(`Data file: ${DATA_PATH}`);
   console.log(
-    `Admin password: ${process.env.ADMIN_PASSWORD ? "(from env)" : "admin1234 (default)"}`
+    `Admin bootstrap password: ${process.env.ADMIN_PASSWORD ? "(from env)" : "admin1234 (default)"}`
   );
 });
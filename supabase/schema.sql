@@ -17,6 +17,60 @@ create table if not exists public.posts (
 
 create index if not exists posts_created_at_idx on public.posts (created_at desc);
 
+-- Search: substring matching (ilike) backed by trigram indexes, which works for
+-- Korean without a morphological analyzer.
+create extension if not exists pg_trgm;
+create index if not exists posts_title_trgm_idx on public.posts using gin (title gin_trgm_ops);
+create index if not exists posts_content_trgm_idx on public.posts using gin (content gin_trgm_ops);
+
+-- Complaint lifecycle: received → reviewing → forwarded (노사위원회 전달) → resolved
+alter table public.posts add column if not exists status text not null default 'received';
+alter table public.posts add column if not exists reviewing_at timestamptz null;
+alter table public.posts add column if not exists forwarded_at timestamptz null;
+alter table public.posts add column if not exists resolved_at timestamptz null;
+
+alter table public.posts drop constraint if exists posts_status_check;
+alter table public.posts add constraint posts_status_check
+  check (status in ('received', 'reviewing', 'forwarded', 'resolved'));
+
+create index if not exists posts_status_idx on public.posts (status, created_at desc);
+
+-- Soft delete: deleted posts sit in the admin trash until purged.
+alter table public.posts add column if not exists deleted_at timestamptz null;
+create index if not exists posts_deleted_at_idx on public.posts (deleted_at)
+  where deleted_at is not null;
+
+-- Confidential posts: only the author (post password) and admins may read them.
+alter table public.posts add column if not exists visibility text not null default 'public';
+alter table public.posts drop constraint if exists posts_visibility_check;
+alter table public.posts add constraint posts_visibility_check
+  check (visibility in ('public', 'confidential'));
+
+-- SHA-256 of the post's receipt code (접수번호), for lookups without the password.
+alter table public.posts add column if not exists receipt_hash text null;
+create unique index if not exists posts_receipt_hash_idx on public.posts (receipt_hash)
+  where receipt_hash is not null;
+
+create table if not exists public.categories (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique,
+  sort_order integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+insert into public.categories (name, sort_order) values
+  ('급여', 10),
+  ('근무환경', 20),
+  ('안전', 30),
+  ('복리후생', 40),
+  ('기타', 90)
+on conflict (name) do nothing;
+
+alter table public.posts add column if not exists category_id uuid null
+  references public.categories(id) on delete set null;
+
+create index if not exists posts_category_id_idx on public.posts (category_id);
+
 create table if not exists public.comments (
   id uuid primary key default gen_random_uuid(),
   post_id uuid not null references public.posts(id) on delete cascade,
@@ -28,6 +82,155 @@ create table if not exists public.comments (
 create index if not exists comments_post_id_idx on public.comments (post_id);
 create index if not exists comments_created_at_idx on public.comments (created_at desc);
 
+-- Optional comment password (same PBKDF2 record as posts); comments without
+-- one can only be edited or deleted by moderators.
+alter table public.comments add column if not exists pw_salt_hex text null;
+alter table public.comments add column if not exists pw_iterations integer null;
+alter table public.comments add column if not exists pw_digest text null;
+alter table public.comments add column if not exists pw_keylen integer null;
+alter table public.comments add column if not exists pw_hash_hex text null;
+alter table public.comments add column if not exists updated_at timestamptz null;
+
+-- Threaded replies. A deleted comment that still has replies is kept as a
+-- blank placeholder (deleted_at set) so its thread stays readable.
+alter table public.comments add column if not exists parent_id uuid null
+  references public.comments(id) on delete cascade;
+alter table public.comments add column if not exists deleted_at timestamptz null;
+create index if not exists comments_parent_id_idx on public.comments (parent_id);
+
+-- "저도 같은 불만입니다" endorsements: one row per post and browser. voter_hash
+-- is a keyed hash of the anonymous voter cookie, never the cookie itself.
+create table if not exists public.post_endorsements (
+  post_id uuid not null references public.posts(id) on delete cascade,
+  voter_hash text not null,
+  created_at timestamptz not null default now(),
+  primary key (post_id, voter_hash)
+);
+
+-- Denormalized so the list can sort by it; kept in step by the trigger below.
+alter table public.posts add column if not exists endorsement_count integer not null default 0;
+create index if not exists posts_endorsement_count_idx
+  on public.posts (endorsement_count desc, created_at desc)
+  where deleted_at is null;
+
+create or replace function public.count_post_endorsement()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.posts set endorsement_count = endorsement_count + 1 where id = new.post_id;
+  return new;
+end;
+$$;
+
+drop trigger if exists post_endorsements_count on public.post_endorsements;
+create trigger post_endorsements_count
+  after insert on public.post_endorsements
+  for each row execute function public.count_post_endorsement();
+
+-- Official committee answers, kept apart from anonymous comments.
+create table if not exists public.official_responses (
+  id uuid primary key default gen_random_uuid(),
+  post_id uuid not null references public.posts(id) on delete cascade,
+  author text not null default '노사위원회',
+  content text not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz null
+);
+
+create index if not exists official_responses_post_id_idx on public.official_responses (post_id, created_at);
+
+-- List sorts by comment count and last activity, denormalized onto posts so
+-- they order the whole result rather than one page. comment_count counts
+-- visible comments (not deleted placeholders); last_activity_at is the latest
+-- of the post itself, its edits (see set_updated_at), comments and official
+-- responses.
+alter table public.posts add column if not exists comment_count integer not null default 0;
+alter table public.posts add column if not exists last_activity_at timestamptz null;
+
+update public.posts p set comment_count = c.n
+from (
+  select post_id, count(*)::integer as n
+  from public.comments
+  where deleted_at is null
+  group by post_id
+) c
+where c.post_id = p.id and p.comment_count <> c.n;
+
+update public.posts p set last_activity_at = greatest(
+  p.created_at,
+  p.updated_at,
+  (select max(created_at) from public.comments c where c.post_id = p.id),
+  (select max(created_at) from public.official_responses r where r.post_id = p.id)
+)
+where p.last_activity_at is null;
+
+alter table public.posts alter column last_activity_at set default now();
+alter table public.posts alter column last_activity_at set not null;
+
+create index if not exists posts_comment_count_idx
+  on public.posts (comment_count desc, created_at desc)
+  where deleted_at is null;
+create index if not exists posts_updated_at_idx
+  on public.posts (updated_at desc nulls last, created_at desc)
+  where deleted_at is null;
+create index if not exists posts_last_activity_at_idx
+  on public.posts (last_activity_at desc)
+  where deleted_at is null;
+
+create or replace function public.track_comment_activity()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'INSERT' then
+    update public.posts set
+      comment_count = comment_count + case when new.deleted_at is null then 1 else 0 end,
+      last_activity_at = greatest(last_activity_at, new.created_at)
+    where id = new.post_id;
+    return new;
+  elsif tg_op = 'UPDATE' then
+    -- A comment blanked into a placeholder no longer counts.
+    if old.deleted_at is null and new.deleted_at is not null then
+      update public.posts set comment_count = greatest(comment_count - 1, 0) where id = new.post_id;
+    end if;
+    return new;
+  else
+    if old.deleted_at is null then
+      update public.posts set comment_count = greatest(comment_count - 1, 0) where id = old.post_id;
+    end if;
+    return old;
+  end if;
+end;
+$$;
+
+drop trigger if exists comments_track_activity on public.comments;
+create trigger comments_track_activity
+  after insert or update of deleted_at or delete on public.comments
+  for each row execute function public.track_comment_activity();
+
+create or replace function public.track_response_activity()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.posts set last_activity_at = greatest(last_activity_at, new.created_at)
+  where id = new.post_id;
+  return new;
+end;
+$$;
+
+drop trigger if exists official_responses_track_activity on public.official_responses;
+create trigger official_responses_track_activity
+  after insert on public.official_responses
+  for each row execute function public.track_response_activity();
+
 create table if not exists public.view_tokens (
   id uuid primary key default gen_random_uuid(),
   post_id uuid not null references public.posts(id) on delete cascade,
@@ -40,6 +243,22 @@ create table if not exists public.view_tokens (
 create index if not exists view_tokens_post_id_idx on public.view_tokens (post_id);
 create index if not exists view_tokens_expires_at_idx on public.view_tokens (expires_at);
 
+-- Named admin accounts. Passwords use the same PBKDF2 record as posts.
+create table if not exists public.admin_users (
+  id uuid primary key default gen_random_uuid(),
+  username text not null unique,
+  display_name text not null,
+  role text not null default 'viewer' check (role in ('viewer', 'moderator', 'owner')),
+  pw_salt_hex text not null,
+  pw_iterations integer not null,
+  pw_digest text not null,
+  pw_keylen integer not null,
+  pw_hash_hex text not null,
+  disabled_at timestamptz null,
+  created_at timestamptz not null default now(),
+  last_login_at timestamptz null
+);
+
 create table if not exists public.admin_sessions (
   id uuid primary key default gen_random_uuid(),
   token_hash text not null,
@@ -50,10 +269,160 @@ create table if not exists public.admin_sessions (
 
 create index if not exists admin_sessions_expires_at_idx on public.admin_sessions (expires_at);
 
+-- Sessions from the shared-password era have no owner and are dropped.
+alter table public.admin_sessions add column if not exists user_id uuid null
+  references public.admin_users(id) on delete cascade;
+delete from public.admin_sessions where user_id is null;
+alter table public.admin_sessions alter column user_id set not null;
+
+create index if not exists admin_sessions_user_id_idx on public.admin_sessions (user_id);
+
+-- Shown in the admin "active sessions" panel. last_seen_at is refreshed by the
+-- worker at most every few minutes, not on every request.
+alter table public.admin_sessions add column if not exists user_agent text null;
+alter table public.admin_sessions add column if not exists ip text null;
+alter table public.admin_sessions add column if not exists last_seen_at timestamptz not null
+  default now();
+
+-- Sliding-window rate limiting used by the worker (see RATE_LIMITS there).
+create table if not exists public.rate_limit_hits (
+  id bigserial primary key,
+  bucket text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists rate_limit_hits_bucket_idx on public.rate_limit_hits (bucket, created_at);
+create index if not exists rate_limit_hits_created_at_idx on public.rate_limit_hits (created_at);
+
+-- Records a hit for p_bucket and returns 0, or returns the seconds until the
+-- oldest hit leaves the window when the bucket is already full.
+create or replace function public.rate_limit_hit(
+  p_bucket text,
+  p_window_seconds integer,
+  p_max_hits integer
+)
+returns integer language plpgsql as $$
+declare
+  v_since timestamptz := now() - make_interval(secs => p_window_seconds);
+  v_count integer;
+  v_oldest timestamptz;
+begin
+  perform pg_advisory_xact_lock(hashtext(p_bucket));
+  delete from public.rate_limit_hits where bucket = p_bucket and created_at <= v_since;
+  -- Occasionally sweep buckets that are never hit again.
+  if random() < 0.01 then
+    delete from public.rate_limit_hits where created_at < now() - interval '1 day';
+  end if;
+
+  select count(*), min(created_at) into v_count, v_oldest
+  from public.rate_limit_hits
+  where bucket = p_bucket;
+
+  if v_count >= p_max_hits then
+    return greatest(
+      1,
+      ceil(extract(epoch from (v_oldest + make_interval(secs => p_window_seconds) - now())))::integer
+    );
+  end if;
+
+  insert into public.rate_limit_hits (bucket) values (p_bucket);
+  return 0;
+end;
+$$;
+
+revoke execute on function public.rate_limit_hit(text, integer, integer) from public, anon, authenticated;
+
+-- Outgoing webhooks. The secret signs each delivery (X-Woldecks-Signature),
+-- so it is stored as is and only shown to the owner when created.
+create table if not exists public.webhook_endpoints (
+  id uuid primary key default gen_random_uuid(),
+  url text not null,
+  description text not null default '',
+  secret text not null,
+  events text[] not null,
+  disabled_at timestamptz null,
+  created_at timestamptz not null default now()
+);
+
+-- One row per event and endpoint: the retry queue and the delivery log.
+create table if not exists public.webhook_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  endpoint_id uuid not null references public.webhook_endpoints(id) on delete cascade,
+  event text not null,
+  payload jsonb not null,
+  status text not null default 'pending',
+  attempts integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  last_status integer null,
+  last_error text null,
+  delivered_at timestamptz null,
+  created_at timestamptz not null default now(),
+  constraint webhook_deliveries_status_check check (status in ('pending', 'delivered', 'failed'))
+);
+
+create index if not exists webhook_deliveries_due_idx on public.webhook_deliveries (next_attempt_at)
+  where status = 'pending';
+create index if not exists webhook_deliveries_endpoint_idx
+  on public.webhook_deliveries (endpoint_id, created_at desc);
+
+-- Append-only trail of privileged actions, written by the worker.
+create table if not exists public.admin_audit (
+  id bigserial primary key,
+  admin_user_id uuid null references public.admin_users(id) on delete set null,
+  admin_username text null,
+  action text not null,
+  target_type text null,
+  target_id text null,
+  ip text null,
+  before jsonb null,
+  after jsonb null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists admin_audit_created_at_idx on public.admin_audit (created_at desc);
+create index if not exists admin_audit_action_idx on public.admin_audit (action, created_at desc);
+
+create or replace function public.admin_audit_append_only()
+returns trigger language plpgsql as $$
+begin
+  -- Clearing admin_user_id when an account is deleted is the one allowed change.
+  if tg_op = 'UPDATE'
+    and new.admin_user_id is null
+    and (to_jsonb(new) - 'admin_user_id') = (to_jsonb(old) - 'admin_user_id') then
+    return new;
+  end if;
+  raise exception 'admin_audit is append-only';
+end;
+$$;
+
+drop trigger if exists admin_audit_append_only on public.admin_audit;
+create trigger admin_audit_append_only
+before update or delete on public.admin_audit
+for each row execute function public.admin_audit_append_only();
+
+-- Earlier versions of a post, one row per edit, holding the title and content
+-- as they were before that edit. admin_user_id is set when a moderator edited.
+create table if not exists public.post_revisions (
+  id uuid primary key default gen_random_uuid(),
+  post_id uuid not null references public.posts(id) on delete cascade,
+  title text not null,
+  content text not null,
+  admin_user_id uuid null references public.admin_users(id) on delete set null,
+  admin_username text null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists post_revisions_post_id_idx
+  on public.post_revisions (post_id, created_at desc);
+
 create or replace function public.set_updated_at()
 returns trigger language plpgsql as $$
 begin
-  new.updated_at = now();
+  -- Only author edits count as an update; status changes carry their own timestamps.
+  if new.title is distinct from old.title or new.content is distinct from old.content then
+    new.updated_at = now();
+    new.last_activity_at = now();
+  end if;
   return new;
 end;
 $$;
@@ -63,7 +432,332 @@ create trigger posts_updated_at
 before update on public.posts
 for each row execute function public.set_updated_at();
 
+-- Edits a post's text and keeps the version it replaces in post_revisions, in
+-- one statement: the revision is only written if the update is, and it holds
+-- the text as it was right before this update even under concurrent edits.
+-- p_admin_user_id is null for author edits. Returns no row when the post is
+-- missing or in the trash.
+create or replace function public.update_post_content(
+  p_id uuid,
+  p_title text,
+  p_content text,
+  p_admin_user_id uuid default null
+)
+returns setof public.posts language sql as $$
+  with previous as (
+    select id, title, content from public.posts
+    where id = p_id and deleted_at is null
+    for update
+  ),
+  revision as (
+    insert into public.post_revisions (post_id, title, content, admin_user_id, admin_username)
+    select previous.id, previous.title, previous.content, p_admin_user_id,
+      (select username from public.admin_users where id = p_admin_user_id)
+    from previous
+    where previous.title is distinct from p_title or previous.content is distinct from p_content
+  )
+  update public.posts p set title = p_title, content = p_content
+  from previous
+  where p.id = previous.id
+  returning p.*;
+$$;
+
+revoke execute on function public.update_post_content(uuid, text, text, uuid)
+  from public, anon, authenticated;
+
+-- Per-category post counts for the list filter chips, under the same filters
+-- as /api/posts minus the category itself. Keys are category ids, or 'none'
+-- for uncategorized posts. p_terms must already be stripped of ilike
+-- wildcards; every term has to appear in the title or the content.
+create or replace function public.post_category_counts(
+  p_status text,
+  p_terms text[],
+  p_from timestamptz,
+  p_to timestamptz,
+  p_public_only boolean
+)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(jsonb_object_agg(coalesce(category_id::text, 'none'), n), '{}'::jsonb)
+  from (
+    select category_id, count(*) as n
+    from public.posts p
+    where deleted_at is null
+      and (p_status is null or status = p_status)
+      and (p_from is null or created_at >= p_from)
+      and (p_to is null or created_at < p_to)
+      and (not p_public_only or visibility = 'public')
+      and not exists (
+        select 1 from unnest(coalesce(p_terms, '{}'::text[])) t
+        where not (p.title ilike '%' || t || '%' or p.content ilike '%' || t || '%')
+      )
+    group by 1
+  ) v;
+$$;
+
+revoke execute on function public.post_category_counts(text, text[], timestamptz, timestamptz, boolean)
+  from public, anon, authenticated;
+
+-- Admin bulk actions (see /api/admin/posts/bulk in the worker). Runs as one
+-- statement, so either every listed post changes or none does. Returns the
+-- rows it changed; ids that are unknown or already in the trash are absent.
+create or replace function public.bulk_update_posts(
+  p_ids uuid[],
+  p_action text,
+  p_status text default null
+)
+returns setof public.posts language plpgsql as $$
+declare
+  v_rank integer := array_position(
+    array['received', 'reviewing', 'forwarded', 'resolved'], p_status
+  );
+begin
+  if p_action = 'delete' then
+    return query
+      update public.posts set deleted_at = now()
+      where id = any(p_ids) and deleted_at is null
+      returning *;
+  elsif p_action = 'status' then
+    if v_rank is null then
+      raise exception 'invalid status %', p_status;
+    end if;
+    -- Same rule as a single status change: stamp the target, clear later steps.
+    return query
+      update public.posts set
+        status = p_status,
+        reviewing_at = case when v_rank = 2 then now() when v_rank < 2 then null else reviewing_at end,
+        forwarded_at = case when v_rank = 3 then now() when v_rank < 3 then null else forwarded_at end,
+        resolved_at = case when v_rank = 4 then now() when v_rank < 4 then null else resolved_at end
+      where id = any(p_ids) and deleted_at is null
+      returning *;
+  else
+    raise exception 'unknown bulk action %', p_action;
+  end if;
+end;
+$$;
+
+revoke execute on function public.bulk_update_posts(uuid[], text, text) from public, anon, authenticated;
+
+-- Figures for the admin statistics dashboard over posts created in
+-- [p_from, p_to); either bound may be null. Periods are Korean local time and
+-- weeks start on Monday. The first admin reply is the first official response.
+create or replace function public.admin_stats(p_from timestamptz, p_to timestamptz)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with scoped as (
+    select id, status, category_id, comment_count, created_at,
+      created_at at time zone 'Asia/Seoul' as local_at
+    from public.posts
+    where deleted_at is null
+      and (p_from is null or created_at >= p_from)
+      and (p_to is null or created_at < p_to)
+  ),
+  first_responses as (
+    select s.id, min(r.created_at) - s.created_at as wait
+    from scoped s
+    join public.official_responses r on r.post_id = s.id
+    group by s.id, s.created_at
+  )
+  select jsonb_build_object(
+    'total', (select count(*) from scoped),
+    'volumes', jsonb_build_object(
+      'day', (
+        select coalesce(jsonb_agg(jsonb_build_object('period', period, 'count', n) order by period), '[]'::jsonb)
+        from (select to_char(local_at, 'YYYY-MM-DD') as period, count(*) as n from scoped group by 1) v
+      ),
+      'week', (
+        select coalesce(jsonb_agg(jsonb_build_object('period', period, 'count', n) order by period), '[]'::jsonb)
+        from (
+          select to_char(date_trunc('week', local_at), 'YYYY-MM-DD') as period, count(*) as n
+          from scoped group by 1
+        ) v
+      ),
+      'month', (
+        select coalesce(jsonb_agg(jsonb_build_object('period', period, 'count', n) order by period), '[]'::jsonb)
+        from (select to_char(local_at, 'YYYY-MM') as period, count(*) as n from scoped group by 1) v
+      )
+    ),
+    'statuses', (
+      select coalesce(jsonb_object_agg(status, n), '{}'::jsonb)
+      from (select status, count(*) as n from scoped group by status) v
+    ),
+    'categories', (
+      select coalesce(jsonb_object_agg(category, n), '{}'::jsonb)
+      from (
+        select coalesce(category_id::text, 'none') as category, count(*) as n
+        from scoped group by 1
+      ) v
+    ),
+    'comments', jsonb_build_object(
+      'total', (select coalesce(sum(comment_count), 0) from scoped),
+      'average', (select coalesce(round(avg(comment_count), 2), 0) from scoped),
+      'median', (select percentile_cont(0.5) within group (order by comment_count) from scoped),
+      -- Posts per comment count; 10 stands for 10 or more.
+      'distribution', (
+        select coalesce(jsonb_agg(jsonb_build_object('comments', bucket, 'posts', n) order by bucket), '[]'::jsonb)
+        from (select least(comment_count, 10) as bucket, count(*) as n from scoped group by 1) v
+      )
+    ),
+    'firstResponse', jsonb_build_object(
+      'responded', (select count(*) from first_responses),
+      'medianHours', (
+        select round(extract(epoch from percentile_cont(0.5) within group (order by wait)) / 3600, 1)
+        from first_responses
+      )
+    )
+  );
+$$;
+
+revoke execute on function public.admin_stats(timestamptz, timestamptz) from public, anon, authenticated;
+
+-- Small admin-editable settings, one jsonb value per key. "antispam" holds the
+-- proof-of-work difficulties ({ postDifficulty, commentDifficulty }).
+create table if not exists public.app_settings (
+  key text primary key,
+  value jsonb not null,
+  updated_at timestamptz not null default now()
+);
+
+-- Proof-of-work challenges already used; a challenge is only accepted once.
+-- Rows are dropped by the daily cron once the challenge has expired anyway.
+create table if not exists public.pow_redemptions (
+  challenge_id uuid primary key,
+  expires_at timestamptz not null
+);
+
+create index if not exists pow_redemptions_expires_at_idx on public.pow_redemptions (expires_at);
+
+-- Personal information (phone numbers, 주민등록번호, employee ids, email)
+-- found in posts and comments. Only the number of matches per type is kept,
+-- never the matched text; target_id is null for rejected submissions.
+create table if not exists public.pii_detections (
+  id bigserial primary key,
+  target_type text not null check (target_type in ('post', 'comment')),
+  target_id uuid null,
+  action text not null check (action in ('masked', 'rejected')),
+  counts jsonb not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists pii_detections_created_at_idx on public.pii_detections (created_at desc);
+
+-- How often the PII pass fired in [p_from, p_to), for the admin dashboard.
+create or replace function public.pii_report(p_from timestamptz, p_to timestamptz)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with scoped as (
+    select target_type, action, counts, created_at at time zone 'Asia/Seoul' as local_at
+    from public.pii_detections
+    where (p_from is null or created_at >= p_from)
+      and (p_to is null or created_at < p_to)
+  )
+  select jsonb_build_object(
+    'total', (select count(*) from scoped),
+    'actions', (
+      select coalesce(jsonb_object_agg(action, n), '{}'::jsonb)
+      from (select action, count(*) as n from scoped group by 1) v
+    ),
+    'targets', (
+      select coalesce(jsonb_object_agg(target_type, n), '{}'::jsonb)
+      from (select target_type, count(*) as n from scoped group by 1) v
+    ),
+    'types', (
+      select coalesce(jsonb_object_agg(key, n), '{}'::jsonb)
+      from (
+        select c.key, sum(c.value::integer) as n
+        from scoped, jsonb_each_text(scoped.counts) c
+        group by 1
+      ) v
+    ),
+    'daily', (
+      select coalesce(jsonb_agg(jsonb_build_object('period', period, 'count', n) order by period), '[]'::jsonb)
+      from (select to_char(local_at, 'YYYY-MM-DD') as period, count(*) as n from scoped group by 1) v
+    )
+  );
+$$;
+
+revoke execute on function public.pii_report(timestamptz, timestamptz) from public, anon, authenticated;
+
+-- Password records still hashed with weaker parameters than the worker's
+-- target policy, or with more iterations than p_max_iterations (the most the
+-- Workers runtime computes natively). They are rehashed one by one as their
+-- passwords are next entered, so the outdated counts only go down over time.
+create or replace function public.password_hash_report(
+  p_iterations integer,
+  p_digest text,
+  p_keylen integer,
+  p_max_iterations integer
+)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with records as (
+    select 'posts' as kind, pw_iterations, pw_digest, pw_keylen from public.posts
+    union all
+    select 'comments', pw_iterations, pw_digest, pw_keylen from public.comments
+    where pw_hash_hex is not null
+    union all
+    select 'adminUsers', pw_iterations, pw_digest, pw_keylen from public.admin_users
+  ),
+  flagged as (
+    select *, (
+      pw_iterations < p_iterations or pw_iterations > p_max_iterations
+      or pw_digest <> p_digest or pw_keylen < p_keylen
+    ) as outdated
+    from records
+  )
+  select jsonb_build_object(
+    'kinds', (
+      select coalesce(jsonb_object_agg(kind, jsonb_build_object('total', total, 'outdated', outdated)), '{}'::jsonb)
+      from (
+        select kind, count(*) as total, count(*) filter (where outdated) as outdated
+        from flagged group by 1
+      ) v
+    ),
+    'params', (
+      select coalesce(jsonb_agg(jsonb_build_object(
+        'iterations', pw_iterations, 'digest', pw_digest, 'keylen', pw_keylen,
+        'count', n, 'outdated', outdated
+      ) order by n desc), '[]'::jsonb)
+      from (
+        select pw_iterations, pw_digest, pw_keylen, outdated, count(*) as n
+        from flagged group by 1, 2, 3, 4
+      ) v
+    )
+  );
+$$;
+
+revoke execute on function public.password_hash_report(integer, text, integer, integer)
+  from public, anon, authenticated;
+
 alter table public.posts enable row level security;
 alter table public.comments enable row level security;
+alter table public.post_endorsements enable row level security;
+alter table public.categories enable row level security;
+alter table public.official_responses enable row level security;
+alter table public.rate_limit_hits enable row level security;
 alter table public.view_tokens enable row level security;
 alter table public.admin_sessions enable row level security;
+alter table public.admin_users enable row level security;
+alter table public.admin_audit enable row level security;
+alter table public.webhook_endpoints enable row level security;
+alter table public.webhook_deliveries enable row level security;
+alter table public.post_revisions enable row level security;
+alter table public.pii_detections enable row level security;
+alter table public.app_settings enable row level security;
+alter table public.pow_redemptions enable row level security;
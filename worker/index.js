@@ -4,7 +4,8 @@ const corsHeaders = (origin) => {
     "Access-Control-Allow-Origin": origin,
     "Access-Control-Allow-Credentials": "true",
     "Access-Control-Allow-Methods": "GET,POST,PUT,DELETE,OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type",
+    "Access-Control-Allow-Headers": "Content-Type, X-View-Token, X-CSRF-Token",
+    "Access-Control-Expose-Headers": "Retry-After, Content-Disposition",
     "Vary": "Origin",
   };
 };
@@ -50,7 +51,129 @@ const safeEqualHex = (a, b) => {
   return diff === 0;
 };
 
+// Plain-JS PBKDF2-HMAC-SHA256 for records the runtime refuses: WebCrypto in
+// Workers rejects more than PBKDF2_MAX_ITERATIONS, but server.js stores
+// 120,000, and those rows arrive unchanged through scripts/import-legacy.js.
+// Much slower than WebCrypto (about half a second of CPU per check, over the
+// Workers Free plan limit), so it only runs when LEGACY_PBKDF2_FALLBACK is
+// "on" (see legacyPasswordBlocked) and only until upgradePasswordHash has
+// rewritten the record.
+const SHA256_K = Uint32Array.from([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+const SHA256_IV = Uint32Array.from([
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+]);
+
+// One SHA-256 compression of the 16 words in w[0..15] into state; w needs
+// room for 64 words and w[16..63] are overwritten.
+const sha256Compress = (state, w) => {
+  for (let t = 16; t < 64; t += 1) {
+    const a = w[t - 15];
+    const b = w[t - 2];
+    const s0 = ((a >>> 7) | (a << 25)) ^ ((a >>> 18) | (a << 14)) ^ (a >>> 3);
+    const s1 = ((b >>> 17) | (b << 15)) ^ ((b >>> 19) | (b << 13)) ^ (b >>> 10);
+    w[t] = w[t - 16] + s0 + w[t - 7] + s1;
+  }
+  let [a, b, c, d, e, f, g, h] = state;
+  for (let t = 0; t < 64; t += 1) {
+    const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+    const t1 = (h + S1 + ((e & f) ^ (~e & g)) + SHA256_K[t] + w[t]) | 0;
+    const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+    const t2 = (S0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+    h = g;
+    g = f;
+    f = e;
+    e = (d + t1) | 0;
+    d = c;
+    c = b;
+    b = a;
+    a = (t1 + t2) | 0;
+  }
+  state[0] += a;
+  state[1] += b;
+  state[2] += c;
+  state[3] += d;
+  state[4] += e;
+  state[5] += f;
+  state[6] += g;
+  state[7] += h;
+};
+
+// State after hashing one block of the HMAC key XORed with pad.
+const hmacPadState = (key, pad) => {
+  const w = new Uint32Array(64);
+  for (let i = 0; i < 64; i += 1) w[i >> 2] |= ((key[i] || 0) ^ pad) << (24 - 8 * (i & 3));
+  const state = Uint32Array.from(SHA256_IV);
+  sha256Compress(state, w);
+  return state;
+};
+
+// Finishes a hash whose first 64 bytes are already in state (an HMAC pad
+// block) over the rest of the message, padding included.
+const sha256Finish = (state, message) => {
+  const total = 64 + message.length;
+  const padded = new Uint8Array(Math.ceil((message.length + 9) / 64) * 64);
+  padded.set(message);
+  padded[message.length] = 0x80;
+  new DataView(padded.buffer).setUint32(padded.length - 4, total * 8);
+  const out = Uint32Array.from(state);
+  const w = new Uint32Array(64);
+  const view = new DataView(padded.buffer);
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i += 1) w[i] = view.getUint32(offset + i * 4);
+    sha256Compress(out, w);
+  }
+  return out;
+};
+
+const pbkdf2Sha256Fallback = async (password, saltHex, iterations, keylen) => {
+  let key = textEncoder.encode(password);
+  if (key.length > 64) key = new Uint8Array(await crypto.subtle.digest("SHA-256", key));
+  const inner = hmacPadState(key, 0x36);
+  const outer = hmacPadState(key, 0x5c);
+  const salt = hexToBytes(saltHex);
+  const out = new Uint8Array(Math.ceil(keylen / 32) * 32);
+  const w = new Uint32Array(64);
+  const state = new Uint32Array(8);
+  // Every HMAC after the first hashes a 32-byte digest: one padded block.
+  w[8] = 0x80000000;
+  w[15] = (64 + 32) * 8;
+  for (let block = 1; (block - 1) * 32 < keylen; block += 1) {
+    const message = new Uint8Array(salt.length + 4);
+    message.set(salt);
+    new DataView(message.buffer).setUint32(salt.length, block);
+    const u = sha256Finish(inner, message);
+    w.set(u);
+    u.set(outer);
+    sha256Compress(u, w);
+    const t = Uint32Array.from(u);
+    for (let n = 1; n < iterations; n += 1) {
+      w.set(u);
+      state.set(inner);
+      sha256Compress(state, w);
+      w.set(state);
+      u.set(outer);
+      sha256Compress(u, w);
+      for (let i = 0; i < 8; i += 1) t[i] ^= u[i];
+    }
+    const view = new DataView(out.buffer, (block - 1) * 32, 32);
+    for (let i = 0; i < 8; i += 1) view.setUint32(i * 4, t[i]);
+  }
+  return bytesToHex(out.subarray(0, keylen));
+};
+
 const pbkdf2Hash = async (password, saltHex, iterations, keylen, digest) => {
+  if (iterations > PBKDF2_MAX_ITERATIONS && digest === "SHA-256") {
+    return pbkdf2Sha256Fallback(password, saltHex, iterations, keylen);
+  }
   const key = await crypto.subtle.importKey(
     "raw",
     textEncoder.encode(password),
@@ -71,24 +194,42 @@ const pbkdf2Hash = async (password, saltHex, iterations, keylen, digest) => {
   return bytesToHex(new Uint8Array(bits));
 };
 
-const makePasswordRecord = async (password) => {
+// Target parameters for new and upgraded password hashes. Records carry their
+// own parameters, so raising these leaves old rows verifiable; they are
+// rehashed the next time their password is entered (upgradePasswordHash).
+// The Workers runtime refuses PBKDF2 above 100,000 iterations, hence the cap.
+const PBKDF2_MAX_ITERATIONS = 100000;
+const PASSWORD_DIGESTS = { sha256: "SHA-256", sha512: "SHA-512" };
+
+const passwordPolicy = (env) => {
+  const iterations = Number.parseInt(env.PASSWORD_HASH_ITERATIONS || "", 10);
+  const digest = String(env.PASSWORD_HASH_DIGEST || "").toLowerCase();
+  return {
+    iterations:
+      Number.isFinite(iterations) && iterations > 0
+        ? Math.min(iterations, PBKDF2_MAX_ITERATIONS)
+        : PBKDF2_MAX_ITERATIONS,
+    digest: PASSWORD_DIGESTS[digest] ? digest : "sha256",
+    keylen: 32,
+  };
+};
+
+const makePasswordRecord = async (env, password) => {
+  const { iterations, digest, keylen } = passwordPolicy(env);
   const salt = crypto.getRandomValues(new Uint8Array(16));
   const saltHex = bytesToHex(salt);
-  const iterations = 100000;
-  const keylen = 32;
-  const digest = "SHA-256";
-  const hashHex = await pbkdf2Hash(password, saltHex, iterations, keylen, digest);
+  const hashHex = await pbkdf2Hash(password, saltHex, iterations, keylen, PASSWORD_DIGESTS[digest]);
   return {
     pw_salt_hex: saltHex,
     pw_iterations: iterations,
-    pw_digest: "sha256",
+    pw_digest: digest,
     pw_keylen: keylen,
     pw_hash_hex: hashHex,
   };
 };
 
 const verifyPassword = async (password, record) => {
-  const digest = record.pw_digest === "sha256" ? "SHA-256" : record.pw_digest;
+  const digest = PASSWORD_DIGESTS[record.pw_digest] || record.pw_digest;
   const hashHex = await pbkdf2Hash(
     password,
     record.pw_salt_hex,
@@ -99,12 +240,53 @@ const verifyPassword = async (password, record) => {
   return safeEqualHex(hashHex, record.pw_hash_hex);
 };
 
+// Records above PBKDF2_MAX_ITERATIONS (imported from server.js) count too:
+// the Workers runtime can't recompute them natively.
+const passwordOutdated = (env, record) => {
+  const policy = passwordPolicy(env);
+  return (
+    record.pw_iterations < policy.iterations ||
+    record.pw_iterations > PBKDF2_MAX_ITERATIONS ||
+    record.pw_digest !== policy.digest ||
+    record.pw_keylen < policy.keylen
+  );
+};
+
+// Without LEGACY_PBKDF2_FALLBACK, checks against records above
+// PBKDF2_MAX_ITERATIONS are refused up front instead of failing in WebCrypto.
+const legacyPasswordBlocked = (env, record) =>
+  record.pw_iterations > PBKDF2_MAX_ITERATIONS && env.LEGACY_PBKDF2_FALLBACK !== "on";
+
+// Call only after verifyPassword succeeded. Rewrites the row's password
+// record under the current policy when it was hashed with weaker parameters;
+// a failed write just leaves the old, still valid, record in place.
+const upgradePasswordHash = async (env, table, id, password, record) => {
+  if (!passwordOutdated(env, record)) return;
+  await supabaseRequest(env, `${table}?id=eq.${id}`, {
+    method: "PATCH",
+    headers: { "Content-Type": "application/json", Prefer: "return=minimal" },
+    body: JSON.stringify(await makePasswordRecord(env, password)),
+  }).catch(() => null);
+};
+
 const sha256Hex = async (input) => {
   const bytes = textEncoder.encode(input);
   const digest = await crypto.subtle.digest("SHA-256", bytes);
   return bytesToHex(new Uint8Array(digest));
 };
 
+const hmacSha256Hex = async (secret, message) => {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    textEncoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"],
+  );
+  const signature = await crypto.subtle.sign("HMAC", key, textEncoder.encode(message));
+  return bytesToHex(new Uint8Array(signature));
+};
+
 const parseCookies = (header) => {
   const out = {};
   if (!header) return out;
@@ -152,12 +334,73 @@ const supabaseRequest = async (env, path, options = {}) => {
   return fetch(url, { ...options, headers });
 };
 
+// ALLOWED_ORIGIN is a comma-separated list of origins. A "*" stands for one
+// subdomain label, so "https://*.woldecks-board.pages.dev" covers every Pages
+// preview deployment.
+const originPatternCache = new Map();
+
+const allowedOriginPatterns = (env) => {
+  const list = env.ALLOWED_ORIGIN || "";
+  if (!originPatternCache.has(list)) {
+    const patterns = list
+      .split(",")
+      .map((entry) => entry.trim().replace(/\/+$/, ""))
+      .filter(Boolean)
+      .map(
+        (entry) =>
+          new RegExp(
+            `^${entry
+              .split("*")
+              .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+              .join("[a-z0-9-]+")}$`,
+            "i",
+          ),
+      );
+    originPatternCache.set(list, patterns);
+  }
+  return originPatternCache.get(list);
+};
+
+// The request's Origin when it may call the API with credentials, else null.
 const getAllowedOrigin = (request, env) => {
   const origin = request.headers.get("Origin");
   if (!origin) return null;
-  // Temporary: echo origin to avoid CORS blocking.
-  // You can re-tighten this once the environment is stable.
-  return origin;
+  if (origin === new URL(request.url).origin) return origin;
+  return allowedOriginPatterns(env).some((pattern) => pattern.test(origin)) ? origin : null;
+};
+
+// CSRF: a signed double-submit token. GET /api/csrf sets it as a cookie and
+// returns it in the body, which only allowed origins can read; every
+// state-changing request must echo it in X-CSRF-Token.
+const CSRF_COOKIE = "woldecks.csrf";
+const UNSAFE_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+const csrfSignature = (env, value) => hmacSha256Hex(env.TOKEN_PEPPER, `csrf:${value}`);
+
+const validCsrfToken = async (env, token) => {
+  const parts = splitToken(token || "");
+  return Boolean(parts) && safeEqualHex(await csrfSignature(env, parts.token), parts.salt);
+};
+
+const makeCsrfToken = async (env) => {
+  const value = bytesToHex(crypto.getRandomValues(new Uint8Array(16)));
+  return `${value}.${await csrfSignature(env, value)}`;
+};
+
+const csrfCookie = (token) =>
+  [
+    `${CSRF_COOKIE}=${encodeURIComponent(token)}`,
+    "Path=/",
+    "HttpOnly",
+    "SameSite=None",
+    "Secure",
+    "Max-Age=86400",
+  ].join("; ");
+
+const csrfPasses = async (request, env) => {
+  const header = request.headers.get("X-CSRF-Token") || "";
+  const cookie = parseCookies(request.headers.get("Cookie"))[CSRF_COOKIE] || "";
+  return Boolean(header) && header === cookie && (await validCsrfToken(env, header));
 };
 
 const handleOptions = (request, env) => {
@@ -166,6 +409,46 @@ const handleOptions = (request, env) => {
   return new Response(null, { status: 204, headers: corsHeaders(origin) });
 };
 
+// viewer: read-only admin access; moderator: handles complaints;
+// owner: moderator plus managing admin accounts.
+const ADMIN_ROLES = ["viewer", "moderator", "owner"];
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+const MIN_ADMIN_PASSWORD_LENGTH = 8;
+
+const ADMIN_USER_SELECT = "id,username,display_name,role,disabled_at,created_at,last_login_at";
+
+const hasRole = (admin, role) =>
+  Boolean(admin) && ADMIN_ROLES.indexOf(admin.role) >= ADMIN_ROLES.indexOf(role);
+
+const toAdminUser = (row) => ({
+  id: row.id,
+  username: row.username,
+  displayName: row.display_name,
+  role: row.role,
+  disabled: Boolean(row.disabled_at),
+  createdAt: row.created_at,
+  lastLoginAt: row.last_login_at,
+});
+
+// last_seen_at is only written when it is older than this, so ordinary
+// browsing doesn't turn every admin request into a database write.
+const SESSION_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+const ADMIN_SESSION_SELECT =
+  "id,user_id,user_agent,ip,created_at,last_seen_at,expires_at,admin_users(username)";
+
+const toAdminSession = (row, currentId) => ({
+  id: row.id,
+  userId: row.user_id,
+  username: row.admin_users?.username || null,
+  userAgent: row.user_agent,
+  ip: row.ip,
+  createdAt: row.created_at,
+  lastSeenAt: row.last_seen_at,
+  expiresAt: row.expires_at,
+  current: row.id === currentId,
+});
+
 const adminSessionFromCookie = async (request, env) => {
   const cookies = parseCookies(request.headers.get("Cookie"));
   const raw = cookies["woldecks.admin"];
@@ -175,7 +458,7 @@ const adminSessionFromCookie = async (request, env) => {
     `${tokenParts.token}:${tokenParts.salt}:${env.TOKEN_PEPPER}`,
   );
   const qs = new URLSearchParams({
-    select: "id",
+    select: `id,last_seen_at,admin_users(${ADMIN_USER_SELECT})`,
     token_hash: `eq.${tokenHash}`,
     token_salt: `eq.${tokenParts.salt}`,
     expires_at: `gt.${new Date().toISOString()}`,
@@ -184,64 +467,1551 @@ const adminSessionFromCookie = async (request, env) => {
   const res = await supabaseRequest(env, `admin_sessions?${qs.toString()}`);
   if (!res.ok) return null;
   const data = await res.json();
-  return data.length > 0 ? data[0] : null;
+  const session = data[0];
+  if (!session?.admin_users || session.admin_users.disabled_at) return null;
+  if (Date.now() - Date.parse(session.last_seen_at) > SESSION_SEEN_INTERVAL_MS) {
+    await supabaseRequest(env, `admin_sessions?id=eq.${session.id}`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json", Prefer: "return=minimal" },
+      body: JSON.stringify({ last_seen_at: new Date().toISOString(), ip: clientIp(request) }),
+    }).catch(() => null);
+  }
+  return { id: session.id, user: toAdminUser(session.admin_users) };
 };
 
-const isAdmin = async (request, env) => Boolean(await adminSessionFromCookie(request, env));
+const CLEARED_ADMIN_COOKIE = [
+  "woldecks.admin=x",
+  "Path=/",
+  "HttpOnly",
+  "SameSite=None",
+  "Secure",
+  "Max-Age=0",
+].join("; ");
 
-export default {
-  async fetch(request, env) {
-    const url = new URL(request.url);
-    const origin = getAllowedOrigin(request, env);
+const currentAdmin = async (request, env) =>
+  (await adminSessionFromCookie(request, env))?.user || null;
 
-    if (request.method === "OPTIONS") {
-      return handleOptions(request, env);
+const findAdminUser = async (env, username) => {
+  const qs = new URLSearchParams({
+    select: `${ADMIN_USER_SELECT},pw_salt_hex,pw_iterations,pw_digest,pw_keylen,pw_hash_hex`,
+    username: `eq.${username}`,
+    limit: "1",
+  });
+  const res = await supabaseRequest(env, `admin_users?${qs.toString()}`);
+  if (!res.ok) throw new Error("Failed to load admin user");
+  const rows = await res.json();
+  return rows[0] || null;
+};
+
+const hasAnyAdminUser = async (env) => {
+  const res = await supabaseRequest(env, "admin_users?select=id&limit=1");
+  if (!res.ok) throw new Error("Failed to load admin users");
+  const rows = await res.json();
+  return rows.length > 0;
+};
+
+const revokeAdminSessions = (env, userId) =>
+  supabaseRequest(env, `admin_sessions?user_id=eq.${userId}`, { method: "DELETE" });
+
+// Turns a free-text query into PostgREST logic-tree conditions: every term has
+// to appear in the title or the content. Matching is a plain ilike so Korean
+// text works without a tokenizer; the trigram indexes in schema.sql back it.
+const searchTerms = (q) =>
+  q
+    .replace(/[\\"*%_(),]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 5);
+
+const searchConditions = (q) =>
+  searchTerms(q).map((term) => `or(title.ilike."*${term}*",content.ilike."*${term}*")`);
+
+const parseDateParam = (value) => {
+  if (!value) return "";
+  const time = Date.parse(value);
+  return Number.isFinite(time) ? new Date(time).toISOString() : null;
+};
+
+// List orderings for GET /api/posts; id breaks ties so paging is stable.
+// comment_count and last_activity_at are kept up to date by triggers, so these
+// sorts cover every matching post, not just the current page.
+const POST_SORTS = {
+  newest: "created_at.desc,id.desc",
+  oldest: "created_at.asc,id.asc",
+  comments: "comment_count.desc,created_at.desc,id.desc",
+  updated: "updated_at.desc.nullslast,created_at.desc,id.desc",
+  active: "last_activity_at.desc,id.desc",
+  endorsements: "endorsement_count.desc,created_at.desc,id.desc",
+};
+
+// Parses the list filters (status, category, q, from, to) shared by the post
+// list and the admin bulk actions. The category is returned separately because
+// the list's per-category counts have to ignore it.
+const readPostFilters = (params) => {
+  const status = params.get("status") || "";
+  if (status && !POST_STATUSES.includes(status)) return { error: "Invalid status" };
+  // from is inclusive, to is exclusive.
+  const from = parseDateParam(params.get("from"));
+  const to = parseDateParam(params.get("to"));
+  if (from === null || to === null) return { error: "Invalid date" };
+
+  const q = (params.get("q") || "").trim().slice(0, 100);
+  const filters = { deleted_at: "is.null" };
+  if (status) filters.status = `eq.${status}`;
+  const conditions = searchConditions(q);
+  if (from) conditions.push(`created_at.gte."${from}"`);
+  if (to) conditions.push(`created_at.lt."${to}"`);
+  if (conditions.length > 0) filters.and = `(${conditions.join(",")})`;
+  // The same filters as arguments for the post_category_counts RPC.
+  const rpcArgs = {
+    p_status: status || null,
+    p_terms: searchTerms(q),
+    p_from: from || null,
+    p_to: to || null,
+  };
+  return { filters, rpcArgs, category: params.get("category") || "" };
+};
+
+const categoryFilter = (category) => {
+  if (category === "none") return { category_id: "is.null" };
+  return category ? { category_id: `eq.${category}` } : {};
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Upper bound for one bulk action, whether given as ids or as a filter.
+const BULK_POST_LIMIT = 1000;
+const BULK_ACTION_ROLES = { delete: "moderator", status: "moderator", export: "viewer" };
+
+// Resolves a bulk request to post ids: either the explicit `ids` list or every
+// post matching `filter` (the same keys as the list query string).
+const resolveBulkPostIds = async (env, body) => {
+  if (Array.isArray(body.ids)) {
+    const ids = [...new Set(body.ids.filter((id) => typeof id === "string" && id))];
+    if (ids.length > BULK_POST_LIMIT) return { status: 400, error: "Too many posts" };
+    return { ids };
+  }
+  if (!body.filter || typeof body.filter !== "object") {
+    return { status: 400, error: "Missing ids or filter" };
+  }
+  const params = new URLSearchParams();
+  for (const key of ["status", "category", "q", "from", "to"]) {
+    if (typeof body.filter[key] === "string") params.set(key, body.filter[key]);
+  }
+  const { error, filters, category } = readPostFilters(params);
+  if (error) return { status: 400, error };
+  const qs = new URLSearchParams({
+    select: "id",
+    order: "created_at.desc",
+    limit: String(BULK_POST_LIMIT + 1),
+    ...filters,
+    ...categoryFilter(category),
+  });
+  const res = await supabaseRequest(env, `posts?${qs.toString()}`);
+  if (!res.ok) return { status: 500, error: "Failed to load posts", detail: await res.text() };
+  const rows = await res.json();
+  if (rows.length > BULK_POST_LIMIT) return { status: 400, error: "Too many posts" };
+  return { ids: rows.map((row) => row.id) };
+};
+
+// Reads full posts for an id list, in chunks so the in.() filter stays well
+// under URL length limits.
+const loadPostsByIds = async (env, ids) => {
+  const posts = [];
+  for (let i = 0; i < ids.length; i += 100) {
+    const qs = new URLSearchParams({
+      select: POST_SELECT,
+      id: `in.(${ids.slice(i, i + 100).join(",")})`,
+      deleted_at: "is.null",
+    });
+    const res = await supabaseRequest(env, `posts?${qs.toString()}`);
+    if (!res.ok) throw new Error(`Failed to load posts: ${await res.text()}`);
+    posts.push(...(await res.json()));
+  }
+  return posts.sort((a, b) => (a.created_at < b.created_at ? 1 : -1));
+};
+
+const OFFICIAL_RESPONSE_AUTHOR = "노사위원회";
+
+const clientIp = (request) => request.headers.get("CF-Connecting-IP") || "unknown";
+
+const AUDIT_ACTIONS = [
+  "login",
+  "login.failed",
+  "logout",
+  "admin_user.create",
+  "admin_user.update",
+  "admin_user.password_reset",
+  "category.create",
+  "category.update",
+  "category.delete",
+  "post.update",
+  "post.status",
+  "post.delete",
+  "post.restore",
+  "post.purge",
+  "response.create",
+  "response.update",
+  "response.delete",
+  "comment.update",
+  "comment.delete",
+  "export",
+  "webhook.create",
+  "webhook.update",
+  "webhook.delete",
+  "antispam.update",
+  "session.revoke",
+  "session.revoke_all",
+];
+
+// Soft-deleted posts stay in the trash this long before the cron purge.
+const trashRetentionDays = (env) => {
+  const days = Number.parseInt(env.TRASH_RETENTION_DAYS || "30", 10);
+  return Number.isFinite(days) && days > 0 ? days : 30;
+};
+
+// Appends to the admin_audit trail; `targets` may be an array to record one
+// entry per post of a bulk action. The action has already happened by the
+// time this runs, so a failed write is swallowed instead of failing the request.
+const audit = (env, request, admin, action, targets = {}) =>
+  supabaseRequest(env, "admin_audit", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Prefer: "return=minimal" },
+    body: JSON.stringify(
+      [].concat(targets).map((target) => ({
+        admin_user_id: admin?.id || null,
+        admin_username: admin?.username || null,
+        action,
+        target_type: target.type || null,
+        target_id: target.id || null,
+        ip: request ? clientIp(request) : null,
+        before: target.before || null,
+        after: target.after || null,
+      })),
+    ),
+  }).catch(() => null);
+
+const toAuditEntry = (row) => ({
+  id: row.id,
+  adminUserId: row.admin_user_id,
+  adminUsername: row.admin_username,
+  action: row.action,
+  targetType: row.target_type,
+  targetId: row.target_id,
+  ip: row.ip,
+  before: row.before,
+  after: row.after,
+  createdAt: row.created_at,
+});
+
+// Sliding-window limits for endpoints that take passwords or accept anonymous
+// writes. A request is checked against every bucket that applies to it.
+const RATE_LIMITS = {
+  password: { windowSeconds: 10 * 60, perIp: 10, perPost: 30 },
+  adminLogin: { windowSeconds: 15 * 60, perIp: 5 },
+  createPost: { windowSeconds: 10 * 60, perIp: 5 },
+  createComment: { windowSeconds: 10 * 60, perIp: 20, perPost: 60 },
+  endorse: { windowSeconds: 10 * 60, perIp: 30 },
+  receipt: { windowSeconds: 10 * 60, perIp: 10 },
+};
+
+// Returns 0 when the request may proceed, otherwise the seconds to wait.
+// Client IPs are only stored hashed. If the limiter itself fails we let the
+// request through rather than lock everyone out.
+const rateLimit = async (request, env, action, postId = null) => {
+  const rule = RATE_LIMITS[action];
+  const ip = clientIp(request);
+  const buckets = [[`${action}:ip:${await sha256Hex(`${ip}:${env.TOKEN_PEPPER}`)}`, rule.perIp]];
+  if (postId && rule.perPost) buckets.push([`${action}:post:${postId}`, rule.perPost]);
+
+  for (const [bucket, maxHits] of buckets) {
+    const res = await supabaseRequest(env, "rpc/rate_limit_hit", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        p_bucket: bucket,
+        p_window_seconds: rule.windowSeconds,
+        p_max_hits: maxHits,
+      }),
+    });
+    if (!res.ok) continue;
+    const retryAfter = Number(await res.json()) || 0;
+    if (retryAfter > 0) return retryAfter;
+  }
+  return 0;
+};
+
+const COMMENT_SELECT =
+  "id,post_id,parent_id,author,content,created_at,updated_at,deleted_at,pw_hash_hex";
+const PASSWORD_SELECT = "pw_salt_hex,pw_iterations,pw_digest,pw_keylen,pw_hash_hex";
+
+// hasPassword tells the client whether the author can edit/delete it.
+// Deleted comments that still have replies come back as empty placeholders.
+const toComment = (row) => ({
+  id: row.id,
+  parentId: row.parent_id,
+  author: row.author,
+  content: row.content,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  deleted: Boolean(row.deleted_at),
+  hasPassword: Boolean(row.pw_hash_hex),
+});
+
+// Nests comments (already in created_at order) under their parents.
+const commentTree = (rows) => {
+  const nodes = new Map(rows.map((row) => [row.id, { ...toComment(row), replies: [] }]));
+  const roots = [];
+  for (const row of rows) {
+    const parent = row.parent_id ? nodes.get(row.parent_id) : null;
+    (parent ? parent.replies : roots).push(nodes.get(row.id));
+  }
+  return roots;
+};
+
+const hasReplies = async (env, commentId) => {
+  const res = await supabaseRequest(env, `comments?select=id&parent_id=eq.${commentId}&limit=1`);
+  if (!res.ok) throw new Error(`Failed to load replies: ${await res.text()}`);
+  const rows = await res.json();
+  return rows.length > 0;
+};
+
+// Deleting a comment that has replies only blanks it, so the thread keeps its
+// shape. Otherwise the row goes, and so does any blanked ancestor it leaves
+// without replies.
+const removeComment = async (env, comment) => {
+  if (await hasReplies(env, comment.id)) {
+    const res = await supabaseRequest(env, `comments?id=eq.${comment.id}`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json", Prefer: "return=minimal" },
+      body: JSON.stringify({
+        author: "",
+        content: "",
+        deleted_at: new Date().toISOString(),
+        pw_salt_hex: null,
+        pw_iterations: null,
+        pw_digest: null,
+        pw_keylen: null,
+        pw_hash_hex: null,
+      }),
+    });
+    if (!res.ok) throw new Error(`Failed to delete comment: ${await res.text()}`);
+    return;
+  }
+  let current = comment;
+  while (current) {
+    const res = await supabaseRequest(env, `comments?id=eq.${current.id}`, { method: "DELETE" });
+    if (!res.ok) throw new Error(`Failed to delete comment: ${await res.text()}`);
+    if (!current.parent_id) return;
+    const qs = new URLSearchParams({
+      select: "id,parent_id",
+      id: `eq.${current.parent_id}`,
+      deleted_at: "not.is.null",
+      limit: "1",
+    });
+    const parentRes = await supabaseRequest(env, `comments?${qs.toString()}`);
+    if (!parentRes.ok) return;
+    const parent = (await parentRes.json())[0];
+    current = parent && !(await hasReplies(env, parent.id)) ? parent : null;
+  }
+};
+
+// Loads a comment of a post, including its password record, or null.
+const findComment = async (env, postId, commentId) => {
+  const qs = new URLSearchParams({
+    select: `${COMMENT_SELECT},pw_salt_hex,pw_iterations,pw_digest,pw_keylen`,
+    id: `eq.${commentId}`,
+    post_id: `eq.${postId}`,
+    deleted_at: "is.null",
+    limit: "1",
+  });
+  const res = await supabaseRequest(env, `comments?${qs.toString()}`);
+  if (!res.ok) throw new Error(`Failed to load comment: ${await res.text()}`);
+  const rows = await res.json();
+  return rows[0] || null;
+};
+
+const toResponse = (row) => ({
+  id: row.id,
+  postId: row.post_id,
+  author: row.author,
+  content: row.content,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+const readResponseInput = (body) => {
+  const author = typeof body.author === "string" ? body.author.trim() : "";
+  const content = typeof body.content === "string" ? body.content.trim() : "";
+  return { author: author || OFFICIAL_RESPONSE_AUTHOR, content };
+};
+
+const toCategory = (row) => ({
+  id: row.id,
+  name: row.name,
+  sortOrder: row.sort_order,
+});
+
+const readCategoryInput = (body) => {
+  const name = typeof body.name === "string" ? body.name.trim() : "";
+  const sortOrder = Number.parseInt(body.sortOrder ?? "0", 10);
+  return { name, sort_order: Number.isFinite(sortOrder) ? sortOrder : 0 };
+};
+
+// True when rawToken is an unexpired view token issued for postId.
+const viewTokenValid = async (env, postId, rawToken) => {
+  const tokenParts = splitToken(rawToken);
+  if (!tokenParts) return false;
+  const tokenHash = await sha256Hex(`${tokenParts.token}:${tokenParts.salt}:${env.TOKEN_PEPPER}`);
+  const qs = new URLSearchParams({
+    select: "id",
+    post_id: `eq.${postId}`,
+    token_hash: `eq.${tokenHash}`,
+    token_salt: `eq.${tokenParts.salt}`,
+    expires_at: `gt.${new Date().toISOString()}`,
+    limit: "1",
+  });
+  const res = await supabaseRequest(env, `view_tokens?${qs.toString()}`);
+  if (!res.ok) return false;
+  const rows = await res.json();
+  return rows.length > 0;
+};
+
+// Checks read access to a post and everything under it (comments, official
+// responses). Returns null when allowed, otherwise the status and error body.
+const readAccessError = async (request, env, postId) => {
+  const qs = new URLSearchParams({
+    select: "visibility",
+    id: `eq.${postId}`,
+    deleted_at: "is.null",
+    limit: "1",
+  });
+  const res = await supabaseRequest(env, `posts?${qs.toString()}`);
+  if (!res.ok) return { status: 500, body: { error: "Failed to load post", detail: await res.text() } };
+  const rows = await res.json();
+  if (rows.length === 0) return { status: 404, body: { error: "Not found" } };
+  if (rows[0].visibility !== "confidential") return null;
+  if (await currentAdmin(request, env)) return null;
+  if (await viewTokenValid(env, postId, request.headers.get("X-View-Token"))) return null;
+  return { status: 403, body: { error: "Confidential", confidential: true } };
+};
+
+// Endorsements count once per browser, without accounts. The voter cookie
+// holds a random id plus a keyed hash of it, so an edited cookie is simply
+// replaced. Only a per-post keyed hash of the id is stored, which keeps one
+// browser's endorsements from being linked across posts.
+const VOTER_COOKIE = "woldecks.voter";
+const VOTER_COOKIE_MAX_AGE = 400 * 24 * 60 * 60;
+
+const voterSignature = (env, voterId) => hmacSha256Hex(env.TOKEN_PEPPER, `voter:${voterId}`);
+
+const voterFromCookie = async (request, env) => {
+  const raw = parseCookies(request.headers.get("Cookie"))[VOTER_COOKIE];
+  const parts = splitToken(raw);
+  if (!parts) return null;
+  const expected = await voterSignature(env, parts.token);
+  return safeEqualHex(expected, parts.salt) ? parts.token : null;
+};
+
+const voterCookie = async (env, voterId) =>
+  [
+    `${VOTER_COOKIE}=${encodeURIComponent(`${voterId}.${await voterSignature(env, voterId)}`)}`,
+    "Path=/",
+    "HttpOnly",
+    "SameSite=None",
+    "Secure",
+    `Max-Age=${VOTER_COOKIE_MAX_AGE}`,
+  ].join("; ");
+
+const voterHash = (env, voterId, postId) =>
+  hmacSha256Hex(env.TOKEN_PEPPER, `endorse:${postId}:${voterId}`);
+
+const hasEndorsed = async (request, env, postId) => {
+  const voterId = await voterFromCookie(request, env);
+  if (!voterId) return false;
+  const qs = new URLSearchParams({
+    select: "post_id",
+    post_id: `eq.${postId}`,
+    voter_hash: `eq.${await voterHash(env, voterId, postId)}`,
+    limit: "1",
+  });
+  const res = await supabaseRequest(env, `post_endorsements?${qs.toString()}`);
+  if (!res.ok) return false;
+  const rows = await res.json();
+  return rows.length > 0;
+};
+
+// Receipt codes let an author follow a complaint without the password. The
+// code is returned once, from POST /api/posts, and only its hash is stored.
+// 12 characters from a 32-letter alphabet without 0/O and 1/I give 60 random
+// bits, so an unpeppered SHA-256 is enough (and matches server.js).
+const RECEIPT_ALPHABET = "23456789ABCDEFGHJKLMNPQRSTUVWXYZ";
+const RECEIPT_LENGTH = 12;
+
+const makeReceiptCode = () => {
+  const chars = [...crypto.getRandomValues(new Uint8Array(RECEIPT_LENGTH))].map(
+    (byte) => RECEIPT_ALPHABET[byte % RECEIPT_ALPHABET.length],
+  );
+  return [0, 4, 8].map((i) => chars.slice(i, i + 4).join("")).join("-");
+};
+
+// Accepts the code with or without dashes, in any case; null if malformed.
+const normalizeReceiptCode = (input) => {
+  const code = String(input || "").toUpperCase().replace(/[\s-]/g, "");
+  if (code.length !== RECEIPT_LENGTH) return null;
+  return [...code].every((ch) => RECEIPT_ALPHABET.includes(ch)) ? code : null;
+};
+
+const receiptHash = (code) => sha256Hex(`receipt:${code}`);
+
+// Anti-spam for anonymous writes, with no third-party CAPTCHA. The client
+// asks /api/challenges for a puzzle, finds a nonce such that
+// SHA-256(`${challenge}:${nonce}`) starts with `difficulty` zero bits, and
+// sends both along with the post or comment. A challenge is
+// `${id}.${action}.${difficulty}.${expiresAt}.${signature}`, signed with
+// TOKEN_PEPPER so nothing is stored until it is redeemed; pow_redemptions then
+// makes each one single-use. Forms also carry a hidden "website" field that
+// people never see and bots tend to fill in.
+const POW_ACTIONS = ["post", "comment"];
+const POW_TTL_MS = 5 * 60 * 1000;
+const POW_MAX_DIFFICULTY = 24;
+// Overridden by the "antispam" app_settings row, which owners edit.
+const ANTISPAM_DEFAULTS = { postDifficulty: 16, commentDifficulty: 14 };
+
+const loadAntispamSettings = async (env) => {
+  const res = await supabaseRequest(env, "app_settings?select=value&key=eq.antispam&limit=1");
+  if (!res.ok) return { ...ANTISPAM_DEFAULTS };
+  const rows = await res.json();
+  return { ...ANTISPAM_DEFAULTS, ...(rows[0]?.value || {}) };
+};
+
+const powSignature = (env, payload) => hmacSha256Hex(env.TOKEN_PEPPER, `pow:${payload}`);
+
+const issueChallenge = async (env, action, difficulty) => {
+  const payload = [crypto.randomUUID(), action, difficulty, Date.now() + POW_TTL_MS].join(".");
+  return `${payload}.${await powSignature(env, payload)}`;
+};
+
+const leadingZeroBits = (hex) => {
+  let bits = 0;
+  for (const ch of hex) {
+    const nibble = Number.parseInt(ch, 16);
+    if (nibble !== 0) return bits + Math.clz32(nibble) - 28;
+    bits += 4;
+  }
+  return bits;
+};
+
+// True when `body` passes the honeypot and carries a solved, unexpired,
+// not yet redeemed challenge for `action`.
+const passesSpamCheck = async (env, action, body) => {
+  if (typeof body.website === "string" && body.website.trim()) return false;
+  const challenge = typeof body.challenge === "string" ? body.challenge : "";
+  const nonce = typeof body.nonce === "string" ? body.nonce : "";
+  if (!challenge || !nonce || nonce.length > 32) return false;
+  const parts = challenge.split(".");
+  if (parts.length !== 5) return false;
+  const [id, challengeAction, difficultyText, expiresText, signature] = parts;
+  const payload = parts.slice(0, 4).join(".");
+  if (!safeEqualHex(await powSignature(env, payload), signature)) return false;
+  const expiresAt = Number(expiresText);
+  if (challengeAction !== action || !(expiresAt > Date.now())) return false;
+  const hash = await sha256Hex(`${challenge}:${nonce}`);
+  if (leadingZeroBits(hash) < Number(difficultyText)) return false;
+
+  const res = await supabaseRequest(env, "pow_redemptions", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Prefer: "return=minimal" },
+    body: JSON.stringify({ challenge_id: id, expires_at: new Date(expiresAt).toISOString() }),
+  });
+  // 409: this challenge was already used.
+  return res.ok;
+};
+
+const categoryExists = async (env, id) => {
+  const qs = new URLSearchParams({ select: "id", id: `eq.${id}`, limit: "1" });
+  const res = await supabaseRequest(env, `categories?${qs.toString()}`);
+  if (!res.ok) return false;
+  const rows = await res.json();
+  return rows.length > 0;
+};
+
+// 접수 → 검토중 → 노사위원회 전달 → 처리완료
+const POST_STATUSES = ["received", "reviewing", "forwarded", "resolved"];
+const STATUS_TIMESTAMP_COLUMNS = {
+  reviewing: "reviewing_at",
+  forwarded: "forwarded_at",
+  resolved: "resolved_at",
+};
+
+const STATUS_LABELS = {
+  received: "접수",
+  reviewing: "검토중",
+  forwarded: "노사위원회 전달",
+  resolved: "처리완료",
+};
+
+const POST_SELECT =
+  "id,title,author,content,status,category_id,visibility,endorsement_count,created_at,updated_at,reviewing_at,forwarded_at,resolved_at";
+
+// Confidential posts are readable only with the post password (a view token)
+// or an admin session; the public list shows them without title or author.
+const VISIBILITIES = ["public", "confidential"];
+
+const toPost = (post) => ({
+  id: post.id,
+  title: post.title,
+  author: post.author,
+  content: post.content,
+  status: post.status,
+  categoryId: post.category_id,
+  visibility: post.visibility,
+  endorsementCount: post.endorsement_count,
+  createdAt: post.created_at,
+  updatedAt: post.updated_at,
+  reviewingAt: post.reviewing_at,
+  forwardedAt: post.forwarded_at,
+  resolvedAt: post.resolved_at,
+});
+
+const POST_REVISION_SELECT = "id,post_id,title,content,admin_user_id,admin_username,created_at";
+
+const toPostRevision = (row) => ({
+  id: row.id,
+  postId: row.post_id,
+  title: row.title,
+  content: row.content,
+  adminUserId: row.admin_user_id,
+  adminUsername: row.admin_username,
+  createdAt: row.created_at,
+});
+
+// Personal information pasted into posts and comments. Matches are masked
+// before storage (PII_MODE "mask", the default), make the request fail
+// ("reject") or are left alone ("off"). PII_PATTERNS is a JSON object that
+// replaces the pattern for a type, e.g. {"employeeId": "E\\d{6}"}; an empty
+// string turns the type off. The write form previews with the same patterns
+// (GET /api/pii-policy).
+const PII_MODES = ["mask", "reject", "off"];
+// Order matters: 주민등록번호 would otherwise be half-eaten by the phone pattern.
+const PII_DEFAULT_PATTERNS = {
+  rrn: String.raw`(?<!\d)\d{2}(?:0[1-9]|1[0-2])(?:0[1-9]|[12]\d|3[01])\s?-?\s?[1-8]\d{6}(?!\d)`,
+  phone: String.raw`(?<!\d)(?:\+82[-.\s]?0?|0)(?:1[016789]|2|[3-6][1-5]|70)[-.\s)]?\d{3,4}[-.\s]?\d{4}(?!\d)`,
+  email: String.raw`[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}`,
+  employeeId: String.raw`(?:사번|사원번호|직원번호)\s*[:：]?\s*[A-Za-z]{0,3}-?\d{4,10}(?!\d)`,
+};
+const PII_MASKS = {
+  rrn: "[주민등록번호]",
+  phone: "[전화번호]",
+  email: "[이메일]",
+  employeeId: "[사번]",
+};
+
+const piiPolicy = (env) => {
+  const mode = PII_MODES.includes(env.PII_MODE) ? env.PII_MODE : "mask";
+  let overrides = {};
+  try {
+    overrides = env.PII_PATTERNS ? JSON.parse(env.PII_PATTERNS) : {};
+  } catch {
+    // A broken PII_PATTERNS falls back to the defaults rather than failing writes.
+  }
+  const patterns = [];
+  for (const [type, fallback] of Object.entries(PII_DEFAULT_PATTERNS)) {
+    let source = fallback;
+    if (typeof overrides?.[type] === "string") {
+      source = overrides[type];
+      try {
+        new RegExp(source, "g");
+      } catch {
+        source = fallback;
+      }
     }
+    if (source) patterns.push({ type, source });
+  }
+  return { mode, patterns: mode === "off" ? [] : patterns };
+};
 
-    const path = url.pathname;
-    const send = (status, body, extraHeaders = {}) =>
-      json(status, body, { ...extraHeaders, ...(origin ? corsHeaders(origin) : {}) });
+// Masks every field of `fields`; `counts` holds matches per type across all
+// of them. `rejected` is set when the policy refuses anything that matched.
+const checkPii = (env, fields) => {
+  const policy = piiPolicy(env);
+  const counts = {};
+  const masked = {};
+  for (const [name, value] of Object.entries(fields)) {
+    masked[name] = policy.patterns.reduce(
+      (text, { type, source }) =>
+        text.replace(new RegExp(source, "g"), () => {
+          counts[type] = (counts[type] || 0) + 1;
+          return PII_MASKS[type];
+        }),
+      value,
+    );
+  }
+  const found = Object.keys(counts).length > 0;
+  return { fields: masked, counts, found, rejected: found && policy.mode === "reject" };
+};
 
-    try {
+const recordPiiDetection = (env, targetType, targetId, pii) =>
+  supabaseRequest(env, "pii_detections", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Prefer: "return=minimal" },
+    body: JSON.stringify({
+      target_type: targetType,
+      target_id: targetId || null,
+      action: pii.rejected ? "rejected" : "masked",
+      counts: pii.counts,
+    }),
+  }).catch(() => null);
 
-    if (path === "/api/admin/me" && request.method === "GET") {
-      const admin = await isAdmin(request, env);
-      return send(200, { admin });
+// Nothing else deletes these rows once they expire; expired ones are already
+// rejected by every lookup, so this only keeps the tables small.
+const EXPIRING_TABLES = ["admin_sessions", "view_tokens", "pow_redemptions"];
+
+const purgeExpiredTokens = (env) => {
+  const now = new Date().toISOString();
+  return Promise.all(
+    EXPIRING_TABLES.map((table) =>
+      supabaseRequest(env, `${table}?expires_at=lt.${now}`, {
+        method: "DELETE",
+        headers: { Prefer: "return=minimal" },
+      }).catch(() => null),
+    ),
+  );
+};
+
+const purgeExpiredTrash = async (env) => {
+  const cutoff = new Date(Date.now() - trashRetentionDays(env) * 24 * 60 * 60 * 1000);
+  const res = await supabaseRequest(env, `posts?deleted_at=lt.${cutoff.toISOString()}&select=id`, {
+    method: "DELETE",
+    headers: { Prefer: "return=representation" },
+  });
+  if (!res.ok) return;
+  const purged = await res.json();
+  if (purged.length === 0) return;
+  await audit(env, null, null, "post.purge", {
+    type: "post",
+    after: { count: purged.length, postIds: purged.map((p) => p.id) },
+  });
+};
+
+// Outgoing webhooks. Every event becomes one webhook_deliveries row per
+// subscribed endpoint, which is both the retry queue and the delivery log.
+// The first attempt runs right after the request (callers hand emitWebhooks to
+// waitUntil); failures are retried by the WEBHOOK_RETRY_CRON run after each
+// delay in WEBHOOK_RETRY_MINUTES, then marked failed.
+const WEBHOOK_EVENTS = ["post.created", "post.updated", "post.deleted", "comment.created"];
+const WEBHOOK_RETRY_CRON = "*/5 * * * *";
+const WEBHOOK_RETRY_MINUTES = [1, 5, 30, 120, 720];
+const WEBHOOK_MAX_ATTEMPTS = WEBHOOK_RETRY_MINUTES.length + 1;
+const WEBHOOK_TIMEOUT_MS = 10000;
+// Attempts per request or cron run, to stay within the subrequest limit; the
+// rest are picked up by the next cron run.
+const WEBHOOK_BATCH_SIZE = 20;
+const WEBHOOK_ENDPOINT_SELECT = "id,url,description,events,secret,disabled_at,created_at";
+const WEBHOOK_DELIVERY_SELECT =
+  "id,endpoint_id,event,status,attempts,next_attempt_at,last_status,last_error,delivered_at,created_at";
+
+// The secret itself is only returned once, when the endpoint is created.
+const toWebhookEndpoint = (row) => ({
+  id: row.id,
+  url: row.url,
+  description: row.description,
+  events: row.events,
+  secretHint: `…${row.secret.slice(-4)}`,
+  disabled: Boolean(row.disabled_at),
+  createdAt: row.created_at,
+});
+
+const toWebhookDelivery = (row) => ({
+  id: row.id,
+  endpointId: row.endpoint_id,
+  event: row.event,
+  status: row.status,
+  attempts: row.attempts,
+  nextAttemptAt: row.status === "pending" ? row.next_attempt_at : null,
+  lastStatus: row.last_status,
+  lastError: row.last_error,
+  deliveredAt: row.delivered_at,
+  createdAt: row.created_at,
+});
+
+// Returns { url, description, events } from an endpoint form, or { error }.
+// Plain http is allowed so a local stand-in receiver can be used for testing.
+// Endpoints must be public https hosts, so deliveries can't be aimed at
+// loopback, private-network or cloud metadata addresses. URL parsing already
+// turns any IPv4 notation into a dotted quad and IPv6 into "[...]", so all IP
+// literals are refused.
+const WEBHOOK_BLOCKED_SUFFIXES = [".localhost", ".local", ".internal", ".localdomain", ".home.arpa"];
+
+const publicWebhookUrl = (url) => {
+  if (url.protocol !== "https:") return false;
+  const host = url.hostname.toLowerCase().replace(/\.$/, "");
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(host) || host.startsWith("[")) return false;
+  // Single-label names (localhost, metadata, intranet hosts) only resolve
+  // inside a private network.
+  if (!host.includes(".")) return false;
+  return !WEBHOOK_BLOCKED_SUFFIXES.some((suffix) => host.endsWith(suffix));
+};
+
+const readWebhookInput = (body, partial = false) => {
+  const input = {};
+  if (!partial || body.url !== undefined) {
+    let parsed = null;
+    try {
+      parsed = new URL(typeof body.url === "string" ? body.url.trim() : "");
+    } catch {
+      return { error: "Invalid url" };
+    }
+    if (!publicWebhookUrl(parsed)) return { error: "Invalid url" };
+    input.url = parsed.toString();
+  }
+  if (!partial || body.events !== undefined) {
+    const events = Array.isArray(body.events) ? [...new Set(body.events)] : [];
+    if (events.length === 0 || !events.every((e) => WEBHOOK_EVENTS.includes(e))) {
+      return { error: "Invalid events" };
     }
+    input.events = events;
+  }
+  if (typeof body.description === "string") {
+    input.description = body.description.trim().slice(0, 200);
+  }
+  return { input };
+};
 
-    if (path === "/api/admin/login" && request.method === "POST") {
-      const body = await readJson(request);
-      if (!body) return send(400, { error: "Invalid JSON" });
-      const input = typeof body.password === "string" ? body.password : "";
-      if (!input) return send(400, { error: "Missing field: password" });
-      if (input !== env.ADMIN_PASSWORD) return send(401, { error: "Invalid password" });
+// Post fields sent with post.* events; confidential posts go out without
+// title or author, as in the public list.
+const webhookPost = (row) => ({
+  id: row.id,
+  ...(row.visibility === "confidential"
+    ? { title: null, author: null }
+    : { title: row.title, author: row.author }),
+  status: row.status,
+  categoryId: row.category_id,
+  visibility: row.visibility,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
 
-      const tokenData = await makeToken(env.TOKEN_PEPPER);
-      const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
-      const insertRes = await supabaseRequest(env, "admin_sessions", {
+// Receivers check X-Woldecks-Signature against
+// HMAC-SHA256(secret, `${X-Woldecks-Timestamp}.${raw body}`).
+const attemptWebhookDelivery = async (env, delivery) => {
+  const endpoint = delivery.webhook_endpoints;
+  const attempts = delivery.attempts + 1;
+  let lastStatus = null;
+  let lastError = null;
+  if (!endpoint || endpoint.disabled_at) {
+    lastError = "Endpoint disabled";
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = await hmacSha256Hex(endpoint.secret, `${timestamp}.${body}`);
+    try {
+      const res = await fetch(endpoint.url, {
         method: "POST",
-        headers: { "Content-Type": "application/json", Prefer: "return=minimal" },
-        body: JSON.stringify({
-          token_hash: tokenData.hash,
-          token_salt: tokenData.salt,
-          expires_at: expiresAt,
-        }),
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "woldecks-webhooks",
+          "X-Woldecks-Event": delivery.event,
+          "X-Woldecks-Delivery": delivery.id,
+          "X-Woldecks-Timestamp": timestamp,
+          "X-Woldecks-Signature": `sha256=${signature}`,
+        },
+        body,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
       });
-      if (!insertRes.ok) return send(500, { error: "Failed to create session" });
+      lastStatus = res.status;
+      if (!res.ok) lastError = `HTTP ${res.status}`;
+      await res.body?.cancel();
+    } catch (err) {
+      lastError = String(err?.message || err).slice(0, 500);
+    }
+  }
 
-      const cookie = [
-        `woldecks.admin=${encodeURIComponent(`${tokenData.token}.${tokenData.salt}`)}`,
-        "Path=/",
-        "HttpOnly",
-        "SameSite=None",
-        "Secure",
-        "Max-Age=86400",
-      ].join("; ");
+  const patch = { attempts, last_status: lastStatus, last_error: lastError };
+  if (!lastError) {
+    patch.status = "delivered";
+    patch.delivered_at = new Date().toISOString();
+  } else if (attempts >= WEBHOOK_MAX_ATTEMPTS || !endpoint || endpoint.disabled_at) {
+    patch.status = "failed";
+  } else {
+    const delayMs = WEBHOOK_RETRY_MINUTES[attempts - 1] * 60 * 1000;
+    patch.next_attempt_at = new Date(Date.now() + delayMs).toISOString();
+  }
+  const res = await supabaseRequest(
+    env,
+    `webhook_deliveries?id=eq.${delivery.id}&select=${WEBHOOK_DELIVERY_SELECT}`,
+    {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json", Prefer: "return=representation" },
+      body: JSON.stringify(patch),
+    },
+  );
+  if (!res.ok) throw new Error(`Failed to record delivery: ${await res.text()}`);
+  return (await res.json())[0];
+};
 
-      return send(200, { admin: true }, { "Set-Cookie": cookie });
-    }
+const DUE_DELIVERY_SELECT = "id,event,payload,attempts,webhook_endpoints(url,secret,disabled_at)";
+
+const deliverWebhooks = async (env, filters) => {
+  const qs = new URLSearchParams({
+    select: DUE_DELIVERY_SELECT,
+    status: "eq.pending",
+    order: "next_attempt_at.asc",
+    limit: String(WEBHOOK_BATCH_SIZE),
+    ...filters,
+  });
+  const res = await supabaseRequest(env, `webhook_deliveries?${qs.toString()}`);
+  if (!res.ok) return [];
+  const results = [];
+  for (const delivery of await res.json()) {
+    results.push(await attemptWebhookDelivery(env, delivery));
+  }
+  return results;
+};
+
+const retryDueWebhooks = (env) =>
+  deliverWebhooks(env, { next_attempt_at: `lte.${new Date().toISOString()}` }).catch(() => []);
+
+// Queues `event` for every enabled endpoint subscribed to it, one delivery per
+// item of `data` (an array for bulk actions), and makes the first attempts.
+// Webhook trouble is never reported back to the request that caused it.
+const emitWebhooks = async (env, event, data) => {
+  try {
+    const qs = new URLSearchParams({
+      select: "id",
+      disabled_at: "is.null",
+      events: `cs.{${event}}`,
+    });
+    const res = await supabaseRequest(env, `webhook_endpoints?${qs.toString()}`);
+    if (!res.ok) return;
+    const endpoints = await res.json();
+    const items = [].concat(data);
+    if (endpoints.length === 0 || items.length === 0) return;
+    const occurredAt = new Date().toISOString();
+    // Held back one retry step so the cron doesn't race the first attempt.
+    const nextAttemptAt = new Date(Date.now() + WEBHOOK_RETRY_MINUTES[0] * 60 * 1000).toISOString();
+    const insertRes = await supabaseRequest(env, "webhook_deliveries?select=id", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Prefer: "return=representation" },
+      body: JSON.stringify(
+        endpoints.flatMap((endpoint) =>
+          items.map((item) => ({
+            endpoint_id: endpoint.id,
+            event,
+            payload: { event, occurredAt, data: item },
+            next_attempt_at: nextAttemptAt,
+          })),
+        ),
+      ),
+    });
+    if (!insertRes.ok) return;
+    const ids = (await insertRes.json()).map((row) => row.id);
+    await deliverWebhooks(env, { id: `in.(${ids.slice(0, WEBHOOK_BATCH_SIZE).join(",")})` });
+  } catch {
+    // Left pending; the cron retries anything still due.
+  }
+};
+
+// comment.created carries the comment text only for public posts.
+const emitCommentCreated = async (env, row) => {
+  const res = await supabaseRequest(env, `posts?select=visibility&id=eq.${row.post_id}&limit=1`);
+  if (!res.ok) return;
+  const post = (await res.json())[0];
+  if (!post) return;
+  const hidden = post.visibility === "confidential";
+  await emitWebhooks(env, "comment.created", {
+    id: row.id,
+    postId: row.post_id,
+    parentId: row.parent_id,
+    author: hidden ? null : row.author,
+    content: hidden ? null : row.content,
+    createdAt: row.created_at,
+  });
+};
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  xlsx: {
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+};
+// Posts per round trip; also bounds the in.() list used for comments/responses.
+const EXPORT_BATCH_SIZE = 100;
+
+const EXPORT_POST_HEADER = [
+  "ID",
+  "제목",
+  "내용",
+  "작성자",
+  "분류",
+  "상태",
+  "작성일",
+  "수정일",
+  "검토 시작",
+  "노사위원회 전달",
+  "처리 완료",
+];
+const EXPORT_COMMENT_HEADER = ["ID", "게시글 ID", "상위 댓글 ID", "작성자", "내용", "작성일"];
+const EXPORT_RESPONSE_HEADER = ["ID", "게시글 ID", "작성자", "내용", "작성일", "수정일"];
+
+const exportPostRow = (post, categoryNames) => [
+  post.id,
+  post.title,
+  post.content,
+  post.author,
+  categoryNames.get(post.category_id) || "",
+  STATUS_LABELS[post.status] || post.status,
+  post.created_at,
+  post.updated_at || "",
+  post.reviewing_at || "",
+  post.forwarded_at || "",
+  post.resolved_at || "",
+];
+
+const loadCategoryNames = async (env) => {
+  const res = await supabaseRequest(env, "categories?select=id,name");
+  if (!res.ok) return new Map();
+  return new Map((await res.json()).map((c) => [c.id, c.name]));
+};
+
+// Child rows are paged too: a busy batch of posts can have more comments than
+// PostgREST returns in one response (max-rows), and it truncates silently.
+const EXPORT_CHILD_PAGE_SIZE = 500;
+
+const loadRowsForPosts = async (env, table, select, postIds, filters = {}) => {
+  const rows = [];
+  for (let offset = 0; ; offset += EXPORT_CHILD_PAGE_SIZE) {
+    const qs = new URLSearchParams({
+      select,
+      post_id: `in.(${postIds.join(",")})`,
+      order: "created_at.asc,id.asc",
+      limit: String(EXPORT_CHILD_PAGE_SIZE),
+      offset: String(offset),
+      ...filters,
+    });
+    const res = await supabaseRequest(env, `${table}?${qs.toString()}`);
+    if (!res.ok) throw new Error(`Failed to load ${table}: ${await res.text()}`);
+    const page = await res.json();
+    rows.push(...page);
+    if (page.length < EXPORT_CHILD_PAGE_SIZE) return rows;
+  }
+};
+
+// Walks every post matching `filters` (newest first) in batches, together
+// with the comments and official responses asked for.
+async function* exportBatches(env, filters, include) {
+  for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+    const qs = new URLSearchParams({
+      select: POST_SELECT,
+      order: "created_at.desc,id.desc",
+      limit: String(EXPORT_BATCH_SIZE),
+      offset: String(offset),
+      ...filters,
+    });
+    const res = await supabaseRequest(env, `posts?${qs.toString()}`);
+    if (!res.ok) throw new Error(`Failed to load posts: ${await res.text()}`);
+    const posts = await res.json();
+    if (posts.length === 0) return;
+    const ids = posts.map((p) => p.id);
+    yield {
+      posts,
+      comments: include.comments
+        ? await loadRowsForPosts(env, "comments", COMMENT_SELECT, ids, { deleted_at: "is.null" })
+        : [],
+      responses: include.responses
+        ? await loadRowsForPosts(
+            env,
+            "official_responses",
+            "id,post_id,author,content,created_at,updated_at",
+            ids,
+          )
+        : [],
+    };
+    if (posts.length < EXPORT_BATCH_SIZE) return;
+  }
+}
+
+const groupByPost = (rows) => {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row.post_id)) groups.set(row.post_id, []);
+    groups.get(row.post_id).push(row);
+  }
+  return groups;
+};
+
+// Cells starting with = + - @ would be evaluated as formulas by spreadsheet
+// apps; a leading apostrophe keeps anonymous input inert.
+const csvCell = (value) => {
+  let text = String(value ?? "");
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+const csvLine = (cells) => `${cells.map(csvCell).join(",")}\r\n`;
+const threadText = (rows = []) =>
+  rows.map((row) => `[${row.created_at}] ${row.author}: ${row.content}`).join("\n");
+
+// CSV keeps one row per post; comments and responses become extra columns.
+const writeCsvExport = async (write, batches, include, categoryNames) => {
+  const header = [...EXPORT_POST_HEADER];
+  if (include.comments) header.push("댓글");
+  if (include.responses) header.push("공식 답변");
+  // BOM so Excel opens the UTF-8 file correctly, as the client-side CSV does.
+  await write(`\uFEFF${csvLine(header)}`);
+  for await (const batch of batches) {
+    const comments = groupByPost(batch.comments);
+    const responses = groupByPost(batch.responses);
+    const lines = batch.posts.map((post) => {
+      const row = exportPostRow(post, categoryNames);
+      if (include.comments) row.push(threadText(comments.get(post.id)));
+      if (include.responses) row.push(threadText(responses.get(post.id)));
+      return csvLine(row);
+    });
+    await write(lines.join(""));
+  }
+};
+
+const writeJsonExport = async (write, batches, include, categoryNames) => {
+  await write(`{"exportedAt":${JSON.stringify(new Date().toISOString())},"posts":[`);
+  let first = true;
+  for await (const batch of batches) {
+    const comments = groupByPost(batch.comments);
+    const responses = groupByPost(batch.responses);
+    const items = batch.posts.map((post) =>
+      JSON.stringify({
+        ...toPost(post),
+        categoryName: categoryNames.get(post.category_id) || null,
+        ...(include.comments ? { comments: (comments.get(post.id) || []).map(toComment) } : {}),
+        ...(include.responses
+          ? { responses: (responses.get(post.id) || []).map(toResponse) }
+          : {}),
+      }),
+    );
+    if (items.length === 0) continue;
+    await write(`${first ? "" : ","}${items.join(",")}`);
+    first = false;
+  }
+  await write("]}");
+};
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (bytes) => {
+  let c = 0xffffffff;
+  for (const byte of bytes) c = CRC32_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+// Minimal ZIP writer: stored (uncompressed) entries with UTF-8 names, which is
+// all an XLSX package needs.
+const zipStored = (files) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+  for (const [name, content] of files) {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 file names
+    local.setUint16(12, 0x21, true); // 1980-01-01
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    parts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(14, 0x21, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    directory.push(new Uint8Array(entry.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  }
+  const directorySize = directory.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...parts, ...directory, new Uint8Array(end.buffer)]);
+};
+
+const xmlText = (value) =>
+  String(value ?? "")
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, "")
+    .slice(0, 32767) // Excel's per-cell limit
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const SPREADSHEET_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const RELATIONSHIP_NS = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+// Inline strings only, so no shared-string table or styles part is needed.
+const sheetXml = (rows) => {
+  const body = rows
+    .map((cells, r) => {
+      const row = cells
+        .map(
+          (value, c) =>
+            `<c r="${String.fromCharCode(65 + c)}${r + 1}" t="inlineStr"><is><t xml:space="preserve">${xmlText(value)}</t></is></c>`,
+        )
+        .join("");
+      return `<row r="${r + 1}">${row}</row>`;
+    })
+    .join("");
+  return `${XML_HEADER}<worksheet xmlns="${SPREADSHEET_NS}"><sheetData>${body}</sheetData></worksheet>`;
+};
+
+const xlsxWorkbook = (sheets) =>
+  zipStored([
+    [
+      "[Content_Types].xml",
+      `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        sheets
+          .map(
+            (_, i) =>
+              `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`,
+          )
+          .join("") +
+        "</Types>",
+    ],
+    [
+      "_rels/.rels",
+      `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="${RELATIONSHIP_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+        "</Relationships>",
+    ],
+    [
+      "xl/workbook.xml",
+      `${XML_HEADER}<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIP_NS}"><sheets>` +
+        sheets
+          .map((sheet, i) => `<sheet name="${xmlText(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`)
+          .join("") +
+        "</sheets></workbook>",
+    ],
+    [
+      "xl/_rels/workbook.xml.rels",
+      `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        sheets
+          .map(
+            (_, i) =>
+              `<Relationship Id="rId${i + 1}" Type="${RELATIONSHIP_NS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`,
+          )
+          .join("") +
+        "</Relationships>",
+    ],
+    ...sheets.map((sheet, i) => [`xl/worksheets/sheet${i + 1}.xml`, sheetXml(sheet.rows)]),
+  ]);
+
+// One sheet per entity. The zip directory can only be written once every
+// sheet is known, so unlike CSV/JSON the workbook is assembled in memory.
+const buildXlsxExport = async (batches, include, categoryNames) => {
+  const posts = [EXPORT_POST_HEADER];
+  const comments = [EXPORT_COMMENT_HEADER];
+  const responses = [EXPORT_RESPONSE_HEADER];
+  for await (const batch of batches) {
+    for (const post of batch.posts) posts.push(exportPostRow(post, categoryNames));
+    for (const c of batch.comments) {
+      comments.push([c.id, c.post_id, c.parent_id || "", c.author, c.content, c.created_at]);
+    }
+    for (const r of batch.responses) {
+      responses.push([r.id, r.post_id, r.author, r.content, r.created_at, r.updated_at || ""]);
+    }
+  }
+  const sheets = [{ name: "게시글", rows: posts }];
+  if (include.comments) sheets.push({ name: "댓글", rows: comments });
+  if (include.responses) sheets.push({ name: "공식 답변", rows: responses });
+  return xlsxWorkbook(sheets);
+};
+
+// Pipes a text producer into a streamed response body. A failure part-way
+// aborts the stream, so the client sees a broken download, not a short file.
+const streamText = (ctx, produce) => {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  ctx.waitUntil(
+    produce((text) => writer.write(encoder.encode(text))).then(
+      () => writer.close(),
+      (err) => writer.abort(err),
+    ),
+  );
+  return readable;
+};
+
+export default {
+  async fetch(request, env, ctx) {
+    const url = new URL(request.url);
+    const origin = getAllowedOrigin(request, env);
+
+    if (request.method === "OPTIONS") {
+      return handleOptions(request, env);
+    }
+
+    const path = url.pathname;
+    const send = (status, body, extraHeaders = {}) =>
+      json(status, body, { ...extraHeaders, ...(origin ? corsHeaders(origin) : {}) });
+    const denied = (admin) =>
+      admin ? send(403, { error: "Forbidden" }) : send(401, { error: "Unauthorized" });
+    const tooManyRequests = (retryAfter) =>
+      send(429, { error: "Too many requests", retryAfter }, { "Retry-After": String(retryAfter) });
+    const piiRejected = (pii) =>
+      send(400, { error: "Personal information", piiTypes: Object.keys(pii.counts) });
+    const legacyPasswordRejected = () => send(409, { error: "Legacy password" });
+
+    try {
+
+    if (UNSAFE_METHODS.includes(request.method)) {
+      if (request.headers.get("Origin") && !origin) {
+        return json(403, { error: "Origin not allowed" });
+      }
+      if (!(await csrfPasses(request, env))) return send(403, { error: "Invalid CSRF token" });
+    }
+
+    if (path === "/api/csrf" && request.method === "GET") {
+      const existing = parseCookies(request.headers.get("Cookie"))[CSRF_COOKIE] || "";
+      if (await validCsrfToken(env, existing)) return send(200, { token: existing });
+      const token = await makeCsrfToken(env);
+      return send(200, { token }, { "Set-Cookie": csrfCookie(token) });
+    }
+
+    if (path === "/api/admin/me" && request.method === "GET") {
+      const admin = await currentAdmin(request, env);
+      return send(200, { admin: Boolean(admin), user: admin });
+    }
+
+    if (path === "/api/admin/login" && request.method === "POST") {
+      const body = await readJson(request);
+      if (!body) return send(400, { error: "Invalid JSON" });
+      const username = typeof body.username === "string" ? body.username.trim().toLowerCase() : "";
+      const input = typeof body.password === "string" ? body.password : "";
+      if (!username || !input) return send(400, { error: "Missing fields" });
+      const retryAfter = await rateLimit(request, env, "adminLogin");
+      if (retryAfter) return tooManyRequests(retryAfter);
+
+      let user = await findAdminUser(env, username);
+      if (!user) {
+        // Fresh install: the shared ADMIN_PASSWORD may be used exactly once,
+        // to create the first owner account under the given username.
+        const bootstrap =
+          env.ADMIN_PASSWORD &&
+          input === env.ADMIN_PASSWORD &&
+          USERNAME_PATTERN.test(username) &&
+          !(await hasAnyAdminUser(env));
+        if (!bootstrap) {
+          await audit(env, request, null, "login.failed", { after: { username } });
+          return send(401, { error: "Invalid credentials" });
+        }
+        const createRes = await supabaseRequest(env, `admin_users?select=${ADMIN_USER_SELECT}`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", Prefer: "return=representation" },
+          body: JSON.stringify({
+            username,
+            display_name: username,
+            role: "owner",
+            ...(await makePasswordRecord(env, input)),
+          }),
+        });
+        if (!createRes.ok) return send(500, { error: "Failed to create admin user" });
+        user = (await createRes.json())[0];
+      } else if (user.disabled_at || !(await verifyPassword(input, user))) {
+        await audit(env, request, null, "login.failed", { after: { username } });
+        return send(401, { error: "Invalid credentials" });
+      } else {
+        await upgradePasswordHash(env, "admin_users", user.id, input, user);
+      }
+
+      const tokenData = await makeToken(env.TOKEN_PEPPER);
+      const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+      const insertRes = await supabaseRequest(env, "admin_sessions", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Prefer: "return=minimal" },
+        body: JSON.stringify({
+          user_id: user.id,
+          token_hash: tokenData.hash,
+          token_salt: tokenData.salt,
+          expires_at: expiresAt,
+          user_agent: (request.headers.get("User-Agent") || "").slice(0, 300) || null,
+          ip: clientIp(request),
+        }),
+      });
+      if (!insertRes.ok) return send(500, { error: "Failed to create session" });
+      await supabaseRequest(env, `admin_users?id=eq.${user.id}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json", Prefer: "return=minimal" },
+        body: JSON.stringify({ last_login_at: new Date().toISOString() }),
+      });
+      await audit(env, request, toAdminUser(user), "login", { type: "admin_user", id: user.id });
+
+      const cookie = [
+        `woldecks.admin=${encodeURIComponent(`${tokenData.token}.${tokenData.salt}`)}`,
+        "Path=/",
+        "HttpOnly",
+        "SameSite=None",
+        "Secure",
+        "Max-Age=86400",
+      ].join("; ");
+
+      return send(200, { admin: true, user: toAdminUser(user) }, { "Set-Cookie": cookie });
+    }
+
+    if (path === "/api/admin/users" && request.method === "GET") {
+      const admin = await currentAdmin(request, env);
+      if (!hasRole(admin, "owner")) return denied(admin);
+      const qs = new URLSearchParams({ select: ADMIN_USER_SELECT, order: "created_at.asc" });
+      const res = await supabaseRequest(env, `admin_users?${qs.toString()}`);
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to load admin users", detail });
+      }
+      const rows = await res.json();
+      return send(200, { users: rows.map(toAdminUser) });
+    }
+
+    if (path === "/api/admin/users" && request.method === "POST") {
+      const admin = await currentAdmin(request, env);
+      if (!hasRole(admin, "owner")) return denied(admin);
+      const body = await readJson(request);
+      if (!body) return send(400, { error: "Invalid JSON" });
+      const username = typeof body.username === "string" ? body.username.trim().toLowerCase() : "";
+      const displayName = typeof body.displayName === "string" ? body.displayName.trim() : "";
+      const role = typeof body.role === "string" ? body.role : "";
+      const password = typeof body.password === "string" ? body.password : "";
+      if (!USERNAME_PATTERN.test(username)) return send(400, { error: "Invalid username" });
+      if (!ADMIN_ROLES.includes(role)) return send(400, { error: "Invalid role" });
+      if (password.length < MIN_ADMIN_PASSWORD_LENGTH) {
+        return send(400, { error: "Password too short" });
+      }
+      const res = await supabaseRequest(env, `admin_users?select=${ADMIN_USER_SELECT}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Prefer: "return=representation" },
+        body: JSON.stringify({
+          username,
+          display_name: displayName || username,
+          role,
+          ...(await makePasswordRecord(env, password)),
+        }),
+      });
+      if (res.status === 409) return send(409, { error: "Username already exists" });
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to create admin user", detail });
+      }
+      const created = await res.json();
+      await audit(env, request, admin, "admin_user.create", {
+        type: "admin_user",
+        id: created[0].id,
+        after: toAdminUser(created[0]),
+      });
+      return send(201, { user: toAdminUser(created[0]) });
+    }
+
+    const adminUserMatch = path.match(/^\/api\/admin\/users\/([^/]+)$/);
+    if (adminUserMatch && request.method === "PUT") {
+      const admin = await currentAdmin(request, env);
+      if (!hasRole(admin, "owner")) return denied(admin);
+      const id = adminUserMatch[1];
+      const body = await readJson(request);
+      if (!body) return send(400, { error: "Invalid JSON" });
+
+      const patch = {};
+      if (typeof body.displayName === "string" && body.displayName.trim()) {
+        patch.display_name = body.displayName.trim();
+      }
+      if (body.role !== undefined) {
+        if (!ADMIN_ROLES.includes(body.role)) return send(400, { error: "Invalid role" });
+        patch.role = body.role;
+      }
+      if (typeof body.disabled === "boolean") {
+        patch.disabled_at = body.disabled ? new Date().toISOString() : null;
+      }
+      // Owners can't lock themselves out.
+      if (id === admin.id && (patch.disabled_at || (patch.role && patch.role !== "owner"))) {
+        return send(400, { error: "Cannot demote or disable yourself" });
+      }
+      if (Object.keys(patch).length === 0) return send(400, { error: "Missing fields" });
+
+      const res = await supabaseRequest(env, `admin_users?id=eq.${id}&select=${ADMIN_USER_SELECT}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json", Prefer: "return=representation" },
+        body: JSON.stringify(patch),
+      });
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to update admin user", detail });
+      }
+      const updated = await res.json();
+      if (updated.length === 0) return send(404, { error: "Not found" });
+      if (patch.disabled_at) await revokeAdminSessions(env, id);
+      await audit(env, request, admin, "admin_user.update", {
+        type: "admin_user",
+        id,
+        after: toAdminUser(updated[0]),
+      });
+      return send(200, { user: toAdminUser(updated[0]) });
+    }
+
+    const adminPasswordMatch = path.match(/^\/api\/admin\/users\/([^/]+)\/password$/);
+    if (adminPasswordMatch && request.method === "PUT") {
+      const admin = await currentAdmin(request, env);
+      if (!hasRole(admin, "owner")) return denied(admin);
+      const id = adminPasswordMatch[1];
+      const body = await readJson(request);
+      if (!body) return send(400, { error: "Invalid JSON" });
+      const password = typeof body.password === "string" ? body.password : "";
+      if (password.length < MIN_ADMIN_PASSWORD_LENGTH) {
+        return send(400, { error: "Password too short" });
+      }
+      const res = await supabaseRequest(env, `admin_users?id=eq.${id}&select=id`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json", Prefer: "return=representation" },
+        body: JSON.stringify(await makePasswordRecord(env, password)),
+      });
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to reset password", detail });
+      }
+      const updated = await res.json();
+      if (updated.length === 0) return send(404, { error: "Not found" });
+      // A reset signs the account out everywhere (except the owner's own session).
+      if (id !== admin.id) await revokeAdminSessions(env, id);
+      await audit(env, request, admin, "admin_user.password_reset", { type: "admin_user", id });
+      return send(200, { ok: true });
+    }
 
     if (path === "/api/admin/logout" && request.method === "POST") {
+      const admin = await currentAdmin(request, env);
+      if (admin) await audit(env, request, admin, "logout", { type: "admin_user", id: admin.id });
       const cookies = parseCookies(request.headers.get("Cookie"));
       const raw = cookies["woldecks.admin"];
       if (raw) {
@@ -260,16 +2030,589 @@ export default {
         }
       }
 
-      const cookie = [
-        "woldecks.admin=x",
-        "Path=/",
-        "HttpOnly",
-        "SameSite=None",
-        "Secure",
-        "Max-Age=0",
-      ].join("; ");
+      return send(200, { ok: true }, { "Set-Cookie": CLEARED_ADMIN_COOKIE });
+    }
+
+    // Owners see every admin's sessions; everyone else only their own.
+    if (path === "/api/admin/sessions" && request.method === "GET") {
+      const session = await adminSessionFromCookie(request, env);
+      if (!session) return denied(null);
+      const qs = new URLSearchParams({
+        select: ADMIN_SESSION_SELECT,
+        expires_at: `gt.${new Date().toISOString()}`,
+        order: "last_seen_at.desc",
+      });
+      if (!hasRole(session.user, "owner")) qs.set("user_id", `eq.${session.user.id}`);
+      const res = await supabaseRequest(env, `admin_sessions?${qs.toString()}`);
+      if (!res.ok) return send(500, { error: "Failed to load sessions" });
+      const rows = await res.json();
+      return send(200, { sessions: rows.map((row) => toAdminSession(row, session.id)) });
+    }
+
+    // "Log out everywhere": drops all of the caller's sessions, this one included.
+    if (path === "/api/admin/sessions/revoke-all" && request.method === "POST") {
+      const session = await adminSessionFromCookie(request, env);
+      if (!session) return denied(null);
+      const res = await revokeAdminSessions(env, session.user.id);
+      if (!res.ok) return send(500, { error: "Failed to revoke sessions" });
+      await audit(env, request, session.user, "session.revoke_all", {
+        type: "admin_user",
+        id: session.user.id,
+      });
+      return send(200, { ok: true }, { "Set-Cookie": CLEARED_ADMIN_COOKIE });
+    }
+
+    const adminSessionMatch = path.match(/^\/api\/admin\/sessions\/([^/]+)$/);
+    if (adminSessionMatch && request.method === "DELETE") {
+      const session = await adminSessionFromCookie(request, env);
+      if (!session) return denied(null);
+      const id = adminSessionMatch[1];
+      const qs = new URLSearchParams({ id: `eq.${id}`, select: "id,user_id" });
+      if (!hasRole(session.user, "owner")) qs.set("user_id", `eq.${session.user.id}`);
+      const res = await supabaseRequest(env, `admin_sessions?${qs.toString()}`, {
+        method: "DELETE",
+        headers: { Prefer: "return=representation" },
+      });
+      if (!res.ok) return send(500, { error: "Failed to revoke session" });
+      const removed = await res.json();
+      if (removed.length === 0) return send(404, { error: "Not found" });
+      await audit(env, request, session.user, "session.revoke", {
+        type: "admin_user",
+        id: removed[0].user_id,
+        after: { sessionId: id },
+      });
+      const headers = id === session.id ? { "Set-Cookie": CLEARED_ADMIN_COOKIE } : {};
+      return send(200, { ok: true }, headers);
+    }
+
+    if (path === "/api/admin/audit" && request.method === "GET") {
+      const admin = await currentAdmin(request, env);
+      if (!hasRole(admin, "owner")) return denied(admin);
+      const pageParam = Number.parseInt(url.searchParams.get("page") || "1", 10);
+      const page = Number.isFinite(pageParam) && pageParam > 0 ? pageParam : 1;
+      const pageSize = 50;
+      const actionParam = url.searchParams.get("action") || "";
+      if (actionParam && !AUDIT_ACTIONS.includes(actionParam)) {
+        return send(400, { error: "Invalid action" });
+      }
+      const fromParam = parseDateParam(url.searchParams.get("from"));
+      const toParam = parseDateParam(url.searchParams.get("to"));
+      if (fromParam === null || toParam === null) return send(400, { error: "Invalid date" });
+
+      const qs = new URLSearchParams({
+        select: "id,admin_user_id,admin_username,action,target_type,target_id,ip,before,after,created_at",
+        order: "created_at.desc",
+        limit: String(pageSize),
+        offset: String((page - 1) * pageSize),
+      });
+      if (actionParam) qs.set("action", `eq.${actionParam}`);
+      if (fromParam) qs.append("created_at", `gte.${fromParam}`);
+      if (toParam) qs.append("created_at", `lt.${toParam}`);
+      const res = await supabaseRequest(env, `admin_audit?${qs.toString()}`, {
+        headers: { Prefer: "count=exact" },
+      });
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to load audit log", detail });
+      }
+      const rows = await res.json();
+      const total =
+        Number.parseInt((res.headers.get("content-range") || "").split("/")[1] || "0", 10) ||
+        rows.length;
+      return send(200, { entries: rows.map(toAuditEntry), page, pageSize, total });
+    }
+
+    // Password records not yet on the target policy; see upgradePasswordHash.
+    if (path === "/api/admin/password-hashes" && request.method === "GET") {
+      const admin = await currentAdmin(request, env);
+      if (!hasRole(admin, "owner")) return denied(admin);
+      const policy = passwordPolicy(env);
+      const res = await supabaseRequest(env, "rpc/password_hash_report", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          p_iterations: policy.iterations,
+          p_digest: policy.digest,
+          p_keylen: policy.keylen,
+          p_max_iterations: PBKDF2_MAX_ITERATIONS,
+        }),
+      });
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to load report", detail });
+      }
+      return send(200, { policy, ...(await res.json()) });
+    }
+
+    if (path === "/api/admin/antispam" && request.method === "GET") {
+      const admin = await currentAdmin(request, env);
+      if (!hasRole(admin, "owner")) return denied(admin);
+      return send(200, {
+        settings: await loadAntispamSettings(env),
+        maxDifficulty: POW_MAX_DIFFICULTY,
+      });
+    }
+
+    if (path === "/api/admin/antispam" && request.method === "PUT") {
+      const admin = await currentAdmin(request, env);
+      if (!hasRole(admin, "owner")) return denied(admin);
+      const body = await readJson(request);
+      if (!body) return send(400, { error: "Invalid JSON" });
+      const settings = {};
+      for (const key of Object.keys(ANTISPAM_DEFAULTS)) {
+        const value = body[key];
+        if (!Number.isInteger(value) || value < 0 || value > POW_MAX_DIFFICULTY) {
+          return send(400, { error: "Invalid difficulty" });
+        }
+        settings[key] = value;
+      }
+      const before = await loadAntispamSettings(env);
+      const res = await supabaseRequest(env, "app_settings?on_conflict=key", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Prefer: "resolution=merge-duplicates,return=minimal",
+        },
+        body: JSON.stringify({ key: "antispam", value: settings, updated_at: new Date().toISOString() }),
+      });
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to save settings", detail });
+      }
+      await audit(env, request, admin, "antispam.update", {
+        type: "settings",
+        id: "antispam",
+        before,
+        after: settings,
+      });
+      return send(200, { settings, maxDifficulty: POW_MAX_DIFFICULTY });
+    }
+
+    if (path === "/api/admin/webhooks" && request.method === "GET") {
+      const admin = await currentAdmin(request, env);
+      if (!hasRole(admin, "owner")) return denied(admin);
+      const qs = new URLSearchParams({ select: WEBHOOK_ENDPOINT_SELECT, order: "created_at.asc" });
+      const res = await supabaseRequest(env, `webhook_endpoints?${qs.toString()}`);
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to load webhooks", detail });
+      }
+      const rows = await res.json();
+      return send(200, { webhooks: rows.map(toWebhookEndpoint), events: WEBHOOK_EVENTS });
+    }
+
+    if (path === "/api/admin/webhooks" && request.method === "POST") {
+      const admin = await currentAdmin(request, env);
+      if (!hasRole(admin, "owner")) return denied(admin);
+      const body = await readJson(request);
+      if (!body) return send(400, { error: "Invalid JSON" });
+      const { error, input } = readWebhookInput(body);
+      if (error) return send(400, { error });
+      const secret = `whsec_${bytesToHex(crypto.getRandomValues(new Uint8Array(24)))}`;
+      const target = `webhook_endpoints?select=${WEBHOOK_ENDPOINT_SELECT}`;
+      const res = await supabaseRequest(env, target, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Prefer: "return=representation" },
+        body: JSON.stringify({ ...input, secret }),
+      });
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to create webhook", detail });
+      }
+      const created = toWebhookEndpoint((await res.json())[0]);
+      await audit(env, request, admin, "webhook.create", {
+        type: "webhook",
+        id: created.id,
+        after: created,
+      });
+      return send(201, { webhook: created, secret });
+    }
+
+    const webhookMatch = path.match(/^\/api\/admin\/webhooks\/([^/]+)$/);
+    if (webhookMatch && (request.method === "PUT" || request.method === "DELETE")) {
+      const admin = await currentAdmin(request, env);
+      if (!hasRole(admin, "owner")) return denied(admin);
+      const id = webhookMatch[1];
+      const target = `webhook_endpoints?id=eq.${id}&select=${WEBHOOK_ENDPOINT_SELECT}`;
+
+      if (request.method === "DELETE") {
+        const res = await supabaseRequest(env, target, {
+          method: "DELETE",
+          headers: { Prefer: "return=representation" },
+        });
+        if (!res.ok) {
+          const detail = await res.text();
+          return send(500, { error: "Failed to delete webhook", detail });
+        }
+        const deleted = await res.json();
+        if (deleted.length === 0) return send(404, { error: "Not found" });
+        await audit(env, request, admin, "webhook.delete", {
+          type: "webhook",
+          id,
+          before: toWebhookEndpoint(deleted[0]),
+        });
+        return send(200, { ok: true });
+      }
+
+      const body = await readJson(request);
+      if (!body) return send(400, { error: "Invalid JSON" });
+      const { error, input } = readWebhookInput(body, true);
+      if (error) return send(400, { error });
+      const patch = { ...input };
+      if (typeof body.disabled === "boolean") {
+        patch.disabled_at = body.disabled ? new Date().toISOString() : null;
+      }
+      if (Object.keys(patch).length === 0) return send(400, { error: "Missing fields" });
+      const res = await supabaseRequest(env, target, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json", Prefer: "return=representation" },
+        body: JSON.stringify(patch),
+      });
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to update webhook", detail });
+      }
+      const updated = await res.json();
+      if (updated.length === 0) return send(404, { error: "Not found" });
+      const webhook = toWebhookEndpoint(updated[0]);
+      await audit(env, request, admin, "webhook.update", { type: "webhook", id, after: webhook });
+      return send(200, { webhook });
+    }
+
+    // Sends a "ping" event to one endpoint right away and reports the result.
+    const webhookTestMatch = path.match(/^\/api\/admin\/webhooks\/([^/]+)\/test$/);
+    if (webhookTestMatch && request.method === "POST") {
+      const admin = await currentAdmin(request, env);
+      if (!hasRole(admin, "owner")) return denied(admin);
+      const id = webhookTestMatch[1];
+      if (!UUID_PATTERN.test(id)) return send(404, { error: "Not found" });
+      const res = await supabaseRequest(env, "webhook_deliveries?select=id", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Prefer: "return=representation" },
+        body: JSON.stringify({
+          endpoint_id: id,
+          event: "ping",
+          payload: { event: "ping", occurredAt: new Date().toISOString(), data: {} },
+        }),
+      });
+      if (res.status === 409) return send(404, { error: "Not found" });
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to queue test delivery", detail });
+      }
+      const [queued] = await res.json();
+      const [delivery] = await deliverWebhooks(env, { id: `eq.${queued.id}` });
+      return send(200, { delivery: delivery ? toWebhookDelivery(delivery) : null });
+    }
+
+    const webhookDeliveriesMatch = path.match(/^\/api\/admin\/webhooks\/([^/]+)\/deliveries$/);
+    if (webhookDeliveriesMatch && request.method === "GET") {
+      const admin = await currentAdmin(request, env);
+      if (!hasRole(admin, "owner")) return denied(admin);
+      const pageParam = Number.parseInt(url.searchParams.get("page") || "1", 10);
+      const page = Number.isFinite(pageParam) && pageParam > 0 ? pageParam : 1;
+      const pageSize = 50;
+      const qs = new URLSearchParams({
+        select: WEBHOOK_DELIVERY_SELECT,
+        endpoint_id: `eq.${webhookDeliveriesMatch[1]}`,
+        order: "created_at.desc",
+        limit: String(pageSize),
+        offset: String((page - 1) * pageSize),
+      });
+      const res = await supabaseRequest(env, `webhook_deliveries?${qs.toString()}`, {
+        headers: { Prefer: "count=exact" },
+      });
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to load deliveries", detail });
+      }
+      const rows = await res.json();
+      const total =
+        Number.parseInt((res.headers.get("content-range") || "").split("/")[1] || "0", 10) ||
+        rows.length;
+      return send(200, { deliveries: rows.map(toWebhookDelivery), page, pageSize, total });
+    }
+
+    // Manual redelivery of a failed (or still pending) delivery, attempted now.
+    const redeliverMatch = path.match(/^\/api\/admin\/webhook-deliveries\/([^/]+)\/retry$/);
+    if (redeliverMatch && request.method === "POST") {
+      const admin = await currentAdmin(request, env);
+      if (!hasRole(admin, "owner")) return denied(admin);
+      const id = redeliverMatch[1];
+      const target = `webhook_deliveries?id=eq.${id}&status=neq.delivered&select=id`;
+      const res = await supabaseRequest(env, target, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json", Prefer: "return=representation" },
+        body: JSON.stringify({
+          status: "pending",
+          attempts: 0,
+          next_attempt_at: new Date().toISOString(),
+        }),
+      });
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to retry delivery", detail });
+      }
+      if ((await res.json()).length === 0) return send(404, { error: "Not found" });
+      const [delivery] = await deliverWebhooks(env, { id: `eq.${id}` });
+      return send(200, { delivery: delivery ? toWebhookDelivery(delivery) : null });
+    }
+
+    if (path === "/api/admin/pii-report" && request.method === "GET") {
+      const admin = await currentAdmin(request, env);
+      if (!hasRole(admin, "viewer")) return denied(admin);
+      const from = parseDateParam(url.searchParams.get("from"));
+      const to = parseDateParam(url.searchParams.get("to"));
+      if (from === null || to === null) return send(400, { error: "Invalid date" });
+      const res = await supabaseRequest(env, "rpc/pii_report", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ p_from: from || null, p_to: to || null }),
+      });
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to load report", detail });
+      }
+      return send(200, { mode: piiPolicy(env).mode, ...(await res.json()) });
+    }
+
+    // Dashboard figures; the aggregation runs in admin_stats (schema.sql).
+    if (path === "/api/admin/stats" && request.method === "GET") {
+      const admin = await currentAdmin(request, env);
+      if (!hasRole(admin, "viewer")) return denied(admin);
+      const from = parseDateParam(url.searchParams.get("from"));
+      const to = parseDateParam(url.searchParams.get("to"));
+      if (from === null || to === null) return send(400, { error: "Invalid date" });
+      const res = await supabaseRequest(env, "rpc/admin_stats", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ p_from: from || null, p_to: to || null }),
+      });
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to load stats", detail });
+      }
+      return send(200, { from: from || null, to: to || null, ...(await res.json()) });
+    }
+
+    // Bulk delete/status/export over an id list or the current list filter.
+    // Writes go through bulk_update_posts, one transaction for all ids; the
+    // response reports each id so the client can show what was skipped.
+    if (path === "/api/admin/posts/bulk" && request.method === "POST") {
+      const admin = await currentAdmin(request, env);
+      const body = await readJson(request);
+      if (!body) return send(400, { error: "Invalid JSON" });
+      const action = typeof body.action === "string" ? body.action : "";
+      const requiredRole = BULK_ACTION_ROLES[action];
+      if (!requiredRole) return send(400, { error: "Invalid action" });
+      if (!hasRole(admin, requiredRole)) return denied(admin);
+      const status = typeof body.status === "string" ? body.status : "";
+      if (action === "status" && !POST_STATUSES.includes(status)) {
+        return send(400, { error: "Invalid status" });
+      }
+
+      const resolved = await resolveBulkPostIds(env, body);
+      if (resolved.error) {
+        return send(resolved.status, { error: resolved.error, detail: resolved.detail });
+      }
+      const ids = resolved.ids.filter((id) => UUID_PATTERN.test(id));
+
+      let rows = [];
+      if (action === "export") {
+        rows = await loadPostsByIds(env, ids);
+      } else if (ids.length > 0) {
+        const res = await supabaseRequest(env, `rpc/bulk_update_posts?select=${POST_SELECT}`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ p_ids: ids, p_action: action, p_status: status || null }),
+        });
+        if (!res.ok) {
+          const detail = await res.text();
+          return send(500, { error: "Bulk action failed", detail });
+        }
+        rows = await res.json();
+      }
+
+      const done = new Set(rows.map((row) => row.id));
+      const results = resolved.ids.map((id) =>
+        done.has(id) ? { id, ok: true } : { id, ok: false, error: "Not found" },
+      );
+      if (action === "export") {
+        await audit(env, request, admin, "export", {
+          type: "post",
+          after: { format: "csv", count: rows.length, postIds: [...done] },
+        });
+      } else if (rows.length > 0) {
+        await audit(
+          env,
+          request,
+          admin,
+          action === "delete" ? "post.delete" : "post.status",
+          rows.map((row) =>
+            action === "delete"
+              ? { type: "post", id: row.id, before: toPost(row) }
+              : { type: "post", id: row.id, after: { status } },
+          ),
+        );
+        ctx.waitUntil(
+          emitWebhooks(
+            env,
+            action === "delete" ? "post.deleted" : "post.updated",
+            rows.map(webhookPost),
+          ),
+        );
+      }
+      return send(200, {
+        action,
+        results,
+        succeeded: done.size,
+        failed: results.length - done.size,
+        ...(action === "export" ? { posts: rows.map(toPost) } : {}),
+      });
+    }
+
+    // Full export of posts matching the list filters; see EXPORT_FORMATS.
+    // include=comments,responses adds those entities.
+    if (path === "/api/admin/export" && request.method === "GET") {
+      const admin = await currentAdmin(request, env);
+      if (!admin) return denied(admin);
+      const format = url.searchParams.get("format") || "csv";
+      if (!EXPORT_FORMATS[format]) return send(400, { error: "Invalid format" });
+      const { error, filters, category } = readPostFilters(url.searchParams);
+      if (error) return send(400, { error });
+      const includeParam = (url.searchParams.get("include") || "").split(",");
+      const include = {
+        comments: includeParam.includes("comments"),
+        responses: includeParam.includes("responses"),
+      };
+
+      const categoryNames = await loadCategoryNames(env);
+      const batches = exportBatches(env, { ...filters, ...categoryFilter(category) }, include);
+      const body =
+        format === "xlsx"
+          ? await buildXlsxExport(batches, include, categoryNames)
+          : streamText(ctx, (write) =>
+              (format === "csv" ? writeCsvExport : writeJsonExport)(
+                write,
+                batches,
+                include,
+                categoryNames,
+              ),
+            );
+
+      await audit(env, request, admin, "export", {
+        type: "post",
+        after: {
+          format,
+          filters: Object.fromEntries(
+            ["status", "category", "q", "from", "to"]
+              .filter((key) => url.searchParams.get(key))
+              .map((key) => [key, url.searchParams.get(key)]),
+          ),
+          include: Object.keys(include).filter((key) => include[key]),
+        },
+      });
+      const filename = `woldecks-export-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+      return new Response(body, {
+        status: 200,
+        headers: {
+          "Content-Type": EXPORT_FORMATS[format].contentType,
+          "Content-Disposition": `attachment; filename="${filename}"`,
+          "Cache-Control": "no-store",
+          ...(origin ? corsHeaders(origin) : {}),
+        },
+      });
+    }
+
+    if (path === "/api/categories" && request.method === "GET") {
+      const qs = new URLSearchParams({
+        select: "id,name,sort_order",
+        order: "sort_order.asc,name.asc",
+      });
+      const res = await supabaseRequest(env, `categories?${qs.toString()}`);
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to load categories", detail });
+      }
+      const rows = await res.json();
+      return send(200, { categories: rows.map(toCategory) });
+    }
+
+    if (path === "/api/admin/categories" && request.method === "POST") {
+      const admin = await currentAdmin(request, env);
+      if (!hasRole(admin, "moderator")) return denied(admin);
+      const body = await readJson(request);
+      if (!body) return send(400, { error: "Invalid JSON" });
+      const input = readCategoryInput(body);
+      if (!input.name) return send(400, { error: "Missing field: name" });
+      const res = await supabaseRequest(env, "categories", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Prefer: "return=representation" },
+        body: JSON.stringify(input),
+      });
+      if (res.status === 409) return send(409, { error: "Category already exists" });
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to create category", detail });
+      }
+      const created = await res.json();
+      await audit(env, request, admin, "category.create", {
+        type: "category",
+        id: created[0].id,
+        after: toCategory(created[0]),
+      });
+      return send(201, { category: toCategory(created[0]) });
+    }
+
+    const categoryMatch = path.match(/^\/api\/admin\/categories\/([^/]+)$/);
+    if (categoryMatch && request.method === "PUT") {
+      const admin = await currentAdmin(request, env);
+      if (!hasRole(admin, "moderator")) return denied(admin);
+      const body = await readJson(request);
+      if (!body) return send(400, { error: "Invalid JSON" });
+      const input = readCategoryInput(body);
+      if (!input.name) return send(400, { error: "Missing field: name" });
+      const res = await supabaseRequest(env, `categories?id=eq.${categoryMatch[1]}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json", Prefer: "return=representation" },
+        body: JSON.stringify(input),
+      });
+      if (res.status === 409) return send(409, { error: "Category already exists" });
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to update category", detail });
+      }
+      const updated = await res.json();
+      if (updated.length === 0) return send(404, { error: "Not found" });
+      await audit(env, request, admin, "category.update", {
+        type: "category",
+        id: categoryMatch[1],
+        after: toCategory(updated[0]),
+      });
+      return send(200, { category: toCategory(updated[0]) });
+    }
 
-      return send(200, { ok: true }, { "Set-Cookie": cookie });
+    if (categoryMatch && request.method === "DELETE") {
+      const admin = await currentAdmin(request, env);
+      if (!hasRole(admin, "moderator")) return denied(admin);
+      // Posts keep existing; their category_id is cleared by the FK.
+      const res = await supabaseRequest(env, `categories?id=eq.${categoryMatch[1]}`, {
+        method: "DELETE",
+        headers: { Prefer: "return=representation" },
+      });
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to delete category", detail });
+      }
+      const deleted = await res.json();
+      if (deleted.length > 0) {
+        await audit(env, request, admin, "category.delete", {
+          type: "category",
+          id: categoryMatch[1],
+          before: toCategory(deleted[0]),
+        });
+      }
+      return send(200, { ok: true });
     }
 
     if (path === "/api/posts" && request.method === "GET") {
@@ -279,11 +2622,24 @@ export default {
       const from = (page - 1) * pageSize;
       const to = from + pageSize - 1;
 
+      // Filters shared by the page query and the per-category counts;
+      // the counts deliberately ignore the category filter itself.
+      const { error, filters, rpcArgs, category } = readPostFilters(url.searchParams);
+      if (error) return send(400, { error });
+      const sort = url.searchParams.get("sort") || "newest";
+      if (!Object.hasOwn(POST_SORTS, sort)) return send(400, { error: "Invalid sort" });
+      const isAdminUser = Boolean(await currentAdmin(request, env));
+      // A search hit would reveal what a confidential post says.
+      if (!isAdminUser && url.searchParams.get("q")) filters.visibility = "eq.public";
+
       const qs = new URLSearchParams({
-        select: "id,title,author,created_at,updated_at",
-        order: "created_at.desc",
+        select:
+          "id,title,author,status,category_id,visibility,comment_count,endorsement_count,created_at,updated_at,last_activity_at",
+        order: POST_SORTS[sort],
         limit: String(pageSize),
         offset: String(from),
+        ...filters,
+        ...categoryFilter(category),
       });
       const res = await supabaseRequest(env, `posts?${qs.toString()}`, {
         headers: { Prefer: "count=exact" },
@@ -296,38 +2652,49 @@ export default {
       const total =
         Number.parseInt((res.headers.get("content-range") || "").split("/")[1] || "0", 10) ||
         posts.length;
-      let commentCounts = new Map();
-      if (posts.length > 0) {
-        const ids = posts.map((p) => p.id).join(",");
-        const cqs = new URLSearchParams({
-          select: "post_id",
-          post_id: `in.(${ids})`,
-        });
-        const cres = await supabaseRequest(env, `comments?${cqs.toString()}`);
-        if (cres.ok) {
-          const rows = await cres.json();
-          commentCounts = new Map();
-          for (const row of rows) {
-            const postId = row.post_id;
-            commentCounts.set(postId, (commentCounts.get(postId) || 0) + 1);
-          }
-        }
-      }
+      const catRes = await supabaseRequest(env, "rpc/post_category_counts", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...rpcArgs, p_public_only: filters.visibility === "eq.public" }),
+      });
+      const categoryCounts = catRes.ok ? await catRes.json() : {};
       return send(200, {
         posts: posts.map((p) => ({
           id: p.id,
-          title: p.title,
-          author: p.author,
+          ...(p.visibility === "confidential" && !isAdminUser
+            ? { title: null, author: null }
+            : { title: p.title, author: p.author }),
+          status: p.status,
+          categoryId: p.category_id,
+          visibility: p.visibility,
           createdAt: p.created_at,
           updatedAt: p.updated_at,
-          commentCount: Number(commentCounts.get(p.id)) || 0,
+          lastActivityAt: p.last_activity_at,
+          commentCount: p.comment_count,
+          endorsementCount: p.endorsement_count,
         })),
         page,
         pageSize,
         total,
+        categoryCounts,
       });
     }
 
+    if (path === "/api/pii-policy" && request.method === "GET") {
+      return send(200, piiPolicy(env));
+    }
+
+    // A fresh proof-of-work puzzle for the next post or comment.
+    if (path === "/api/challenges" && request.method === "POST") {
+      const body = await readJson(request);
+      if (!body) return send(400, { error: "Invalid JSON" });
+      const action = POW_ACTIONS.includes(body.action) ? body.action : "";
+      if (!action) return send(400, { error: "Invalid action" });
+      const settings = await loadAntispamSettings(env);
+      const difficulty = action === "post" ? settings.postDifficulty : settings.commentDifficulty;
+      return send(200, { challenge: await issueChallenge(env, action, difficulty), difficulty });
+    }
+
     if (path === "/api/posts" && request.method === "POST") {
       const body = await readJson(request);
       if (!body) return send(400, { error: "Invalid JSON" });
@@ -335,15 +2702,35 @@ export default {
       const author = typeof body.author === "string" ? body.author.trim() : "";
       const content = typeof body.content === "string" ? body.content.trim() : "";
       const password = typeof body.password === "string" ? body.password : "";
+      const categoryId = typeof body.categoryId === "string" ? body.categoryId : "";
+      const visibility = body.visibility === undefined ? "public" : body.visibility;
       if (!title || !author || !content || !password) {
         return send(400, { error: "Missing fields" });
       }
+      if (!VISIBILITIES.includes(visibility)) return send(400, { error: "Invalid visibility" });
+      const retryAfter = await rateLimit(request, env, "createPost");
+      if (retryAfter) return tooManyRequests(retryAfter);
+      if (!(await passesSpamCheck(env, "post", body))) {
+        return send(400, { error: "Spam check failed" });
+      }
+      if (categoryId && !(await categoryExists(env, categoryId))) {
+        return send(400, { error: "Invalid category" });
+      }
+      const pii = checkPii(env, { title, content });
+      if (pii.rejected) {
+        ctx.waitUntil(recordPiiDetection(env, "post", null, pii));
+        return piiRejected(pii);
+      }
 
-      const passwordRecord = await makePasswordRecord(password);
+      const passwordRecord = await makePasswordRecord(env, password);
+      const receiptCode = makeReceiptCode();
       const payload = {
-        title,
+        title: pii.fields.title,
         author,
-        content,
+        content: pii.fields.content,
+        category_id: categoryId || null,
+        visibility,
+        receipt_hash: await receiptHash(normalizeReceiptCode(receiptCode)),
         ...passwordRecord,
       };
       const res = await supabaseRequest(env, "posts", {
@@ -356,15 +2743,72 @@ export default {
         return send(500, { error: "Failed to create post", detail });
       }
       const created = await res.json();
-      return send(201, { id: created[0]?.id });
+      if (pii.found) ctx.waitUntil(recordPiiDetection(env, "post", created[0]?.id, pii));
+      if (created[0]) ctx.waitUntil(emitWebhooks(env, "post.created", webhookPost(created[0])));
+      return send(201, { id: created[0]?.id, receiptCode });
+    }
+
+    // 접수번호 조회: the receipt code alone shows the complaint's progress,
+    // official responses and comments. POST keeps the code out of URLs and logs.
+    if (path === "/api/receipts/lookup" && request.method === "POST") {
+      const body = await readJson(request);
+      if (!body) return send(400, { error: "Invalid JSON" });
+      const retryAfter = await rateLimit(request, env, "receipt");
+      if (retryAfter) return tooManyRequests(retryAfter);
+      const code = normalizeReceiptCode(body.code);
+      if (!code) return send(400, { error: "Invalid code" });
+
+      const qs = new URLSearchParams({
+        select: POST_SELECT,
+        receipt_hash: `eq.${await receiptHash(code)}`,
+        deleted_at: "is.null",
+        limit: "1",
+      });
+      const res = await supabaseRequest(env, `posts?${qs.toString()}`);
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to load post", detail });
+      }
+      const rows = await res.json();
+      if (rows.length === 0) return send(404, { error: "Not found" });
+      const post = rows[0];
+
+      const [responsesRes, commentsRes] = await Promise.all([
+        supabaseRequest(
+          env,
+          `official_responses?${new URLSearchParams({
+            select: "id,post_id,author,content,created_at,updated_at",
+            post_id: `eq.${post.id}`,
+            order: "created_at.asc",
+          }).toString()}`,
+        ),
+        supabaseRequest(
+          env,
+          `comments?${new URLSearchParams({
+            select: COMMENT_SELECT,
+            post_id: `eq.${post.id}`,
+            deleted_at: "is.null",
+            order: "created_at.asc",
+          }).toString()}`,
+        ),
+      ]);
+      if (!responsesRes.ok || !commentsRes.ok) {
+        return send(500, { error: "Failed to load post" });
+      }
+      return send(200, {
+        post: toPost(post),
+        responses: (await responsesRes.json()).map(toResponse),
+        comments: (await commentsRes.json()).map(toComment),
+      });
     }
 
     const postMatch = path.match(/^\/api\/posts\/([^/]+)$/);
     if (postMatch && request.method === "GET") {
       const id = postMatch[1];
       const qs = new URLSearchParams({
-        select: "id,title,author,content,created_at,updated_at",
+        select: POST_SELECT,
         id: `eq.${id}`,
+        deleted_at: "is.null",
         limit: "1",
       });
       const res = await supabaseRequest(env, `posts?${qs.toString()}`);
@@ -374,43 +2818,290 @@ export default {
       }
       const data = await res.json();
       if (data.length === 0) return send(404, { error: "Not found" });
-      const post = data[0];
+      if (
+        data[0].visibility === "confidential" &&
+        !(await currentAdmin(request, env)) &&
+        !(await viewTokenValid(env, id, request.headers.get("X-View-Token")))
+      ) {
+        return send(403, { error: "Confidential", confidential: true });
+      }
       return send(200, {
-        post: {
-          id: post.id,
-          title: post.title,
-          author: post.author,
-          content: post.content,
-          createdAt: post.created_at,
-          updatedAt: post.updated_at,
-        },
+        post: { ...toPost(data[0]), endorsed: await hasEndorsed(request, env, id) },
+      });
+    }
+
+    // Earlier versions of a post, newest first; each holds the title and
+    // content as they were before the edit at createdAt.
+    const revisionsMatch = path.match(/^\/api\/posts\/([^/]+)\/revisions$/);
+    if (revisionsMatch && request.method === "GET") {
+      const admin = await currentAdmin(request, env);
+      if (!hasRole(admin, "viewer")) return denied(admin);
+      const qs = new URLSearchParams({
+        select: POST_REVISION_SELECT,
+        post_id: `eq.${revisionsMatch[1]}`,
+        order: "created_at.desc",
       });
+      const res = await supabaseRequest(env, `post_revisions?${qs.toString()}`);
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to load revisions", detail });
+      }
+      return send(200, { revisions: (await res.json()).map(toPostRevision) });
     }
 
-    const commentDeleteMatch = path.match(/^\/api\/posts\/([^/]+)\/comments\/([^/]+)$/);
-    if (commentDeleteMatch && request.method === "DELETE") {
-      const postId = commentDeleteMatch[1];
-      const commentId = commentDeleteMatch[2];
-      if (!(await isAdmin(request, env))) {
-        return send(401, { error: "Unauthorized" });
+    const endorseMatch = path.match(/^\/api\/posts\/([^/]+)\/endorsements$/);
+    if (endorseMatch && request.method === "POST") {
+      const id = endorseMatch[1];
+      const retryAfter = await rateLimit(request, env, "endorse");
+      if (retryAfter) return tooManyRequests(retryAfter);
+      const denial = await readAccessError(request, env, id);
+      if (denial) return send(denial.status, denial.body);
+
+      const extraHeaders = {};
+      let voterId = await voterFromCookie(request, env);
+      if (!voterId) {
+        voterId = crypto.randomUUID();
+        extraHeaders["Set-Cookie"] = await voterCookie(env, voterId);
+      }
+      // Endorsing again from the same browser is a no-op.
+      const res = await supabaseRequest(env, "post_endorsements?on_conflict=post_id,voter_hash", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Prefer: "resolution=ignore-duplicates,return=minimal",
+        },
+        body: JSON.stringify({ post_id: id, voter_hash: await voterHash(env, voterId, id) }),
+      });
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to endorse post", detail });
       }
-      const res = await supabaseRequest(
+      const countRes = await supabaseRequest(
         env,
-        `comments?id=eq.${commentId}&post_id=eq.${postId}`,
-        { method: "DELETE" },
+        `posts?select=endorsement_count&id=eq.${id}&limit=1`,
       );
+      if (!countRes.ok) {
+        const detail = await countRes.text();
+        return send(500, { error: "Failed to load post", detail });
+      }
+      const rows = await countRes.json();
+      return send(
+        200,
+        { endorsed: true, endorsementCount: rows[0]?.endorsement_count ?? 0 },
+        extraHeaders,
+      );
+    }
+
+    const statusMatch = path.match(/^\/api\/posts\/([^/]+)\/status$/);
+    if (statusMatch && request.method === "PUT") {
+      const id = statusMatch[1];
+      const admin = await currentAdmin(request, env);
+      if (!hasRole(admin, "moderator")) return denied(admin);
+      const body = await readJson(request);
+      if (!body) return send(400, { error: "Invalid JSON" });
+      const status = typeof body.status === "string" ? body.status : "";
+      if (!POST_STATUSES.includes(status)) return send(400, { error: "Invalid status" });
+
+      // Stamp the target status and clear any later ones, so moving a
+      // complaint back (e.g. reopening it) doesn't leave stale timestamps.
+      const patch = { status };
+      const targetIndex = POST_STATUSES.indexOf(status);
+      POST_STATUSES.forEach((step, idx) => {
+        const column = STATUS_TIMESTAMP_COLUMNS[step];
+        if (!column) return;
+        if (idx === targetIndex) patch[column] = new Date().toISOString();
+        else if (idx > targetIndex) patch[column] = null;
+      });
+
+      const target = `posts?id=eq.${id}&deleted_at=is.null&select=${POST_SELECT}`;
+      const res = await supabaseRequest(env, target, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json", Prefer: "return=representation" },
+        body: JSON.stringify(patch),
+      });
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to update status", detail });
+      }
+      const data = await res.json();
+      if (data.length === 0) return send(404, { error: "Not found" });
+      await audit(env, request, admin, "post.status", { type: "post", id, after: { status } });
+      ctx.waitUntil(emitWebhooks(env, "post.updated", webhookPost(data[0])));
+      return send(200, { post: toPost(data[0]) });
+    }
+
+    const responsesMatch = path.match(/^\/api\/posts\/([^/]+)\/responses$/);
+    if (responsesMatch && request.method === "GET") {
+      const denial = await readAccessError(request, env, responsesMatch[1]);
+      if (denial) return send(denial.status, denial.body);
+      const qs = new URLSearchParams({
+        select: "id,post_id,author,content,created_at,updated_at",
+        post_id: `eq.${responsesMatch[1]}`,
+        order: "created_at.asc",
+      });
+      const res = await supabaseRequest(env, `official_responses?${qs.toString()}`);
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to load responses", detail });
+      }
+      const rows = await res.json();
+      return send(200, { responses: rows.map(toResponse) });
+    }
+
+    const adminResponsesMatch = path.match(/^\/api\/admin\/posts\/([^/]+)\/responses$/);
+    if (adminResponsesMatch && request.method === "POST") {
+      const admin = await currentAdmin(request, env);
+      if (!hasRole(admin, "moderator")) return denied(admin);
+      const body = await readJson(request);
+      if (!body) return send(400, { error: "Invalid JSON" });
+      const input = readResponseInput(body);
+      if (!input.content) return send(400, { error: "Missing field: content" });
+      const res = await supabaseRequest(env, "official_responses", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Prefer: "return=representation" },
+        body: JSON.stringify({ post_id: adminResponsesMatch[1], ...input }),
+      });
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to create response", detail });
+      }
+      const created = await res.json();
+      await audit(env, request, admin, "response.create", {
+        type: "response",
+        id: created[0].id,
+        after: toResponse(created[0]),
+      });
+      return send(201, { response: toResponse(created[0]) });
+    }
+
+    const adminResponseMatch = path.match(/^\/api\/admin\/responses\/([^/]+)$/);
+    if (adminResponseMatch && request.method === "PUT") {
+      const admin = await currentAdmin(request, env);
+      if (!hasRole(admin, "moderator")) return denied(admin);
+      const body = await readJson(request);
+      if (!body) return send(400, { error: "Invalid JSON" });
+      const input = readResponseInput(body);
+      if (!input.content) return send(400, { error: "Missing field: content" });
+      const res = await supabaseRequest(env, `official_responses?id=eq.${adminResponseMatch[1]}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json", Prefer: "return=representation" },
+        body: JSON.stringify({ ...input, updated_at: new Date().toISOString() }),
+      });
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to update response", detail });
+      }
+      const updated = await res.json();
+      if (updated.length === 0) return send(404, { error: "Not found" });
+      await audit(env, request, admin, "response.update", {
+        type: "response",
+        id: adminResponseMatch[1],
+        after: toResponse(updated[0]),
+      });
+      return send(200, { response: toResponse(updated[0]) });
+    }
+
+    if (adminResponseMatch && request.method === "DELETE") {
+      const admin = await currentAdmin(request, env);
+      if (!hasRole(admin, "moderator")) return denied(admin);
+      const res = await supabaseRequest(env, `official_responses?id=eq.${adminResponseMatch[1]}`, {
+        method: "DELETE",
+        headers: { Prefer: "return=representation" },
+      });
       if (!res.ok) {
         const detail = await res.text();
-        return send(500, { error: "Failed to delete comment", detail });
+        return send(500, { error: "Failed to delete response", detail });
+      }
+      const deleted = await res.json();
+      if (deleted.length > 0) {
+        await audit(env, request, admin, "response.delete", {
+          type: "response",
+          id: adminResponseMatch[1],
+          before: toResponse(deleted[0]),
+        });
       }
       return send(200, { ok: true });
     }
 
+    // Comment edit/delete: moderators always, authors with the comment's
+    // password. Comments posted without a password are moderator-only.
+    const commentMatch = path.match(/^\/api\/posts\/([^/]+)\/comments\/([^/]+)$/);
+    if (commentMatch && (request.method === "PUT" || request.method === "DELETE")) {
+      const postId = commentMatch[1];
+      const commentId = commentMatch[2];
+      const body = await readJson(request);
+      if (!body) return send(400, { error: "Invalid JSON" });
+      const password = typeof body.password === "string" ? body.password : "";
+      const content = typeof body.content === "string" ? body.content.trim() : "";
+      if (request.method === "PUT" && !content) return send(400, { error: "Missing fields" });
+
+      const admin = await currentAdmin(request, env);
+      const isAdminUser = hasRole(admin, "moderator");
+      if (!isAdminUser && !password) return send(401, { error: "Password required" });
+      if (!isAdminUser) {
+        const retryAfter = await rateLimit(request, env, "password", commentId);
+        if (retryAfter) return tooManyRequests(retryAfter);
+      }
+      const comment = await findComment(env, postId, commentId);
+      if (!comment) return send(404, { error: "Not found" });
+      if (!isAdminUser) {
+        // Same gate as reading the comments: not on trashed or confidential posts.
+        const denial = await readAccessError(request, env, postId);
+        if (denial) return send(denial.status, denial.body);
+        if (!comment.pw_hash_hex) return send(403, { error: "Forbidden" });
+        const ok = await verifyPassword(password, comment);
+        if (!ok) return send(401, { error: "Invalid password" });
+        await upgradePasswordHash(env, "comments", commentId, password, comment);
+      }
+
+      const before = toComment(comment);
+      if (request.method === "DELETE") {
+        await removeComment(env, comment);
+        // Author deletions are recorded too, without an admin attached.
+        await audit(env, request, isAdminUser ? admin : null, "comment.delete", {
+          type: "comment",
+          id: commentId,
+          before,
+        });
+        return send(200, { ok: true });
+      }
+
+      const pii = checkPii(env, { content });
+      if (pii.rejected) {
+        ctx.waitUntil(recordPiiDetection(env, "comment", commentId, pii));
+        return piiRejected(pii);
+      }
+      const target = `comments?id=eq.${commentId}&deleted_at=is.null&select=${COMMENT_SELECT}`;
+      const res = await supabaseRequest(env, target, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json", Prefer: "return=representation" },
+        body: JSON.stringify({ content: pii.fields.content, updated_at: new Date().toISOString() }),
+      });
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to update comment", detail });
+      }
+      const rows = await res.json();
+      if (rows.length === 0) return send(404, { error: "Not found" });
+      if (pii.found) ctx.waitUntil(recordPiiDetection(env, "comment", commentId, pii));
+      if (isAdminUser) {
+        await audit(env, request, admin, "comment.update", {
+          type: "comment",
+          id: commentId,
+          before,
+          after: toComment(rows[0]),
+        });
+      }
+      return send(200, { comment: toComment(rows[0]) });
+    }
+
     const commentsMatch = path.match(/^\/api\/posts\/([^/]+)\/comments$/);
     if (commentsMatch && request.method === "GET") {
       const id = commentsMatch[1];
+      const denial = await readAccessError(request, env, id);
+      if (denial) return send(denial.status, denial.body);
       const qs = new URLSearchParams({
-        select: "id,author,content,created_at",
+        select: COMMENT_SELECT,
         post_id: `eq.${id}`,
         order: "created_at.asc",
       });
@@ -420,14 +3111,7 @@ export default {
         return send(500, { error: "Failed to load comments", detail });
       }
       const comments = await res.json();
-      return send(200, {
-        comments: comments.map((c) => ({
-          id: c.id,
-          author: c.author,
-          content: c.content,
-          createdAt: c.created_at,
-        })),
-      });
+      return send(200, { comments: commentTree(comments) });
     }
 
     if (commentsMatch && request.method === "POST") {
@@ -436,17 +3120,44 @@ export default {
       if (!body) return send(400, { error: "Invalid JSON" });
       const author = typeof body.author === "string" ? body.author.trim() : "";
       const content = typeof body.content === "string" ? body.content.trim() : "";
+      // Optional: without one only moderators can edit or delete the comment.
+      const password = typeof body.password === "string" ? body.password : "";
+      const parentId = typeof body.parentId === "string" ? body.parentId : "";
       if (!author || !content) return send(400, { error: "Missing fields" });
+      const retryAfter = await rateLimit(request, env, "createComment", id);
+      if (retryAfter) return tooManyRequests(retryAfter);
+      if (!(await passesSpamCheck(env, "comment", body))) {
+        return send(400, { error: "Spam check failed" });
+      }
+      const denial = await readAccessError(request, env, id);
+      if (denial) return send(denial.status, denial.body);
+      if (parentId && !(UUID_PATTERN.test(parentId) && (await findComment(env, id, parentId)))) {
+        return send(400, { error: "Invalid parent comment" });
+      }
+      const pii = checkPii(env, { content });
+      if (pii.rejected) {
+        ctx.waitUntil(recordPiiDetection(env, "comment", null, pii));
+        return piiRejected(pii);
+      }
+      const passwordRecord = password ? await makePasswordRecord(env, password) : {};
       const res = await supabaseRequest(env, "comments", {
         method: "POST",
         headers: { "Content-Type": "application/json", Prefer: "return=representation" },
-        body: JSON.stringify({ post_id: id, author, content }),
+        body: JSON.stringify({
+          post_id: id,
+          parent_id: parentId || null,
+          author,
+          content: pii.fields.content,
+          ...passwordRecord,
+        }),
       });
       if (!res.ok) {
         const detail = await res.text();
         return send(500, { error: "Failed to create comment", detail });
       }
       const created = await res.json();
+      if (pii.found) ctx.waitUntil(recordPiiDetection(env, "comment", created[0]?.id, pii));
+      if (created[0]) ctx.waitUntil(emitCommentCreated(env, created[0]).catch(() => null));
       return send(201, {
         id: created[0]?.id,
       });
@@ -454,11 +3165,12 @@ export default {
 
     const viewMatch = path.match(/^\/api\/posts\/([^/]+)\/view$/);
     if (viewMatch && request.method === "POST") {
-      if (await isAdmin(request, env)) {
+      if (await currentAdmin(request, env)) {
         const id = viewMatch[1];
         const qs = new URLSearchParams({
-          select: "id,title,author,content,created_at,updated_at",
+          select: POST_SELECT,
           id: `eq.${id}`,
+          deleted_at: "is.null",
           limit: "1",
         });
         const res = await supabaseRequest(env, `posts?${qs.toString()}`);
@@ -468,17 +3180,7 @@ export default {
         }
         const data = await res.json();
         if (data.length === 0) return send(404, { error: "Not found" });
-        const post = data[0];
-        return send(200, {
-          post: {
-            id: post.id,
-            title: post.title,
-            author: post.author,
-            content: post.content,
-            createdAt: post.created_at,
-            updatedAt: post.updated_at,
-          },
-        });
+        return send(200, { post: toPost(data[0]) });
       }
       const body = await readJson(request);
       if (!body) return send(400, { error: "Invalid JSON" });
@@ -486,9 +3188,12 @@ export default {
       if (!password) return send(401, { error: "Password required" });
 
       const id = viewMatch[1];
+      const retryAfter = await rateLimit(request, env, "password", id);
+      if (retryAfter) return tooManyRequests(retryAfter);
       const qs = new URLSearchParams({
-        select: "id,title,author,content,created_at,updated_at,pw_salt_hex,pw_iterations,pw_digest,pw_keylen,pw_hash_hex",
+        select: `${POST_SELECT},${PASSWORD_SELECT}`,
         id: `eq.${id}`,
+        deleted_at: "is.null",
         limit: "1",
       });
       const res = await supabaseRequest(env, `posts?${qs.toString()}`);
@@ -499,8 +3204,10 @@ export default {
       const data = await res.json();
       if (data.length === 0) return send(404, { error: "Not found" });
       const post = data[0];
+      if (legacyPasswordBlocked(env, post)) return legacyPasswordRejected();
       const ok = await verifyPassword(password, post);
       if (!ok) return send(401, { error: "Invalid password" });
+      await upgradePasswordHash(env, "posts", id, password, post);
 
       const tokenData = await makeToken(env.TOKEN_PEPPER);
       const expiresAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
@@ -520,14 +3227,7 @@ export default {
       }
 
       return send(200, {
-        post: {
-          id: post.id,
-          title: post.title,
-          author: post.author,
-          content: post.content,
-          createdAt: post.created_at,
-          updatedAt: post.updated_at,
-        },
+        post: toPost(post),
         viewToken: `${tokenData.token}.${tokenData.salt}`,
       });
     }
@@ -543,34 +3243,17 @@ export default {
       const viewToken = typeof body.viewToken === "string" ? body.viewToken : "";
       if (!title || !content) return send(400, { error: "Missing fields" });
 
-      const isAdminUser = await isAdmin(request, env);
+      const admin = await currentAdmin(request, env);
+      const isAdminUser = hasRole(admin, "moderator");
       if (!isAdminUser) {
-        let authorized = false;
-        const tokenParts = splitToken(viewToken);
-        if (tokenParts) {
-          const tokenHash = await sha256Hex(
-            `${tokenParts.token}:${tokenParts.salt}:${env.TOKEN_PEPPER}`,
-          );
-          const qs = new URLSearchParams({
-            select: "id",
-            post_id: `eq.${id}`,
-            token_hash: `eq.${tokenHash}`,
-            token_salt: `eq.${tokenParts.salt}`,
-            expires_at: `gt.${new Date().toISOString()}`,
-            limit: "1",
-          });
-          const res = await supabaseRequest(env, `view_tokens?${qs.toString()}`);
-          if (res.ok) {
-            const rows = await res.json();
-            authorized = rows.length > 0;
-          }
-        }
-
-        if (!authorized) {
+        if (!(await viewTokenValid(env, id, viewToken))) {
           if (!password) return send(401, { error: "Password required" });
+          const retryAfter = await rateLimit(request, env, "password", id);
+          if (retryAfter) return tooManyRequests(retryAfter);
           const qs = new URLSearchParams({
-            select: "pw_salt_hex,pw_iterations,pw_digest,pw_keylen,pw_hash_hex",
+            select: PASSWORD_SELECT,
             id: `eq.${id}`,
+            deleted_at: "is.null",
             limit: "1",
           });
           const res = await supabaseRequest(env, `posts?${qs.toString()}`);
@@ -580,21 +3263,49 @@ export default {
           }
           const data = await res.json();
           if (data.length === 0) return send(404, { error: "Not found" });
+          if (legacyPasswordBlocked(env, data[0])) return legacyPasswordRejected();
           const ok = await verifyPassword(password, data[0]);
           if (!ok) return send(401, { error: "Invalid password" });
+          await upgradePasswordHash(env, "posts", id, password, data[0]);
         }
       }
 
-      const updateRes = await supabaseRequest(env, `posts?id=eq.${id}`, {
-        method: "PATCH",
-        headers: { "Content-Type": "application/json", Prefer: "return=representation" },
-        body: JSON.stringify({ title, content }),
+      const pii = checkPii(env, { title, content });
+      if (pii.rejected) {
+        ctx.waitUntil(recordPiiDetection(env, "post", id, pii));
+        return piiRejected(pii);
+      }
+
+      // The RPC keeps the replaced version in post_revisions in the same
+      // statement, so the history never holds text that was not saved.
+      const updateRes = await supabaseRequest(env, "rpc/update_post_content", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          p_id: id,
+          p_title: pii.fields.title,
+          p_content: pii.fields.content,
+          p_admin_user_id: isAdminUser ? admin.id : null,
+        }),
       });
       if (!updateRes.ok) {
         const detail = await updateRes.text();
         return send(500, { error: "Failed to update", detail });
       }
-      return send(200, { ok: true });
+      const updated = await updateRes.json();
+      if (updated.length === 0) return send(404, { error: "Not found" });
+      // Authors editing their own post are not audited; moderators are.
+      if (isAdminUser) {
+        await audit(env, request, admin, "post.update", {
+          type: "post",
+          id,
+          after: pii.fields,
+        });
+      }
+      if (pii.found) ctx.waitUntil(recordPiiDetection(env, "post", id, pii));
+      ctx.waitUntil(emitWebhooks(env, "post.updated", webhookPost(updated[0])));
+      // The stored text may differ from what was sent once PII is masked.
+      return send(200, { ok: true, post: toPost(updated[0]) });
     }
 
     if (postMatch && request.method === "DELETE") {
@@ -605,34 +3316,17 @@ export default {
       const password = typeof body.password === "string" ? body.password : "";
       const viewToken = typeof body.viewToken === "string" ? body.viewToken : "";
 
-      const isAdminUser = await isAdmin(request, env);
+      const admin = await currentAdmin(request, env);
+      const isAdminUser = hasRole(admin, "moderator");
       if (!isAdminUser) {
-        let authorized = false;
-        const tokenParts = splitToken(viewToken);
-        if (tokenParts) {
-          const tokenHash = await sha256Hex(
-            `${tokenParts.token}:${tokenParts.salt}:${env.TOKEN_PEPPER}`,
-          );
-          const qs = new URLSearchParams({
-            select: "id",
-            post_id: `eq.${id}`,
-            token_hash: `eq.${tokenHash}`,
-            token_salt: `eq.${tokenParts.salt}`,
-            expires_at: `gt.${new Date().toISOString()}`,
-            limit: "1",
-          });
-          const res = await supabaseRequest(env, `view_tokens?${qs.toString()}`);
-          if (res.ok) {
-            const rows = await res.json();
-            authorized = rows.length > 0;
-          }
-        }
-
-        if (!authorized) {
+        if (!(await viewTokenValid(env, id, viewToken))) {
           if (!password) return send(401, { error: "Password required" });
+          const retryAfter = await rateLimit(request, env, "password", id);
+          if (retryAfter) return tooManyRequests(retryAfter);
           const qs = new URLSearchParams({
-            select: "pw_salt_hex,pw_iterations,pw_digest,pw_keylen,pw_hash_hex",
+            select: PASSWORD_SELECT,
             id: `eq.${id}`,
+            deleted_at: "is.null",
             limit: "1",
           });
           const res = await supabaseRequest(env, `posts?${qs.toString()}`);
@@ -642,18 +3336,111 @@ export default {
           }
           const data = await res.json();
           if (data.length === 0) return send(404, { error: "Not found" });
+          if (legacyPasswordBlocked(env, data[0])) return legacyPasswordRejected();
           const ok = await verifyPassword(password, data[0]);
           if (!ok) return send(401, { error: "Invalid password" });
+          await upgradePasswordHash(env, "posts", id, password, data[0]);
         }
       }
 
-      const delRes = await supabaseRequest(env, `posts?id=eq.${id}`, {
-        method: "DELETE",
+      // Deletion only moves the post to the trash; see /api/admin/trash.
+      const target = `posts?id=eq.${id}&deleted_at=is.null&select=${POST_SELECT}`;
+      const delRes = await supabaseRequest(env, target, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json", Prefer: "return=representation" },
+        body: JSON.stringify({ deleted_at: new Date().toISOString() }),
       });
       if (!delRes.ok) {
         const detail = await delRes.text();
         return send(500, { error: "Failed to delete", detail });
       }
+      const deleted = await delRes.json();
+      if (deleted.length === 0) return send(404, { error: "Not found" });
+      // Every deletion is recorded; author deletions have no admin attached.
+      await audit(env, request, isAdminUser ? admin : null, "post.delete", {
+        type: "post",
+        id,
+        before: toPost(deleted[0]),
+      });
+      ctx.waitUntil(emitWebhooks(env, "post.deleted", webhookPost(deleted[0])));
+      return send(200, { ok: true });
+    }
+
+    if (path === "/api/admin/trash" && request.method === "GET") {
+      const admin = await currentAdmin(request, env);
+      if (!hasRole(admin, "moderator")) return denied(admin);
+      const qs = new URLSearchParams({
+        select: "id,title,author,status,category_id,created_at,deleted_at",
+        deleted_at: "not.is.null",
+        order: "deleted_at.desc",
+        limit: "200",
+      });
+      const res = await supabaseRequest(env, `posts?${qs.toString()}`);
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to load trash", detail });
+      }
+      const rows = await res.json();
+      const retentionDays = trashRetentionDays(env);
+      return send(200, {
+        retentionDays,
+        posts: rows.map((p) => ({
+          id: p.id,
+          title: p.title,
+          author: p.author,
+          status: p.status,
+          categoryId: p.category_id,
+          createdAt: p.created_at,
+          deletedAt: p.deleted_at,
+          purgeAt: new Date(
+            Date.parse(p.deleted_at) + retentionDays * 24 * 60 * 60 * 1000,
+          ).toISOString(),
+        })),
+      });
+    }
+
+    const trashRestoreMatch = path.match(/^\/api\/admin\/trash\/([^/]+)\/restore$/);
+    if (trashRestoreMatch && request.method === "POST") {
+      const admin = await currentAdmin(request, env);
+      if (!hasRole(admin, "moderator")) return denied(admin);
+      const id = trashRestoreMatch[1];
+      const res = await supabaseRequest(env, `posts?id=eq.${id}&deleted_at=not.is.null&select=id`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json", Prefer: "return=representation" },
+        body: JSON.stringify({ deleted_at: null }),
+      });
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to restore", detail });
+      }
+      const restored = await res.json();
+      if (restored.length === 0) return send(404, { error: "Not found" });
+      await audit(env, request, admin, "post.restore", { type: "post", id });
+      return send(200, { ok: true });
+    }
+
+    const trashMatch = path.match(/^\/api\/admin\/trash\/([^/]+)$/);
+    if (trashMatch && request.method === "DELETE") {
+      const admin = await currentAdmin(request, env);
+      if (!hasRole(admin, "owner")) return denied(admin);
+      const id = trashMatch[1];
+      // Permanent: comments and the rest go with the post through the FKs.
+      const target = `posts?id=eq.${id}&deleted_at=not.is.null&select=${POST_SELECT}`;
+      const res = await supabaseRequest(env, target, {
+        method: "DELETE",
+        headers: { Prefer: "return=representation" },
+      });
+      if (!res.ok) {
+        const detail = await res.text();
+        return send(500, { error: "Failed to purge", detail });
+      }
+      const purged = await res.json();
+      if (purged.length === 0) return send(404, { error: "Not found" });
+      await audit(env, request, admin, "post.purge", {
+        type: "post",
+        id,
+        before: toPost(purged[0]),
+      });
       return send(200, { ok: true });
     }
 
@@ -662,4 +3449,9 @@ export default {
       return send(500, { error: "Worker error", detail: String(err?.message || err) });
     }
   },
+
+  async scheduled(event, env, ctx) {
+    if (event.cron === WEBHOOK_RETRY_CRON) ctx.waitUntil(retryDueWebhooks(env));
+    else ctx.waitUntil(Promise.all([purgeExpiredTrash(env), purgeExpiredTokens(env)]));
+  },
 };